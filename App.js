@@ -1,20 +1,76 @@
+// Must load first: crypto.getRandomValues for Hermes, used by utils/crypto
+import 'react-native-get-random-values';
 import React, { useState } from 'react';
-import { View, StyleSheet, ActivityIndicator } from 'react-native';
+import { View, Text, Pressable, StyleSheet, ActivityIndicator } from 'react-native';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import AuthFlow from './components/AuthFlow';
+import ConsentStep from './components/ConsentStep';
 import CreateParentProfile from './components/CreateParentProfile';
 import CreateChildProfile from './components/CreateChildProfile';
+import ChildPicker from './components/ChildPicker';
+import ParentalGate from './components/ParentalGate';
 import HomeScreen from './screens/HomeScreen';
+import DashboardScreen from './screens/DashboardScreen';
+import ManageChildrenScreen from './screens/ManageChildrenScreen';
+import DevicesScreen from './screens/DevicesScreen';
+import ParentPinScreen from './screens/ParentPinScreen';
+import DeleteAccountScreen from './screens/DeleteAccountScreen';
 import { isParentProfileComplete } from './services/parentProfileService';
 import { updateParentProfile } from './services/parentProfileService';
+import { hasCurrentConsent } from './services/consentService';
+
+// Screens reachable once a parent is signed in and has a child profile
+const SCREENS = {
+  PRACTICE: 'practice',
+  DASHBOARD: 'dashboard',
+  MANAGE_CHILDREN: 'manage_children',
+  ADD_CHILD: 'add_child',
+  DEVICES: 'devices',
+  PARENT_PIN: 'parent_pin',
+  DELETE_ACCOUNT: 'delete_account',
+};
 
 function AppContent() {
-  const { session, parent, children, loading, signIn, refreshChildren, refreshParent } = useAuth();
+  const { session, parent, children, activeChild, loading, storageError, retryLoad, signIn, signOut, refreshChildren, refreshParent, selectChild } = useAuth();
   const [skippedParentProfile, setSkippedParentProfile] = useState(false);
+  const [screen, setScreen] = useState(SCREENS.PRACTICE);
+  // Parent screens need the parental gate; it stays open until back to practice
+  const [parentUnlocked, setParentUnlocked] = useState(false);
+  const [gatedScreen, setGatedScreen] = useState(null);
 
   const handleAuthSuccess = async (sessionData, parentData) => {
     await signIn(sessionData, parentData);
     setSkippedParentProfile(false); // Reset on new sign in
+    // The parent has just verified their email, so land them on the
+    // dashboard without asking for the gate again. A session restored at
+    // launch still opens on practice, since a child may be holding the device.
+    setParentUnlocked(true);
+    setScreen(SCREENS.DASHBOARD);
+  };
+
+  const handleSignOut = async () => {
+    await signOut();
+    setParentUnlocked(false);
+    setScreen(SCREENS.PRACTICE);
+  };
+
+  const openParentScreen = (target) => {
+    if (parentUnlocked) {
+      setScreen(target);
+    } else {
+      setGatedScreen(target);
+    }
+  };
+
+  const handleGateUnlocked = () => {
+    setParentUnlocked(true);
+    setScreen(gatedScreen);
+    setGatedScreen(null);
+  };
+
+  const backToPractice = () => {
+    setParentUnlocked(false);
+    setScreen(SCREENS.PRACTICE);
   };
 
   const handleParentProfileCreated = async () => {
@@ -49,6 +105,22 @@ function AppContent() {
     );
   }
 
+  // Saved data couldn't be read - say so instead of showing a signed-out app
+  if (storageError) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.errorTitle}>Something went wrong</Text>
+        <Text style={styles.errorText}>{storageError}</Text>
+        <Pressable
+          style={({ pressed }) => [styles.retryButton, pressed && styles.retryButtonPressed]}
+          onPress={retryLoad}
+        >
+          <Text style={styles.retryButtonText}>Try Again</Text>
+        </Pressable>
+      </View>
+    );
+  }
+
   // Not authenticated - show auth flow
   if (!session) {
     return (
@@ -58,6 +130,20 @@ function AppContent() {
     );
   }
 
+  // Authenticated but hasn't agreed to the current privacy policy - ask first,
+  // and again whenever the policy version changes
+  if (!hasCurrentConsent(parent)) {
+    return (
+      <View style={styles.consentContainer}>
+        <ConsentStep
+          parent={parent}
+          onConsented={refreshParent}
+          onDecline={handleSignOut}
+        />
+      </View>
+    );
+  }
+
   // Authenticated but parent profile incomplete - show parent profile creation
   // Only show if they haven't skipped it
   if (!isParentProfileComplete(parent) && !skippedParentProfile && !parent?.skippedProfileSetup) {
@@ -85,8 +171,117 @@ function AppContent() {
     );
   }
 
-  // Authenticated with children - show home screen
-  return <HomeScreen />;
+  // Parental gate in front of any parent screen
+  if (gatedScreen) {
+    return (
+      <View style={styles.gateContainer}>
+        <ParentalGate
+          parent={parent}
+          onUnlock={handleGateUnlocked}
+          onCancel={() => setGatedScreen(null)}
+          onParentChanged={refreshParent}
+        />
+      </View>
+    );
+  }
+
+  // Parent dashboard - progress for every child
+  if (screen === SCREENS.DASHBOARD) {
+    return (
+      <DashboardScreen
+        childProfiles={children}
+        onStartPractice={backToPractice}
+        onManageChildren={() => setScreen(SCREENS.MANAGE_CHILDREN)}
+        onManageDevices={() => setScreen(SCREENS.DEVICES)}
+        onManagePin={() => setScreen(SCREENS.PARENT_PIN)}
+        onDeleteAccount={() => setScreen(SCREENS.DELETE_ACCOUNT)}
+        onSignOut={handleSignOut}
+      />
+    );
+  }
+
+  // Delete the account and all of its data, then leave the signed-in app
+  if (screen === SCREENS.DELETE_ACCOUNT) {
+    return (
+      <DeleteAccountScreen
+        parentEmail={parent.email}
+        onDeleted={handleSignOut}
+        onCancel={() => setScreen(SCREENS.DASHBOARD)}
+      />
+    );
+  }
+
+  // Set, change or remove the parent PIN
+  if (screen === SCREENS.PARENT_PIN) {
+    return (
+      <ParentPinScreen
+        parent={parent}
+        onParentChanged={refreshParent}
+        onDone={() => setScreen(SCREENS.DASHBOARD)}
+      />
+    );
+  }
+
+  // Signed-in devices - revoke sessions or sign out
+  if (screen === SCREENS.DEVICES) {
+    return (
+      <DevicesScreen
+        parentEmail={parent.email}
+        currentAccessToken={session.accessToken}
+        onSignOut={handleSignOut}
+        onDone={() => setScreen(SCREENS.DASHBOARD)}
+      />
+    );
+  }
+
+  // Edit, re-avatar or delete children
+  if (screen === SCREENS.MANAGE_CHILDREN) {
+    return (
+      <ManageChildrenScreen
+        parentEmail={parent.email}
+        childProfiles={children}
+        onChildrenChanged={refreshChildren}
+        onAddChild={() => setScreen(SCREENS.ADD_CHILD)}
+        onDone={() => setScreen(SCREENS.DASHBOARD)}
+      />
+    );
+  }
+
+  // Add another child from the manage screen
+  if (screen === SCREENS.ADD_CHILD) {
+    return (
+      <View style={styles.childProfileContainer}>
+        <CreateChildProfile
+          parentEmail={parent.email}
+          onChildCreated={async () => {
+            await refreshChildren();
+            setScreen(SCREENS.MANAGE_CHILDREN);
+          }}
+          onSkip={() => setScreen(SCREENS.MANAGE_CHILDREN)}
+        />
+      </View>
+    );
+  }
+
+  // More than one child and none chosen yet - ask who is practising
+  if (!activeChild) {
+    return (
+      <View style={styles.childPickerContainer}>
+        <ChildPicker childProfiles={children} onSelect={selectChild} />
+      </View>
+    );
+  }
+
+  // Authenticated with an active child - show home screen
+  return (
+    <HomeScreen
+      key={activeChild.id}
+      child={activeChild}
+      canRecord={hasCurrentConsent(parent)}
+      onSwitchChild={children.length > 1 ? () => selectChild(null) : null}
+      onOpenDashboard={() => openParentScreen(SCREENS.DASHBOARD)}
+    />
+  );
 }
 
 export default function App() {
@@ -102,11 +297,45 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
     backgroundColor: '#f8fafc',
+    padding: 20,
+  },
+  errorTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 15,
+    color: '#64748b',
+    marginBottom: 24,
+    textAlign: 'center',
+    lineHeight: 22,
+    maxWidth: 400,
+  },
+  retryButton: {
+    backgroundColor: '#0ea5e9',
+    paddingVertical: 14,
+    paddingHorizontal: 32,
+    borderRadius: 12,
+  },
+  retryButtonPressed: {
+    opacity: 0.8,
+  },
+  retryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
   },
   authContainer: {
     flex: 1,
     backgroundColor: '#f8fafc',
   },
+  consentContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
   parentProfileContainer: {
     flex: 1,
     backgroundColor: '#f8fafc',
@@ -115,4 +344,12 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f8fafc',
   },
+  childPickerContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  gateContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
 });
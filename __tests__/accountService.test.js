@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { deleteAccount } from '../services/accountService';
+import { startSignup, completeSignup } from '../services/authService';
+import { recordConsent } from '../services/consentService';
+import { createChild } from '../services/childProfileService';
+import { recordPracticeAttempt, getPracticeHistory } from '../services/practiceHistoryService';
+import { createOutboxTransport, setOTPTransport } from '../services/otpDelivery';
+import { trackEvent, flushEvents, getAllEvents, setAnalyticsChild, EVENTS } from '../services/analyticsService';
+import {
+  STORAGE_KEYS,
+  collections,
+  storageService,
+  childrenStorage,
+  practiceStorage,
+  getQuarantinedKeys,
+} from '../services/storageService';
+import { dumpStorage } from './mocks/async-storage';
+import { documentDirectory, writeFile, listFiles, deleteAsync } from './mocks/expo-file-system';
+
+const EMAIL = 'parent@example.com';
+const OTHER_EMAIL = 'neighbour@example.com';
+
+const result = { overallWordScore: 82, phonemeScore: 76, decision: { target: 'pass' }, wrongWord: false };
+
+/**
+ * Sign a parent in through the real OTP flow and keep what the app would
+ */
+const signUp = async (outbox, email) => {
+  await startSignup(email);
+  const code = outbox.getMessages(email).pop().text.match(/^\s+(\d{6})$/m)[1];
+  const signedIn = await completeSignup(email, code);
+  await storageService.setItem('current_session_token', signedIn.session.accessToken, { encrypt: true });
+  await storageService.setItem('current_refresh_token', signedIn.session.refreshToken, { encrypt: true });
+  await recordConsent(email);
+  return signedIn.session;
+};
+
+const addChild = async (email, nickname) => {
+  const created = await createChild(email, {
+    nickname,
+    dob: '2020-05-14',
+    languageProfile: 'english',
+    avatar: 'fox',
+  });
+  return created.child;
+};
+
+const practise = async (child, name) => {
+  const recordingUri = writeFile(`${documentDirectory}recordings/${child.id}/${name}.wav`);
+  const recorded = await recordPracticeAttempt(child.id, {
+    wordId: 'ball',
+    word: 'BALL',
+    targetPhoneme: 'l',
+    position: 'final',
+    result,
+    recordingUri,
+  });
+  return recorded.attempt;
+};
+
+/**
+ * Every stored value, decrypted, keyed by storage key (quarantined keys
+ * can't be read and come back as their raw value)
+ */
+const readEverything = async () => {
+  const values = {};
+  for (const [key, raw] of Object.entries(dumpStorage())) {
+    try {
+      values[key] = JSON.stringify(await storageService.getItem(key));
+    } catch {
+      values[key] = raw;
+    }
+  }
+  return values;
+};
+
+/**
+ * Assert no stored key or value mentions any of the traces
+ */
+const expectNoTraces = async (traces) => {
+  const stored = await readEverything();
+  for (const [key, value] of Object.entries(stored)) {
+    for (const trace of traces) {
+      expect(`${key} ${value}`, `${key} still mentions ${trace}`).not.toContain(trace);
+    }
+  }
+  return stored;
+};
+
+/**
+ * Overwrite a stored value with garbage and read it once, so it's quarantined
+ */
+const corrupt = async (key) => {
+  await AsyncStorage.setItem(key, '{not json');
+  await expect(storageService.getItem(key)).rejects.toThrow();
+};
+
+describe('deleteAccount', () => {
+  let outbox;
+
+  beforeEach(async () => {
+    await storageService.clear();
+    await deleteAsync(documentDirectory, { idempotent: true });
+    outbox = createOutboxTransport();
+    setOTPTransport(outbox);
+  });
+
+  it('leaves nothing tied to the parent behind', async () => {
+    const otherSession = await signUp(outbox, OTHER_EMAIL);
+    const otherChild = await addChild(OTHER_EMAIL, 'Robin');
+    const otherAttempt = await practise(otherChild, 'robin-1');
+
+    const session = await signUp(outbox, EMAIL);
+    const maya = await addChild(EMAIL, 'Maya');
+    const leo = await addChild(EMAIL, 'Leo');
+    await storageService.setItem('active_child_id', maya.id, { encrypt: true });
+    setAnalyticsChild(maya.id);
+    await practise(maya, 'maya-1');
+    await practise(maya, 'maya-2');
+    const leoAttempt = await practise(leo, 'leo-1');
+
+    // One of Leo's attempts is corrupt, so it's quarantined and can't be read
+    const leoKey = await collections.practice.recordKey(leoAttempt.id);
+    await AsyncStorage.setItem(leoKey, '{not json');
+    await expect(getPracticeHistory(leo.id)).rejects.toThrow();
+    expect(Object.keys(await getQuarantinedKeys())).toEqual([leoKey]);
+
+    // Some events are stored, the last one is still buffered
+    await flushEvents();
+    await trackEvent(EVENTS.PARENTAL_GATE_PASSED, { parentEmail: EMAIL, method: 'challenge' });
+
+    const deleted = await deleteAccount(EMAIL);
+
+    expect(deleted.success).toBe(true);
+    expect(deleted.summary).toMatchObject({ children: 2, practiceAttempts: 2, sessions: 1 });
+    setAnalyticsChild(null);
+
+    // Every collection is covered, and none holds anything of the parent's
+    expect(Object.values(collections).map(collection => collection.name).sort())
+      .toEqual(Object.values(STORAGE_KEYS).sort());
+    const stored = await expectNoTraces(
+      [EMAIL, maya.id, leo.id, 'Maya', 'Leo', session.accessToken, session.refreshToken, session.familyId]
+    );
+
+    expect(await collections.parents.getIds()).toEqual([OTHER_EMAIL]);
+    expect(await collections.otpData.getIds()).toEqual([OTHER_EMAIL]);
+    expect(await collections.sessions.getIds()).toEqual([otherSession.accessToken]);
+    expect(await practiceStorage.getByChildId(maya.id)).toEqual([]);
+    expect(stored[leoKey]).toBeUndefined();
+    expect(await getQuarantinedKeys()).toEqual({});
+
+    // Leo's recording goes too, though no readable record points at it
+    expect(listFiles()).toEqual([otherAttempt.recordingUri]);
+
+    const events = await getAllEvents();
+    expect(events.some(event => event.event === EVENTS.ACCOUNT_DELETED)).toBe(true);
+    expect(events.some(event => event.email === OTHER_EMAIL)).toBe(true);
+    expect(JSON.stringify(events)).not.toContain(EMAIL);
+  });
+
+  it("deletes a child whose profile can't be read", async () => {
+    const session = await signUp(outbox, EMAIL);
+    const maya = await addChild(EMAIL, 'Maya');
+    const leo = await addChild(EMAIL, 'Leo');
+    await storageService.setItem('active_child_id', maya.id, { encrypt: true });
+    await practise(maya, 'maya-1');
+    await corrupt(await collections.children.recordKey(maya.id));
+
+    const deleted = await deleteAccount(EMAIL);
+
+    expect(deleted.success).toBe(true);
+    expect(deleted.summary).toMatchObject({ children: 2, practiceAttempts: 1, recordings: 1 });
+    await expectNoTraces([EMAIL, maya.id, leo.id, 'Leo', session.accessToken]);
+    expect(Object.keys(dumpStorage()).filter(key => key.startsWith('children:'))).toEqual([]);
+    expect(await getQuarantinedKeys()).toEqual({});
+    expect(listFiles()).toEqual([]);
+  });
+
+  it("deletes everything when the parent record and children index can't be read", async () => {
+    await signUp(outbox, OTHER_EMAIL);
+    const robin = await addChild(OTHER_EMAIL, 'Robin');
+    const robinAttempt = await practise(robin, 'robin-1');
+
+    const session = await signUp(outbox, EMAIL);
+    const maya = await addChild(EMAIL, 'Maya');
+    const leo = await addChild(EMAIL, 'Leo');
+    await practise(maya, 'maya-1');
+    await practise(leo, 'leo-1');
+    await corrupt(await collections.parents.recordKey(EMAIL));
+    await corrupt(await collections.childrenByParent.recordKey(EMAIL));
+
+    const deleted = await deleteAccount(EMAIL);
+
+    expect(deleted.success).toBe(true);
+    expect(deleted.summary).toMatchObject({ practiceAttempts: 2, recordings: 2, sessions: 1 });
+    await expectNoTraces([EMAIL, maya.id, leo.id, 'Maya', 'Leo', session.accessToken]);
+    expect(await getQuarantinedKeys()).toEqual({});
+    expect(await collections.parents.getIds()).toEqual([OTHER_EMAIL]);
+
+    // The other parent's child and history are untouched
+    expect(await childrenStorage.getByParentEmail(OTHER_EMAIL)).toEqual([robin]);
+    expect(await practiceStorage.getByChildId(robin.id)).toEqual([robinAttempt]);
+    expect(listFiles()).toEqual([robinAttempt.recordingUri]);
+  });
+
+  it('reports an unknown account', async () => {
+    expect(await deleteAccount('nobody@example.com')).toEqual({ success: false, error: 'Account not found' });
+  });
+});
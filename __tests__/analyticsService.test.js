@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  ANALYTICS_CONFIG,
+  EVENTS,
+  validateEvent,
+  trackEvent,
+  flushEvents,
+  getAllEvents,
+  setAnalyticsChild,
+} from '../services/analyticsService';
+import { analyticsStorage, collections, storageService } from '../services/storageService';
+
+const EMAIL = 'parent@example.com';
+
+const trackTimes = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await trackEvent(EVENTS.PARENT_PROFILE_UPDATED, { parentEmail: EMAIL });
+  }
+};
+
+describe('event catalog', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('accepts an event with its required properties', () => {
+    expect(validateEvent(EVENTS.CHILD_CREATED, { parentEmail: EMAIL, childId: 'child_1' }))
+      .toEqual({ valid: true, error: null });
+  });
+
+  it('names the required properties that are missing', () => {
+    expect(validateEvent(EVENTS.CHILD_CREATED, { parentEmail: EMAIL })).toEqual({
+      valid: false,
+      error: 'child_created is missing childId',
+    });
+    expect(validateEvent(EVENTS.AUTH_SIGNUP_FAILED).error).toBe('auth_signup_failed is missing email, reason');
+  });
+
+  it('rejects an event that is not in the catalog', () => {
+    expect(validateEvent('button_clicked', {})).toEqual({
+      valid: false,
+      error: 'Unknown analytics event: button_clicked',
+    });
+  });
+
+  it("doesn't record an invalid event", async () => {
+    await storageService.clear();
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await trackEvent(EVENTS.CHILD_CREATED, { parentEmail: EMAIL })).toBe(false);
+
+    expect(error).toHaveBeenCalledWith('child_created is missing childId');
+    expect(await getAllEvents()).toEqual([]);
+  });
+});
+
+describe('event context', () => {
+  beforeEach(async () => {
+    await storageService.clear();
+  });
+
+  afterEach(() => {
+    setAnalyticsChild(null);
+  });
+
+  it('stamps events with the app version, platform, app session and active child', async () => {
+    setAnalyticsChild('child_1');
+    await trackEvent(EVENTS.PARENTAL_GATE_PASSED, { parentEmail: EMAIL, method: 'pin' });
+    setAnalyticsChild(null);
+    await trackEvent(EVENTS.PARENT_PROFILE_UPDATED, { parentEmail: EMAIL });
+
+    const [withChild, withoutChild] = await getAllEvents();
+
+    expect(withChild).toMatchObject({
+      event: EVENTS.PARENTAL_GATE_PASSED,
+      parentEmail: EMAIL,
+      method: 'pin',
+      context: { appVersion: '1.0.0', platform: 'ios', activeChildId: 'child_1' },
+    });
+    expect(withChild.context.sessionId).toMatch(/^appsession_/);
+    expect(withoutChild.context).toEqual({ ...withChild.context, activeChildId: null });
+    expect(withChild.id).not.toBe(withoutChild.id);
+  });
+
+  it('leaves the active child off anonymous events', async () => {
+    setAnalyticsChild('child_1');
+
+    await trackEvent(EVENTS.ACCOUNT_DELETED, { childCount: 1 });
+
+    expect((await getAllEvents())[0].context.activeChildId).toBeNull();
+  });
+});
+
+describe('batched writes', () => {
+  let addEvents;
+
+  beforeEach(async () => {
+    await storageService.clear();
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    addEvents = vi.spyOn(analyticsStorage, 'addEvents').mockResolvedValue(true);
+  });
+
+  afterEach(async () => {
+    await flushEvents();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it(`writes once ${ANALYTICS_CONFIG.FLUSH_AT_SIZE} events are waiting`, async () => {
+    await trackTimes(ANALYTICS_CONFIG.FLUSH_AT_SIZE - 1);
+    expect(addEvents).not.toHaveBeenCalled();
+
+    await trackTimes(1);
+
+    expect(addEvents).toHaveBeenCalledTimes(1);
+    expect(addEvents.mock.calls[0][0]).toHaveLength(ANALYTICS_CONFIG.FLUSH_AT_SIZE);
+  });
+
+  it(`writes fewer events after ${ANALYTICS_CONFIG.FLUSH_INTERVAL_MS / 1000} seconds`, async () => {
+    await trackTimes(3);
+
+    await vi.advanceTimersByTimeAsync(ANALYTICS_CONFIG.FLUSH_INTERVAL_MS - 1);
+    expect(addEvents).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(addEvents).toHaveBeenCalledTimes(1);
+    expect(addEvents.mock.calls[0][0]).toHaveLength(3);
+  });
+
+  it('keeps a failed batch and writes it with the next one', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    addEvents.mockRejectedValueOnce(new Error('disk is full'));
+    await trackTimes(2);
+
+    expect(await flushEvents()).toBe(false);
+    await trackTimes(1);
+    expect(await flushEvents()).toBe(true);
+
+    expect(addEvents.mock.calls[1][0]).toHaveLength(3);
+  });
+});
+
+describe('day buckets', () => {
+  beforeEach(async () => {
+    await storageService.clear();
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('stores events under the UTC day they happened on', async () => {
+    vi.setSystemTime(new Date('2026-03-02T23:59:59Z'));
+    await trackTimes(2);
+    vi.setSystemTime(new Date('2026-03-03T00:00:01Z'));
+    await trackTimes(1);
+    await flushEvents();
+
+    expect(await collections.analytics.getIds()).toEqual(['2026-03-02', '2026-03-03']);
+    expect(await collections.analytics.get('2026-03-02')).toHaveLength(2);
+    expect(await collections.analytics.get('2026-03-03')).toHaveLength(1);
+    expect((await getAllEvents()).map(event => event.timestamp)).toEqual([
+      '2026-03-02T23:59:59.000Z',
+      '2026-03-02T23:59:59.000Z',
+      '2026-03-03T00:00:01.000Z',
+    ]);
+  });
+
+  it('stores a retried batch once', async () => {
+    vi.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+    const events = [
+      { id: 'event_1', event: EVENTS.PARENT_PROFILE_UPDATED, timestamp: '2026-03-02T09:00:00.000Z' },
+      { id: 'event_2', event: EVENTS.PARENT_PROFILE_UPDATED, timestamp: '2026-03-03T09:00:00.000Z' },
+    ];
+
+    await analyticsStorage.addEvents(events);
+    await analyticsStorage.addEvents(events);
+
+    expect((await analyticsStorage.getAll()).map(event => event.id)).toEqual(['event_1', 'event_2']);
+  });
+});
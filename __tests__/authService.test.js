@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { startSignup, completeSignup, refreshSession, TOKEN_CONFIG } from '../services/authService';
+import { createOutboxTransport, setOTPTransport } from '../services/otpDelivery';
+import { getAllEvents, clearAnalytics, EVENTS } from '../services/analyticsService';
+import { sessionStorage, storageService } from '../services/storageService';
+
+const EMAIL = 'parent@example.com';
+
+// Read the code back out of the email, as a parent would
+const codeIn = message => message.text.match(/^\s+(\d{6})$/m)[1];
+
+describe('sign-up and sign-in events', () => {
+  let outbox;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+    await storageService.clear();
+    outbox = createOutboxTransport();
+    setOTPTransport(outbox);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const eventNames = async () => (await getAllEvents()).map(event => event.event);
+
+  it('tracks a sign-up start for a new parent', async () => {
+    await startSignup(EMAIL);
+
+    expect(await eventNames()).toEqual([EVENTS.AUTH_SIGNUP_STARTED]);
+  });
+
+  it("doesn't track a start for an invalid email", async () => {
+    await startSignup('not-an-email');
+
+    expect(await eventNames()).toEqual([EVENTS.AUTH_SIGNUP_FAILED]);
+  });
+
+  it('tracks a sign-in start for a returning parent', async () => {
+    await startSignup(EMAIL);
+    await completeSignup(EMAIL, codeIn(outbox.getMessages(EMAIL).pop()));
+    await clearAnalytics();
+    vi.setSystemTime(Date.now() + 60 * 1000);
+
+    await startSignup(EMAIL);
+
+    expect(await eventNames()).toEqual([EVENTS.AUTH_SIGNIN_STARTED]);
+  });
+});
+
+describe('refreshSession', () => {
+  let session;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+    await storageService.clear();
+    const outbox = createOutboxTransport();
+    setOTPTransport(outbox);
+    await startSignup(EMAIL);
+    session = (await completeSignup(EMAIL, codeIn(outbox.getMessages(EMAIL).pop()))).session;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const familySessions = async (familyId) =>
+    Object.values(await sessionStorage.getAll()).filter(s => s.familyId === familyId);
+
+  it('rotates both tokens and keeps the family', async () => {
+    vi.setSystemTime(Date.now() + 60 * 1000);
+
+    const result = await refreshSession(session.refreshToken);
+
+    expect(result.success).toBe(true);
+    const rotated = result.session;
+    expect(rotated.accessToken).not.toBe(session.accessToken);
+    expect(rotated.refreshToken).not.toBe(session.refreshToken);
+    expect(rotated.familyId).toBe(session.familyId);
+    expect(rotated.rotatedRefreshTokens).toEqual([session.refreshToken]);
+    expect(new Date(rotated.refreshExpiresAt).getTime()).toBe(Date.now() + TOKEN_CONFIG.REFRESH_TOKEN_TTL_MS);
+    expect(await sessionStorage.getByToken(session.accessToken)).toBeNull();
+    expect(await familySessions(session.familyId)).toEqual([rotated]);
+  });
+
+  it('revokes the whole family when a rotated token is used again', async () => {
+    const rotated = (await refreshSession(session.refreshToken)).session;
+    const next = (await refreshSession(rotated.refreshToken)).session;
+
+    const result = await refreshSession(session.refreshToken);
+
+    expect(result).toEqual({ success: false, error: 'Session revoked. Please sign in again.', reused: true });
+    expect(await familySessions(session.familyId)).toEqual([]);
+    expect(await sessionStorage.getByToken(next.accessToken)).toBeNull();
+    expect((await refreshSession(next.refreshToken)).success).toBe(false);
+    const events = await getAllEvents();
+    expect(events.filter(event => event.event === EVENTS.AUTH_REFRESH_TOKEN_REUSED)).toHaveLength(1);
+  });
+
+  it('lets only one of two refreshes with the same token through', async () => {
+    const results = await Promise.all([
+      refreshSession(session.refreshToken),
+      refreshSession(session.refreshToken),
+    ]);
+
+    expect(results.map(result => result.success)).toEqual([true, false]);
+    expect(results[1].reused).toBe(true);
+    // The second refresh looks like a copied token, so nothing of the family survives
+    expect(await familySessions(session.familyId)).toEqual([]);
+  });
+
+  it('refuses an expired refresh token and deletes its session', async () => {
+    vi.setSystemTime(new Date(session.refreshExpiresAt).getTime() + 1);
+
+    const result = await refreshSession(session.refreshToken);
+
+    expect(result).toEqual({ success: false, error: 'Session expired. Please sign in again.' });
+    expect(await sessionStorage.getByToken(session.accessToken)).toBeNull();
+  });
+
+  it('refreshes up to the moment the refresh token expires', async () => {
+    vi.setSystemTime(new Date(session.refreshExpiresAt));
+
+    expect((await refreshSession(session.refreshToken)).success).toBe(true);
+  });
+
+  it('reports an unknown refresh token', async () => {
+    expect(await refreshSession('refresh_unknown')).toEqual({
+      success: false,
+      error: 'Session not found. Please sign in again.',
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  randomBytes,
+  randomDigits,
+  randomId,
+  deriveKeys,
+  encryptString,
+  decryptString,
+  isEncrypted,
+  bytesToBase64,
+  base64ToBytes,
+} from '../utils/crypto';
+
+describe('random values', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('draws from crypto.getRandomValues', () => {
+    const getRandomValues = vi.fn(bytes => bytes.fill(7));
+    vi.stubGlobal('crypto', { getRandomValues });
+
+    expect(randomBytes(4)).toEqual(new Uint8Array([7, 7, 7, 7]));
+    expect(getRandomValues).toHaveBeenCalledOnce();
+  });
+
+  it('throws instead of falling back to Math.random when there is no CSPRNG', () => {
+    vi.stubGlobal('crypto', undefined);
+    const mathRandom = vi.spyOn(Math, 'random');
+
+    expect(() => randomId('session')).toThrow('crypto.getRandomValues is unavailable');
+    expect(() => randomDigits(6)).toThrow('crypto.getRandomValues is unavailable');
+    expect(mathRandom).not.toHaveBeenCalled();
+    mathRandom.mockRestore();
+  });
+});
+
+describe('encryptString / decryptString', () => {
+  const keys = deriveKeys(new Uint8Array(32).fill(1));
+  const otherKeys = deriveKeys(new Uint8Array(32).fill(2));
+  const plaintext = JSON.stringify({ email: 'parent@example.com', nickname: 'Zoë 🦊' });
+
+  // Flip one bit of the decoded payload at `index`
+  const flipBit = (payload, index) => {
+    const bytes = base64ToBytes(payload.slice('enc1:'.length));
+    bytes[index] ^= 1;
+    return `enc1:${bytesToBase64(bytes)}`;
+  };
+
+  it('round-trips text, including non-ASCII and empty strings', () => {
+    expect(decryptString(keys, encryptString(keys, plaintext))).toBe(plaintext);
+    expect(decryptString(keys, encryptString(keys, ''))).toBe('');
+  });
+
+  it('prefixes the ciphertext and never shows the plaintext', () => {
+    const payload = encryptString(keys, plaintext);
+
+    expect(payload.startsWith('enc1:')).toBe(true);
+    expect(isEncrypted(payload)).toBe(true);
+    expect(payload).not.toContain('parent@example.com');
+  });
+
+  it('uses a fresh nonce for every call', () => {
+    expect(encryptString(keys, plaintext)).not.toBe(encryptString(keys, plaintext));
+  });
+
+  it('only treats enc1: strings as encrypted', () => {
+    expect(isEncrypted(plaintext)).toBe(false);
+    expect(isEncrypted('enc2:AAAA')).toBe(false);
+    expect(isEncrypted(null)).toBe(false);
+    expect(() => decryptString(keys, plaintext)).toThrow('Not an encrypted value');
+    expect(() => decryptString(keys, 'enc1:AAAA')).toThrow('Encrypted value is truncated');
+  });
+
+  it('rejects a payload changed anywhere: nonce, ciphertext or tag', () => {
+    const payload = encryptString(keys, plaintext);
+    const length = base64ToBytes(payload.slice('enc1:'.length)).length;
+
+    for (const index of [0, 20, length - 1]) {
+      expect(() => decryptString(keys, flipBit(payload, index))).toThrow('Encrypted value failed authentication');
+    }
+  });
+
+  it('rejects a payload encrypted under another key', () => {
+    expect(() => decryptString(otherKeys, encryptString(keys, plaintext)))
+      .toThrow('Encrypted value failed authentication');
+  });
+});
@@ -0,0 +1,47 @@
+import { MFCC_CONFIG } from '../../utils/mfcc';
+
+/**
+ * A stand-in for assets/speech/index.js (which Metro builds with require):
+ * thirteen recorded words, twelve for /l/ and one, LOLLIPOP, for /I/
+ */
+
+const PHONEME_MS = 80;
+
+const word = (text, symbols, targetIndex, position, syllableBreak = text) => {
+  const phonemes = symbols.split(' ').map((p, index) => ({
+    p,
+    start: 40 + index * PHONEME_MS,
+    end: 40 + (index + 1) * PHONEME_MS,
+  }));
+  const durationMs = phonemes[phonemes.length - 1].end + 60;
+
+  return {
+    template: { word: text, sr: 16000, syllableBreak, position, phonemes, targetIndex },
+    reference: {
+      word: text,
+      source: 'recording',
+      sr: 16000,
+      durationMs,
+      offsetMs: 40,
+      hopMs: MFCC_CONFIG.HOP_MS,
+      coefficients: MFCC_CONFIG.COEFFICIENTS,
+      frames: Array.from({ length: durationMs / MFCC_CONFIG.HOP_MS }, () => new Array(MFCC_CONFIG.COEFFICIENTS).fill(0)),
+    },
+  };
+};
+
+export const SPEECH_ASSETS = {
+  ball: word('BALL', 'b O l', 2, 'final'),
+  balloon: word('BALLOON', 'b @ l u n', 2, 'medial', 'ba-LOON'),
+  bell: word('BELL', 'b E l', 2, 'final'),
+  jelly: word('JELLY', 'dZ E l i', 2, 'medial', 'JEL-ly'),
+  lake: word('LAKE', 'l eI k', 0, 'initial'),
+  lamp: word('LAMP', 'l { m p', 0, 'initial'),
+  leaf: word('LEAF', 'l i f', 0, 'initial'),
+  lion: word('LION', 'l aI @ n', 0, 'initial', 'LI-on'),
+  log: word('LOG', 'l A g', 0, 'initial'),
+  lollipop: word('LOLLIPOP', 'l A l I p A p', 3, 'medial', 'lo-LI-pop'),
+  owl: word('OWL', 'aU l', 1, 'final'),
+  pillow: word('PILLOW', 'p I l oU', 2, 'medial', 'PIL-low'),
+  yellow: word('YELLOW', 'j E l oU', 2, 'medial', 'YEL-low'),
+};
@@ -0,0 +1,60 @@
+/**
+ * In-memory AsyncStorage
+ * Every call yields to the event loop first, like the native module, so
+ * concurrent callers interleave the way they would on a device.
+ */
+
+const store = new Map();
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const AsyncStorage = {
+  async getItem(key) {
+    await tick();
+    return store.has(key) ? store.get(key) : null;
+  },
+
+  async setItem(key, value) {
+    await tick();
+    store.set(key, String(value));
+  },
+
+  async removeItem(key) {
+    await tick();
+    store.delete(key);
+  },
+
+  async multiGet(keys) {
+    await tick();
+    return keys.map(key => [key, store.has(key) ? store.get(key) : null]);
+  },
+
+  async multiSet(pairs) {
+    await tick();
+    pairs.forEach(([key, value]) => store.set(key, String(value)));
+  },
+
+  async multiRemove(keys) {
+    await tick();
+    keys.forEach(key => store.delete(key));
+  },
+
+  async getAllKeys() {
+    await tick();
+    return [...store.keys()];
+  },
+
+  async clear() {
+    await tick();
+    store.clear();
+  },
+};
+
+/**
+ * Everything stored, as { key: raw string } (test helper)
+ */
+export const dumpStorage = () => {
+  return Object.fromEntries(store);
+};
+
+export default AsyncStorage;
@@ -0,0 +1,7 @@
+/**
+ * Static expo-constants
+ */
+
+export default {
+  expoConfig: { version: '1.0.0' },
+};
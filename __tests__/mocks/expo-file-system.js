@@ -0,0 +1,44 @@
+/**
+ * In-memory expo-file-system/legacy
+ * Files are just a set of URIs; tests add recordings with `writeFile`.
+ */
+
+const files = new Set();
+
+export const documentDirectory = 'file:///data/palura/files/';
+
+export const getInfoAsync = async (uri) => {
+  const exists = files.has(uri) || [...files].some(file => file.startsWith(uri));
+  return { exists, uri };
+};
+
+export const makeDirectoryAsync = async () => {};
+
+export const moveAsync = async ({ from, to }) => {
+  if (!files.has(from)) {
+    throw new Error(`File ${from} does not exist`);
+  }
+  files.delete(from);
+  files.add(to);
+};
+
+export const deleteAsync = async (uri, { idempotent = false } = {}) => {
+  // A directory takes everything under it
+  const matches = [...files].filter(file => file === uri || (uri.endsWith('/') && file.startsWith(uri)));
+  if (matches.length === 0 && !idempotent) {
+    throw new Error(`File ${uri} does not exist`);
+  }
+  matches.forEach(file => files.delete(file));
+};
+
+/**
+ * Test helpers
+ */
+export const writeFile = (uri) => {
+  files.add(uri);
+  return uri;
+};
+
+export const listFiles = () => {
+  return [...files];
+};
@@ -0,0 +1,13 @@
+/**
+ * Just enough of react-native for services to load in Node
+ */
+
+export const Platform = {
+  OS: 'ios',
+  select: options => options.ios ?? options.default,
+};
+
+export const AppState = {
+  currentState: 'active',
+  addEventListener: () => ({ remove() {} }),
+};
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { generateOTPForEmail, resendOTP, validateOTP, getResendStatus, isOTPValid } from '../services/otpService';
+import { createOutboxTransport, setOTPTransport } from '../services/otpDelivery';
+import { STORAGE_ERROR_CODES, StorageError, otpStorage, storageService } from '../services/storageService';
+import { dumpStorage } from './mocks/async-storage';
+
+const EMAIL = 'Parent@Example.com';
+const RESEND_COOLDOWN_MS = 30 * 1000;
+
+// Read the code back out of the email, as a parent would
+const codeIn = message => message.text.match(/^\s+(\d{6})$/m)[1];
+
+describe('OTP delivery through the outbox', () => {
+  let outbox;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+    await storageService.clear();
+    outbox = createOutboxTransport();
+    setOTPTransport(outbox);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('sends the code to the lowercased address and never stores it', async () => {
+    const result = await generateOTPForEmail(EMAIL);
+
+    expect(result.success).toBe(true);
+    const messages = outbox.getMessages(EMAIL);
+    expect(messages).toHaveLength(1);
+    expect(messages[0].to).toBe('parent@example.com');
+    expect(messages[0].subject).toBe('Your Palura verification code');
+    expect(messages[0].text).toContain('expires in 10 minutes');
+
+    const code = codeIn(messages[0]);
+    expect(JSON.stringify(dumpStorage())).not.toContain(code);
+    expect(await validateOTP(EMAIL, code)).toEqual({ valid: true, error: null });
+  });
+
+  it('uses the template for the purpose', async () => {
+    await generateOTPForEmail(EMAIL, { purpose: 'signin' });
+
+    expect(outbox.getMessages()[0].subject).toBe('Your Palura sign-in code');
+  });
+
+  it('refuses a resend during the cooldown without sending anything', async () => {
+    await generateOTPForEmail(EMAIL);
+    vi.setSystemTime(Date.now() + 10 * 1000);
+
+    const result = await resendOTP(EMAIL);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Please wait 20 seconds before requesting a new code.');
+    expect(result.retryAfterMs).toBe(20 * 1000);
+    expect(outbox.getMessages()).toHaveLength(1);
+    expect((await getResendStatus(EMAIL)).canResend).toBe(false);
+  });
+
+  it('sends a new code on resend and invalidates the old one', async () => {
+    await generateOTPForEmail(EMAIL);
+    const first = codeIn(outbox.getMessages()[0]);
+    vi.setSystemTime(Date.now() + RESEND_COOLDOWN_MS);
+
+    const result = await resendOTP(EMAIL);
+
+    expect(result.success).toBe(true);
+    const messages = outbox.getMessages(EMAIL);
+    expect(messages).toHaveLength(2);
+    const second = codeIn(messages[1]);
+
+    if (first !== second) {
+      expect((await validateOTP(EMAIL, first)).valid).toBe(false);
+    }
+    expect((await validateOTP(EMAIL, second)).valid).toBe(true);
+  });
+
+  it('stops sending after five codes in an hour', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await resendOTP(EMAIL)).success).toBe(true);
+      vi.setSystemTime(Date.now() + RESEND_COOLDOWN_MS);
+    }
+
+    const result = await resendOTP(EMAIL);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Too many codes requested. Please try again later.');
+    expect(outbox.getMessages()).toHaveLength(5);
+    expect((await getResendStatus(EMAIL)).remainingSends).toBe(0);
+  });
+
+  it('keeps no code and counts no send when the transport fails', async () => {
+    setOTPTransport({
+      name: 'failing',
+      send: async () => ({ success: false, error: 'Mailbox unavailable' }),
+    });
+
+    const result = await generateOTPForEmail(EMAIL);
+
+    expect(result).toEqual({ success: false, error: 'Mailbox unavailable' });
+    expect(await isOTPValid(EMAIL)).toBe(false);
+    expect(await getResendStatus(EMAIL)).toEqual({ canResend: true, retryAfterMs: 0, remainingSends: 5, error: null });
+  });
+
+  it('reports a storage failure from the resend status instead of throwing', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(otpStorage, 'getByEmail')
+      .mockRejectedValue(new StorageError(STORAGE_ERROR_CODES.CORRUPT_DATA, 'otp_data'));
+
+    expect(await getResendStatus(EMAIL)).toEqual({
+      canResend: false,
+      retryAfterMs: 0,
+      remainingSends: 0,
+      error: "Some saved data couldn't be read. It has been set aside so nothing is overwritten.",
+    });
+  });
+});
+
+describe('default OTP transport', () => {
+  // Load the services fresh with __DEV__ set as a build would set it
+  const loadServices = async (dev) => {
+    globalThis.__DEV__ = dev;
+    vi.resetModules();
+    return {
+      delivery: await import('../services/otpDelivery'),
+      otp: await import('../services/otpService'),
+    };
+  };
+
+  afterEach(() => {
+    delete globalThis.__DEV__;
+    vi.restoreAllMocks();
+  });
+
+  it('refuses to send a code outside development until a transport is set', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { delivery, otp } = await loadServices(false);
+
+    const result = await otp.generateOTPForEmail(EMAIL);
+
+    expect(result).toEqual({ success: false, error: "We can't send codes right now. Please try again later." });
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('No OTP transport is configured'));
+    expect(await otp.isOTPValid(EMAIL)).toBe(false);
+    expect(delivery.getLatestMessage(EMAIL)).toBeNull();
+  });
+
+  it('sends to the outbox in development', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { delivery, otp } = await loadServices(true);
+
+    expect((await otp.generateOTPForEmail(EMAIL)).success).toBe(true);
+    expect(delivery.getOTPTransport().name).toBe('outbox');
+    expect(delivery.getLatestMessage(EMAIL).to).toBe('parent@example.com');
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { updateParentProfile } from '../services/parentProfileService';
+import { setParentPin, removeParentPin, hasParentPin } from '../services/parentalGateService';
+import { recordConsent, hasCurrentConsent } from '../services/consentService';
+import { parentStorage, storageService } from '../services/storageService';
+
+const EMAIL = 'parent@example.com';
+
+describe('parent record updates', () => {
+  beforeEach(async () => {
+    await storageService.clear();
+    await parentStorage.save({ email: EMAIL, createdAt: '2026-03-02T09:00:00.000Z' });
+  });
+
+  it('keeps every change made to the parent at the same time', async () => {
+    const results = await Promise.all([
+      updateParentProfile(EMAIL, { name: 'Sam' }),
+      setParentPin(EMAIL, '4821'),
+      recordConsent(EMAIL),
+    ]);
+
+    expect(results.every(result => result.success)).toBe(true);
+    const stored = await parentStorage.getByEmail(EMAIL);
+    expect(stored.name).toBe('Sam');
+    expect(hasParentPin(stored)).toBe(true);
+    expect(hasCurrentConsent(stored)).toBe(true);
+  });
+
+  it('keeps a profile change made while the PIN is removed', async () => {
+    await setParentPin(EMAIL, '4821');
+
+    await Promise.all([
+      removeParentPin(EMAIL),
+      updateParentProfile(EMAIL, { name: 'Sam' }),
+    ]);
+
+    const stored = await parentStorage.getByEmail(EMAIL);
+    expect(stored.name).toBe('Sam');
+    expect(hasParentPin(stored)).toBe(false);
+  });
+
+  it("doesn't create a parent that isn't stored", async () => {
+    const result = await updateParentProfile('nobody@example.com', { name: 'Sam' });
+
+    expect(result).toEqual({ success: false, error: 'Parent not found' });
+    expect(await parentStorage.getByEmail('nobody@example.com')).toBeNull();
+  });
+
+  it("doesn't change the profile data it was given", async () => {
+    const profileData = { name: '  Sam  ' };
+
+    const result = await updateParentProfile(EMAIL, profileData);
+
+    expect(result.parent.name).toBe('Sam');
+    expect(profileData.name).toBe('  Sam  ');
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  GATE_CONFIG,
+  setParentPin,
+  verifyParentPin,
+  getPinLockoutMs,
+  getLockoutDurationMs,
+} from '../services/parentalGateService';
+import { parentStorage, storageService } from '../services/storageService';
+
+const EMAIL = 'parent@example.com';
+
+describe('parent PIN lockout', () => {
+  let parent;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+    await storageService.clear();
+    await parentStorage.save({ email: EMAIL, createdAt: new Date().toISOString() });
+    parent = (await setParentPin(EMAIL, '4821')).parent;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const failTimes = async (count) => {
+    for (let i = 0; i < count; i++) {
+      await verifyParentPin(parent, '0000');
+    }
+  };
+
+  it('counts wrong PINs on the stored parent record', async () => {
+    await failTimes(2);
+
+    const stored = await parentStorage.getByEmail(EMAIL);
+    expect(stored.pinFailures).toBe(2);
+    expect(stored.pinLockedUntil).toBeNull();
+  });
+
+  it('locks out after too many wrong PINs, even for a stale copy of the parent', async () => {
+    await failTimes(GATE_CONFIG.MAX_PIN_ATTEMPTS - 1);
+    const result = await verifyParentPin(parent, '0000');
+
+    expect(result.retryAfterMs).toBe(GATE_CONFIG.LOCKOUT_MS);
+    // `parent` predates every failure, but the stored lock still applies
+    const locked = await verifyParentPin(parent, '4821');
+    expect(locked.valid).toBe(false);
+    expect(locked.error).toBe('Too many wrong PINs. Try again in 1 minute.');
+    expect(getPinLockoutMs(await parentStorage.getByEmail(EMAIL))).toBe(GATE_CONFIG.LOCKOUT_MS);
+  });
+
+  it('keeps the count through a lockout and doubles it for each further wrong PIN', async () => {
+    await failTimes(GATE_CONFIG.MAX_PIN_ATTEMPTS);
+    vi.setSystemTime(Date.now() + GATE_CONFIG.LOCKOUT_MS);
+
+    const result = await verifyParentPin(parent, '0000');
+
+    expect(result).toEqual({
+      valid: false,
+      error: 'Too many wrong PINs. Try again in 2 minutes.',
+      retryAfterMs: 2 * GATE_CONFIG.LOCKOUT_MS,
+    });
+    expect((await parentStorage.getByEmail(EMAIL)).pinFailures).toBe(GATE_CONFIG.MAX_PIN_ATTEMPTS + 1);
+  });
+
+  it('doubles the lockout up to its limit', () => {
+    const max = GATE_CONFIG.MAX_PIN_ATTEMPTS;
+
+    expect(getLockoutDurationMs(max - 1)).toBe(0);
+    expect(getLockoutDurationMs(max)).toBe(GATE_CONFIG.LOCKOUT_MS);
+    expect(getLockoutDurationMs(max + 2)).toBe(4 * GATE_CONFIG.LOCKOUT_MS);
+    expect(getLockoutDurationMs(max + 20)).toBe(GATE_CONFIG.MAX_LOCKOUT_MS);
+  });
+
+  it('keeps counting across concurrent attempts', async () => {
+    await Promise.all([1, 2, 3].map(() => verifyParentPin(parent, '0000')));
+
+    expect((await parentStorage.getByEmail(EMAIL)).pinFailures).toBe(3);
+  });
+
+  it('accepts the PIN once the lockout has passed and clears the count', async () => {
+    await failTimes(GATE_CONFIG.MAX_PIN_ATTEMPTS);
+    vi.setSystemTime(Date.now() + GATE_CONFIG.LOCKOUT_MS);
+
+    expect(await verifyParentPin(parent, '4821')).toEqual({ valid: true, error: null });
+    const stored = await parentStorage.getByEmail(EMAIL);
+    expect(stored.pinFailures).toBeUndefined();
+    expect(stored.pinLockedUntil).toBeUndefined();
+  });
+
+  it('resets the count when the PIN is changed', async () => {
+    await failTimes(3);
+    await setParentPin(EMAIL, '7350');
+
+    expect((await parentStorage.getByEmail(EMAIL)).pinFailures).toBeUndefined();
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PHONEMES,
+  PHONEME_SYMBOLS,
+  PHONEME_SYSTEMS,
+  getPhoneme,
+  isKnownPhoneme,
+  normalizePhoneme,
+  toIPA,
+  toARPAbet,
+  isSamePhoneme,
+  describeSubstitution,
+} from '../utils/phonemeInventory';
+
+describe('IPA and ARPAbet round trips', () => {
+  it.each(PHONEMES.map(phoneme => [phoneme.label]))('maps %s to IPA, ARPAbet and back', (label) => {
+    const ipa = toIPA(label);
+    const arpabet = toARPAbet(label);
+
+    expect(normalizePhoneme(ipa, PHONEME_SYSTEMS.IPA)).toBe(label);
+    expect(normalizePhoneme(arpabet, PHONEME_SYSTEMS.ARPABET)).toBe(label);
+    expect(toARPAbet(ipa, PHONEME_SYSTEMS.IPA)).toBe(arpabet);
+    expect(toIPA(arpabet, PHONEME_SYSTEMS.ARPABET)).toBe(ipa);
+  });
+
+  it('gives every phoneme its own label, IPA and ARPAbet symbol', () => {
+    for (const system of ['label', 'ipa', 'arpabet']) {
+      expect(new Set(PHONEMES.map(phoneme => phoneme[system])).size).toBe(PHONEMES.length);
+    }
+    expect(PHONEME_SYMBOLS).toEqual(PHONEMES.map(phoneme => phoneme.label));
+  });
+
+  it('reads ARPAbet stress digits and the unstressed schwa', () => {
+    expect(normalizePhoneme('IY1', PHONEME_SYSTEMS.ARPABET)).toBe('i');
+    expect(normalizePhoneme('ih0', PHONEME_SYSTEMS.ARPABET)).toBe('I');
+    expect(normalizePhoneme('AH1', PHONEME_SYSTEMS.ARPABET)).toBe('V');
+    expect(normalizePhoneme('AH0', PHONEME_SYSTEMS.ARPABET)).toBe('@');
+  });
+
+  it('reads IPA length marks, stress marks and brackets', () => {
+    expect(normalizePhoneme('iː')).toBe('i');
+    expect(normalizePhoneme('/ˈɪ/')).toBe('I');
+    expect(normalizePhoneme('[ɹ]')).toBe('r');
+    expect(normalizePhoneme('ʧ')).toBe('tS');
+  });
+
+  it('reads a symbol in the system it is given', () => {
+    // "T" is θ as an app label but t in ARPAbet
+    expect(toIPA('T')).toBe('θ');
+    expect(toIPA('T', PHONEME_SYSTEMS.ARPABET)).toBe('t');
+  });
+});
+
+describe('phoneme features', () => {
+  it('describes a vowel', () => {
+    expect(getPhoneme('I')).toEqual({
+      label: 'I',
+      ipa: 'ɪ',
+      arpabet: 'IH',
+      type: 'vowel',
+      voiced: true,
+      height: 'near-close',
+      backness: 'front',
+      rounded: false,
+      example: 'sit',
+    });
+  });
+
+  it('describes a consonant', () => {
+    expect(getPhoneme('s')).toMatchObject({ type: 'consonant', voiced: false, place: 'alveolar', manner: 'fricative' });
+    expect(getPhoneme('dZ')).toMatchObject({ type: 'consonant', voiced: true, place: 'postalveolar', manner: 'affricate' });
+    expect(getPhoneme('aU')).toMatchObject({ type: 'diphthong', voiced: true, example: 'house' });
+  });
+
+  it('grades a substitution by the features that changed', () => {
+    expect(describeSubstitution('s', 'z')).toEqual({
+      same: false,
+      similarity: 0.67,
+      differences: ['voicing'],
+      description: 'Very close: only the voicing differs',
+    });
+    expect(describeSubstitution('r', 'w').differences).toEqual(['place']);
+    expect(describeSubstitution('i', 'I')).toMatchObject({ differences: ['height'], similarity: 0.94 });
+    expect(describeSubstitution('l', 'i').description).toBe('A vowel instead of a consonant');
+    expect(describeSubstitution('eI', 'E').description).toBe('Close: a steady vowel instead of a gliding one');
+    expect(describeSubstitution('ɹ', 'R').same).toBe(true);
+  });
+});
+
+describe('unknown symbols', () => {
+  it('finds nothing for symbols outside the inventory', () => {
+    for (const symbol of ['Q', 'ʁ', 'XX', 'IY9', '', '   ', null, undefined, 42]) {
+      expect(getPhoneme(symbol)).toBeNull();
+      expect(normalizePhoneme(symbol)).toBeNull();
+      expect(toIPA(symbol)).toBeNull();
+      expect(toARPAbet(symbol)).toBeNull();
+    }
+  });
+
+  it("doesn't read a symbol from another system when one is given", () => {
+    expect(getPhoneme('ɪ', PHONEME_SYSTEMS.ARPABET)).toBeNull();
+    expect(getPhoneme('IH', PHONEME_SYSTEMS.IPA)).toBeNull();
+    expect(getPhoneme('ɪ', PHONEME_SYSTEMS.LABEL)).toBeNull();
+  });
+
+  it('only accepts canonical labels as known', () => {
+    expect(isKnownPhoneme('O')).toBe(true);
+    expect(isKnownPhoneme('O:')).toBe(false);
+    expect(isKnownPhoneme('ɔ')).toBe(false);
+    expect(isKnownPhoneme('Q')).toBe(false);
+  });
+
+  it('never matches an unknown symbol, not even itself', () => {
+    expect(isSamePhoneme('Q', 'Q')).toBe(false);
+    expect(isSamePhoneme('i:', 'IY1')).toBe(true);
+    expect(describeSubstitution('l', 'Q')).toEqual({
+      same: false,
+      similarity: 0,
+      differences: [],
+      description: 'Unknown sound',
+    });
+  });
+});
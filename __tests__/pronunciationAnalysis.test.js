@@ -0,0 +1,95 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { analyzeWord, loadAudio } from '../services/pronunciationAnalysis';
+import { extractFeatures } from '../utils/mfcc';
+
+// Fixtures are formant-synthesized BALL/BUS takes: the reference at an adult
+// pitch, the attempts at a child's pitch, 25% slower and with shifted formants
+const fixture = name => new Uint8Array(readFileSync(`${__dirname}/fixtures/${name}.wav`));
+const template = JSON.parse(readFileSync(`${__dirname}/fixtures/ball-template.json`, 'utf8'));
+const ball = { ...template, referenceAudio: fixture('ball-reference') };
+
+describe('analyzeWord', () => {
+  it('keeps the result shape HomeScreen reads', async () => {
+    const result = await analyzeWord(fixture('ball-attempt'), ball);
+
+    expect(Object.keys(result).sort()).toEqual(
+      ['alignment', 'decision', 'detectedPhoneme', 'overallWordScore', 'phonemeScore', 'wrongWord']
+    );
+    expect(result.alignment.phonemes.map(phoneme => phoneme.p)).toEqual(['b', 'O', 'l']);
+    expect(['pass', 'fail']).toContain(result.decision.target);
+  });
+
+  it('scores the reference against itself as perfect', async () => {
+    const result = await analyzeWord(fixture('ball-reference'), ball);
+
+    expect(result.overallWordScore).toBe(100);
+    expect(result.phonemeScore).toBe(100);
+    expect(result.decision.target).toBe('pass');
+    expect(result.alignment.target.startMs).toBe(230);
+  });
+
+  it('passes the same word said by a different, slower voice', async () => {
+    const result = await analyzeWord(fixture('ball-attempt'), ball);
+
+    expect(result.decision.target).toBe('pass');
+    expect(result.wrongWord).toBe(false);
+    expect(result.detectedPhoneme).toBe('l');
+    // Stretched by 25%, so the target lands later than in the reference
+    expect(result.alignment.target.startMs).toBeGreaterThan(230);
+    expect(result.alignment.target.endMs).toBeGreaterThan(result.alignment.target.startMs);
+  });
+
+  it('fails a substituted target sound', async () => {
+    const correct = await analyzeWord(fixture('ball-attempt'), ball);
+    const substituted = await analyzeWord(fixture('ball-as-baw'), ball);
+
+    expect(substituted.decision.target).toBe('fail');
+    expect(substituted.phonemeScore).toBeLessThan(correct.phonemeScore - 20);
+  });
+
+  it('scores a different word lower still', async () => {
+    const substituted = await analyzeWord(fixture('ball-as-baw'), ball);
+    const otherWord = await analyzeWord(fixture('bus-attempt'), ball);
+
+    expect(otherWord.decision.target).toBe('fail');
+    expect(otherWord.phonemeScore).toBeLessThan(substituted.phonemeScore);
+  });
+
+  it('resamples recordings made at other sample rates', async () => {
+    const at16k = await analyzeWord(fixture('ball-attempt'), ball);
+    const at44k = await analyzeWord(fixture('ball-attempt-44k'), ball);
+
+    expect(Math.abs(at44k.overallWordScore - at16k.overallWordScore)).toBeLessThanOrEqual(10);
+  });
+
+  it('accepts precomputed reference features', async () => {
+    const pcm = await loadAudio(fixture('ball-reference'));
+    const features = extractFeatures(pcm.samples, pcm.sampleRate);
+    const reference = { ...features, coefficients: features.frames[0].length, source: 'recording' };
+
+    const fromAudio = await analyzeWord(fixture('ball-attempt'), ball);
+    const fromFeatures = await analyzeWord(fixture('ball-attempt'), { ...template, reference });
+
+    expect(fromFeatures.overallWordScore).toBe(fromAudio.overallWordScore);
+    expect(fromFeatures.phonemeScore).toBe(fromAudio.phonemeScore);
+  });
+
+  it('refuses to score against a synthetic placeholder reference', async () => {
+    const pcm = await loadAudio(fixture('ball-reference'));
+    const features = extractFeatures(pcm.samples, pcm.sampleRate);
+    const placeholder = { ...features, coefficients: features.frames[0].length, source: 'synthetic' };
+
+    await expect(analyzeWord(fixture('ball-attempt'), { ...template, reference: placeholder }))
+      .rejects.toThrow("BALL has no recorded reference yet, so it can't be scored");
+  });
+
+  it('rejects a silent recording', async () => {
+    await expect(analyzeWord(fixture('silence'), ball)).rejects.toThrow('too short or silent');
+  });
+
+  it('rejects audio it cannot decode without a browser', async () => {
+    const notWav = new Uint8Array([0x1a, 0x45, 0xdf, 0xa3, 0, 0, 0, 0, 0, 0, 0, 0]);
+    await expect(analyzeWord(notWav, ball)).rejects.toThrow('Unsupported recording format');
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  SESSION_CONFIG,
+  WORD_STATUS,
+  createSessionPlan,
+  getCurrentWord,
+  getRemainingAttempts,
+  recordAttempt,
+  advance,
+  isSessionComplete,
+  summarizeSession,
+} from '../services/sessionPlanner';
+
+vi.mock('../assets/speech', () => import('./fixtures/speechAssets'));
+
+const pass = { overallWordScore: 90, phonemeScore: 85, decision: { target: 'pass' }, wrongWord: false };
+const fail = { overallWordScore: 60, phonemeScore: 40, decision: { target: 'fail' }, wrongWord: false };
+
+const planFor = (options) => {
+  const result = createSessionPlan(options);
+  expect(result.success).toBe(true);
+  return result.plan;
+};
+
+describe('createSessionPlan', () => {
+  it('plans ten words with three attempts each by default', () => {
+    expect(SESSION_CONFIG.WORD_COUNT).toBe(10);
+    expect(SESSION_CONFIG.ATTEMPTS_PER_WORD).toBe(3);
+
+    const plan = planFor({ targetPhoneme: 'l' });
+
+    expect(plan.words).toHaveLength(10);
+    expect(plan.attemptsPerWord).toBe(3);
+    expect(getRemainingAttempts(plan)).toBe(3);
+    // The library has twelve /l/ words, so none repeats
+    expect(new Set(plan.words.map(word => word.wordId)).size).toBe(10);
+    expect(plan.words.map(word => word.status))
+      .toEqual([WORD_STATUS.ACTIVE, ...new Array(9).fill(WORD_STATUS.PENDING)]);
+  });
+
+  it(`falls back to /${SESSION_CONFIG.DEFAULT_TARGET_PHONEME}/ without a target`, () => {
+    const plan = planFor();
+
+    expect(plan.targetPhoneme).toBe(SESSION_CONFIG.DEFAULT_TARGET_PHONEME);
+    expect(plan.words.every(word => word.targetPhoneme === SESSION_CONFIG.DEFAULT_TARGET_PHONEME)).toBe(true);
+  });
+
+  it('repeats the only word for a target that has one', () => {
+    const plan = planFor({ targetPhoneme: 'I' });
+
+    expect(plan.targetPhoneme).toBe('I');
+    expect(plan.words).toHaveLength(10);
+    expect(plan.words.every(word => word.wordId === 'lollipop')).toBe(true);
+  });
+
+  it('cycles through a short list in the same order', () => {
+    const plan = planFor({ targetPhoneme: 'l', position: 'final', random: () => 0 });
+
+    const ids = plan.words.map(word => word.wordId);
+    expect(new Set(ids)).toEqual(new Set(['ball', 'bell', 'owl']));
+    expect(ids.slice(3, 6)).toEqual(ids.slice(0, 3));
+    expect(ids.slice(9)).toEqual(ids.slice(0, 1));
+  });
+
+  it('accepts the target in IPA', () => {
+    expect(planFor({ targetPhoneme: 'ɪ' }).targetPhoneme).toBe('I');
+  });
+
+  it('honours a word count and attempt limit', () => {
+    const plan = planFor({ targetPhoneme: 'l', wordCount: 4, attemptsPerWord: 2 });
+
+    expect(plan.words).toHaveLength(4);
+    expect(getRemainingAttempts(plan)).toBe(2);
+  });
+
+  it('reports a target with no words', () => {
+    expect(createSessionPlan({ targetPhoneme: 's' })).toEqual({ success: false, error: 'No practice words for /s/' });
+    expect(createSessionPlan({ targetPhoneme: 'I', position: 'final' }))
+      .toEqual({ success: false, error: 'No practice words for /I/ (final)' });
+  });
+
+  it('plans a fixed list of words in order', () => {
+    const plan = planFor({ wordIds: ['lamp', 'lollipop'] });
+
+    expect(plan.words.map(word => word.wordId)).toEqual(['lamp', 'lollipop']);
+    expect(plan.targetPhoneme).toBe('l');
+  });
+
+  it('reports unknown words in a fixed list', () => {
+    expect(createSessionPlan({ wordIds: ['lamp', 'spaceship'] }))
+      .toEqual({ success: false, error: 'Unknown word: spaceship' });
+  });
+});
+
+describe('moving through a session', () => {
+  it('moves on after a pass', () => {
+    let plan = planFor({ wordIds: ['lamp', 'leaf'] });
+
+    plan = recordAttempt(plan, pass);
+    expect(getCurrentWord(plan).status).toBe(WORD_STATUS.PASSED);
+    expect(getRemainingAttempts(plan)).toBe(0);
+
+    plan = advance(plan);
+    expect(getCurrentWord(plan)).toMatchObject({ wordId: 'leaf', status: WORD_STATUS.ACTIVE });
+  });
+
+  it('fails a word once its three attempts are used', () => {
+    let plan = planFor({ wordIds: ['lamp'] });
+
+    plan = recordAttempt(plan, fail);
+    plan = recordAttempt(plan, fail);
+    expect(getRemainingAttempts(plan)).toBe(1);
+    expect(getCurrentWord(plan).status).toBe(WORD_STATUS.ACTIVE);
+
+    plan = recordAttempt(plan, fail);
+    expect(getCurrentWord(plan).status).toBe(WORD_STATUS.FAILED);
+    expect(recordAttempt(plan, pass)).toBe(plan);
+  });
+
+  it('skips a word left in progress and completes after the last one', () => {
+    let plan = planFor({ wordIds: ['lamp', 'leaf'] });
+
+    plan = advance(recordAttempt(plan, fail));
+    plan = advance(recordAttempt(plan, pass));
+
+    expect(isSessionComplete(plan)).toBe(true);
+    expect(getCurrentWord(plan)).toBeNull();
+    expect(plan.words.map(word => word.status)).toEqual([WORD_STATUS.SKIPPED, WORD_STATUS.PASSED]);
+  });
+
+  it('summarizes the session', () => {
+    let plan = planFor({ wordIds: ['lamp', 'leaf', 'lion'] });
+    plan = advance(recordAttempt(recordAttempt(plan, fail), pass));
+    plan = advance(recordAttempt(recordAttempt(recordAttempt(plan, fail), fail), fail));
+    plan = advance(plan);
+
+    expect(summarizeSession(plan)).toMatchObject({
+      wordCount: 3,
+      wordsPractised: 2,
+      wordsPassed: 1,
+      wordsFailed: 1,
+      wordsSkipped: 1,
+      totalAttempts: 5,
+      passRate: 50,
+      averagePhonemeScore: 49,
+      averageWordScore: 66,
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { deriveKeys, hexToBytes, hmacSha256 } from '../utils/crypto';
+
+const SEED = 'ab'.repeat(32);
+
+describe('storage keys on web', () => {
+  let AsyncStorage;
+  let SecureStore;
+  let getStorageKeys;
+
+  // Fresh modules for each test: the keys are cached once per launch
+  beforeEach(async () => {
+    vi.resetModules();
+    (await import('react-native')).Platform.OS = 'web';
+    AsyncStorage = (await import('@react-native-async-storage/async-storage')).default;
+    SecureStore = await import('expo-secure-store');
+    ({ getStorageKeys } = await import('../services/storageKeyService'));
+  });
+
+  afterEach(async () => {
+    (await import('react-native')).Platform.OS = 'ios';
+    vi.restoreAllMocks();
+  });
+
+  it('derives the keys from the seed saved in AsyncStorage', async () => {
+    await AsyncStorage.setItem('storage_key_seed', SEED);
+
+    const keys = await getStorageKeys();
+
+    expect(keys).toEqual(deriveKeys(hmacSha256(hexToBytes(SEED), 'palura:web-storage:v1')));
+  });
+
+  it('creates a random seed on first use and keeps using it', async () => {
+    const secureStoreWrite = vi.spyOn(SecureStore, 'setItemAsync');
+
+    const keys = await getStorageKeys();
+
+    const seed = await AsyncStorage.getItem('storage_key_seed');
+    expect(seed).toMatch(/^[0-9a-f]{64}$/);
+    expect(keys).toEqual(deriveKeys(hmacSha256(hexToBytes(seed), 'palura:web-storage:v1')));
+    expect(await getStorageKeys()).toBe(keys);
+    expect(secureStoreWrite).not.toHaveBeenCalled();
+  });
+
+  it('derives different keys from a different seed', async () => {
+    await AsyncStorage.setItem('storage_key_seed', 'cd'.repeat(32));
+
+    expect(await getStorageKeys()).not.toEqual(deriveKeys(hmacSha256(hexToBytes(SEED), 'palura:web-storage:v1')));
+  });
+});
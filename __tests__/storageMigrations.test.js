@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { runMigrations, getSchemaVersion, LATEST_SCHEMA_VERSION } from '../services/storageMigrations';
+import {
+  storageService,
+  parentStorage,
+  sessionStorage,
+  otpStorage,
+  childrenStorage,
+  practiceStorage,
+  analyticsStorage,
+  legacyCollections,
+} from '../services/storageService';
+import { dumpStorage } from './mocks/async-storage';
+
+const EMAIL = 'parent@example.com';
+const TOKEN = 'access_legacy';
+const CHILD = { id: 'child_legacy', nickname: 'Maya', dob: '2020-05-14' };
+const ATTEMPT = { id: 'attempt_legacy', childId: CHILD.id, wordId: 'ball', timestamp: '2026-01-05T10:00:00.000Z' };
+
+/**
+ * What a first-release install left behind: one plaintext blob per collection
+ */
+const seedVersion0 = async () => {
+  const raw = {
+    device_fingerprint: 'fp_123',
+    current_session_token: TOKEN,
+    last_signin_email: EMAIL,
+    active_child_id: CHILD.id,
+    parents: { [EMAIL]: { email: EMAIL, name: 'Sam' } },
+    sessions: { [TOKEN]: { accessToken: TOKEN, parentEmail: EMAIL, deviceFingerprint: 'fp_123' } },
+    otp_data: {
+      [EMAIL]: {
+        email: EMAIL,
+        currentOTP: '123456',
+        attempts: [{ otp: '999999', timestamp: 1, success: false }],
+        sends: [],
+      },
+    },
+    children: { [EMAIL]: [CHILD] },
+    practice: { [CHILD.id]: [ATTEMPT] },
+    analytics: [
+      { id: 'event_1', event: 'auth_signup_started', email: EMAIL, timestamp: '2026-01-04T09:00:00.000Z' },
+      { id: 'event_2', event: 'child_created', parentEmail: EMAIL, timestamp: '2026-01-05T09:00:00.000Z' },
+    ],
+  };
+  await AsyncStorage.multiSet(Object.entries(raw).map(([key, value]) => [key, JSON.stringify(value)]));
+};
+
+/**
+ * What schema v4 left behind: one encrypted record per parent holding their
+ * children and one per child holding their attempts
+ */
+const seedVersion4 = async () => {
+  await legacyCollections.childrenByEmail.set(EMAIL, [CHILD, { id: 'child_second', nickname: 'Leo' }]);
+  await legacyCollections.practiceByChildId.set(CHILD.id, [ATTEMPT, { childId: CHILD.id, wordId: 'bus' }]);
+  await storageService.setItem('schema_version', 4);
+};
+
+describe('runMigrations', () => {
+  beforeEach(async () => {
+    await storageService.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('brings a fresh install to the latest version', async () => {
+    const result = await runMigrations();
+
+    expect(result).toMatchObject({ success: true, fromVersion: 0, version: LATEST_SCHEMA_VERSION });
+    expect(await getSchemaVersion()).toBe(LATEST_SCHEMA_VERSION);
+  });
+
+  it('upgrades data from the first release without losing any', async () => {
+    await seedVersion0();
+
+    const result = await runMigrations();
+
+    expect(result.success).toBe(true);
+    expect(result.applied).toEqual(Array.from({ length: LATEST_SCHEMA_VERSION }, (_, i) => i + 1));
+
+    expect(await storageService.getItem('device_id')).toBe('fp_123');
+    expect(await storageService.getItem('current_session_token')).toBe(TOKEN);
+    expect(await parentStorage.getByEmail(EMAIL)).toEqual({ email: EMAIL, name: 'Sam' });
+    expect(await sessionStorage.getByToken(TOKEN)).toEqual({ accessToken: TOKEN, parentEmail: EMAIL, deviceId: 'fp_123' });
+    expect(await otpStorage.getByEmail(EMAIL)).toEqual({
+      email: EMAIL,
+      attempts: [{ timestamp: 1, success: false }],
+      sends: [],
+    });
+    expect(await childrenStorage.getByParentEmail(EMAIL)).toEqual([CHILD]);
+    expect(await practiceStorage.getByChildId(CHILD.id)).toEqual([ATTEMPT]);
+    expect((await analyticsStorage.getAll()).map(event => event.id)).toEqual(['event_1', 'event_2']);
+
+    // Nothing personal is left readable at rest
+    const raw = JSON.stringify(dumpStorage());
+    for (const secret of [EMAIL, TOKEN, 'Maya', '123456', '999999']) {
+      expect(raw).not.toContain(secret);
+    }
+  });
+
+  it('does nothing once up to date', async () => {
+    await seedVersion0();
+    await runMigrations();
+    const before = dumpStorage();
+
+    const result = await runMigrations();
+
+    expect(result).toMatchObject({ success: true, fromVersion: LATEST_SCHEMA_VERSION, applied: [] });
+    expect(dumpStorage()).toEqual(before);
+  });
+
+  it('stops at the failed migration and finishes it on the next run', async () => {
+    await seedVersion0();
+    vi.spyOn(AsyncStorage, 'multiSet').mockRejectedValueOnce(new Error('disk is full'));
+
+    const failed = await runMigrations();
+
+    expect(failed).toMatchObject({ success: false, fromVersion: 0, version: 2, applied: [1, 2] });
+    expect(failed.userMessage).toBe('Your device is out of storage space. Free up some space and try again.');
+    expect(await getSchemaVersion()).toBe(2);
+    expect(await storageService.getItem('parents')).toEqual({ [EMAIL]: { email: EMAIL, name: 'Sam' } });
+
+    const retried = await runMigrations();
+
+    expect(retried).toMatchObject({ success: true, fromVersion: 2, version: LATEST_SCHEMA_VERSION });
+    expect(await parentStorage.getByEmail(EMAIL)).toEqual({ email: EMAIL, name: 'Sam' });
+    expect(await childrenStorage.getByParentEmail(EMAIL)).toEqual([CHILD]);
+  });
+
+  it('gives every child and practice attempt its own key', async () => {
+    await seedVersion4();
+
+    const result = await runMigrations();
+
+    expect(result).toMatchObject({ success: true, fromVersion: 4, applied: [5] });
+    expect((await childrenStorage.getByParentEmail(EMAIL)).map(child => child.id)).toEqual([CHILD.id, 'child_second']);
+    expect(await practiceStorage.getByChildId(CHILD.id)).toEqual([
+      ATTEMPT,
+      { id: `attempt_${CHILD.id}_1`, childId: CHILD.id, wordId: 'bus' },
+    ]);
+    expect(await legacyCollections.childrenByEmail.getIds()).toEqual([]);
+    expect(await legacyCollections.practiceByChildId.getIds()).toEqual([]);
+    expect(Object.keys(dumpStorage())).not.toContain('children:index');
+    expect(Object.keys(dumpStorage())).not.toContain(`practice:${CHILD.id}`);
+  });
+
+  it('finishes an interrupted split without duplicating records', async () => {
+    await seedVersion4();
+    const setItem = AsyncStorage.setItem.bind(AsyncStorage);
+    vi.spyOn(AsyncStorage, 'setItem').mockImplementation(async (key, value) => {
+      if (key === `practice:attempt_${CHILD.id}_1`) {
+        throw new Error('disk is full');
+      }
+      return setItem(key, value);
+    });
+
+    expect((await runMigrations()).success).toBe(false);
+    vi.restoreAllMocks();
+    const retried = await runMigrations();
+
+    expect(retried).toMatchObject({ success: true, fromVersion: 4, applied: [5] });
+    expect(await childrenStorage.getByParentEmail(EMAIL)).toHaveLength(2);
+    expect((await practiceStorage.getByChildId(CHILD.id)).map(attempt => attempt.id))
+      .toEqual([ATTEMPT.id, `attempt_${CHILD.id}_1`]);
+  });
+
+  it('reports an unreadable schema version instead of starting over', async () => {
+    await AsyncStorage.setItem('schema_version', '{not json');
+
+    const result = await runMigrations();
+
+    expect(result).toMatchObject({ success: false, version: null, applied: [] });
+    expect(result.userMessage).toBe("Some saved data couldn't be read. It has been set aside so nothing is overwritten.");
+  });
+
+  it('leaves data from a newer app version alone', async () => {
+    await storageService.setItem('schema_version', LATEST_SCHEMA_VERSION + 1);
+
+    const result = await runMigrations();
+
+    expect(result).toMatchObject({ success: true, version: LATEST_SCHEMA_VERSION + 1, applied: [] });
+  });
+
+  it('shares one run between concurrent callers', async () => {
+    const [first, second] = await Promise.all([runMigrations(), runMigrations()]);
+
+    expect(second).toBe(first);
+  });
+});
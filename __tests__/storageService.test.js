@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  childrenStorage,
+  practiceStorage,
+  collections,
+  storageService,
+  getQuarantinedKeys,
+  STORAGE_ERROR_CODES,
+} from '../services/storageService';
+import { base64ToBytes, bytesToBase64 } from '../utils/crypto';
+import { dumpStorage } from './mocks/async-storage';
+
+const EMAIL = 'parent@example.com';
+
+const attempt = (childId, n) => ({
+  id: `attempt_${childId}_${n}`,
+  childId,
+  wordId: 'ball',
+  timestamp: new Date(Date.UTC(2026, 0, 5, 10, 0, n)).toISOString(),
+});
+
+describe('practiceStorage', () => {
+  beforeEach(async () => {
+    await storageService.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('keeps every attempt added at the same time', async () => {
+    const attempts = Array.from({ length: 20 }, (_, n) => attempt('child_a', n));
+
+    await Promise.all(attempts.map(a => practiceStorage.addAttempt('child_a', a)));
+
+    const stored = await practiceStorage.getByChildId('child_a');
+    expect(stored).toHaveLength(20);
+    expect(stored.map(a => a.id).sort()).toEqual(attempts.map(a => a.id).sort());
+  });
+
+  it('keeps children practising at the same time apart', async () => {
+    await Promise.all([
+      practiceStorage.addAttempt('child_a', attempt('child_a', 1)),
+      practiceStorage.addAttempt('child_b', attempt('child_b', 1)),
+      practiceStorage.addAttempt('child_a', attempt('child_a', 2)),
+    ]);
+
+    expect((await practiceStorage.getByChildId('child_a')).map(a => a.id))
+      .toEqual(expect.arrayContaining(['attempt_child_a_1', 'attempt_child_a_2']));
+    expect(await practiceStorage.getByChildId('child_b')).toEqual([attempt('child_b', 1)]);
+  });
+
+  it('writes only the new attempt and the child index when adding', async () => {
+    for (let n = 0; n < 5; n++) {
+      await practiceStorage.addAttempt('child_a', attempt('child_a', n));
+    }
+    const setItem = vi.spyOn(AsyncStorage, 'setItem');
+
+    await practiceStorage.addAttempt('child_a', attempt('child_a', 5));
+
+    const written = setItem.mock.calls.map(([key]) => key);
+    expect(written).toHaveLength(2);
+    expect(written).toContain(await collections.practice.recordKey('attempt_child_a_5'));
+    expect(written).toContain(await collections.practiceByChild.recordKey('child_a'));
+  });
+
+  it('returns attempts oldest first', async () => {
+    for (let n = 0; n < 3; n++) {
+      await practiceStorage.addAttempt('child_a', attempt('child_a', n));
+    }
+
+    expect((await practiceStorage.getByChildId('child_a')).map(a => a.id))
+      .toEqual(['attempt_child_a_0', 'attempt_child_a_1', 'attempt_child_a_2']);
+  });
+
+  it('deletes every attempt and the index for a child', async () => {
+    for (let n = 0; n < 3; n++) {
+      await practiceStorage.addAttempt('child_a', attempt('child_a', n));
+    }
+    await practiceStorage.addAttempt('child_b', attempt('child_b', 0));
+
+    await practiceStorage.deleteByChildId('child_a');
+
+    expect(await practiceStorage.getByChildId('child_a')).toEqual([]);
+    expect(Object.keys(dumpStorage()).filter(key => key.includes('child_a'))).toEqual([]);
+    expect(await practiceStorage.getByChildId('child_b')).toHaveLength(1);
+  });
+});
+
+describe('childrenStorage', () => {
+  beforeEach(async () => {
+    await storageService.clear();
+  });
+
+  it('keeps every child added at the same time', async () => {
+    const names = ['Maya', 'Leo', 'Ada', 'Sam', 'Kit'];
+
+    await Promise.all(names.map(nickname => childrenStorage.save(EMAIL, { nickname })));
+
+    const children = await childrenStorage.getByParentEmail(EMAIL);
+    expect(children.map(child => child.nickname).sort()).toEqual([...names].sort());
+    expect(new Set(children.map(child => child.id)).size).toBe(names.length);
+  });
+
+  it("doesn't lose an edit made while another child is added or removed", async () => {
+    const maya = { nickname: 'Maya' };
+    const leo = { nickname: 'Leo' };
+    await childrenStorage.save(EMAIL, maya);
+    await childrenStorage.save(EMAIL, leo);
+
+    await Promise.all([
+      childrenStorage.save(EMAIL, { ...maya, nickname: 'Maya B' }),
+      childrenStorage.delete(EMAIL, leo.id),
+      childrenStorage.save(EMAIL, { nickname: 'Ada' }),
+    ]);
+
+    const children = await childrenStorage.getByParentEmail(EMAIL);
+    expect(children.map(child => child.nickname)).toEqual(['Maya B', 'Ada']);
+  });
+
+  it('keeps concurrent edits to the same child', async () => {
+    const maya = { nickname: 'Maya', avatar: 'fox' };
+    await childrenStorage.save(EMAIL, maya);
+
+    await Promise.all([
+      childrenStorage.update(EMAIL, maya.id, child => ({ ...child, nickname: 'Maya B' })),
+      childrenStorage.update(EMAIL, maya.id, child => ({ ...child, avatar: 'owl' })),
+    ]);
+
+    expect(await collections.children.get(maya.id)).toEqual({ id: maya.id, nickname: 'Maya B', avatar: 'owl' });
+  });
+
+  it("doesn't update another parent's child", async () => {
+    const robin = { nickname: 'Robin' };
+    await childrenStorage.save('other@example.com', robin);
+
+    let seen;
+    await childrenStorage.update(EMAIL, robin.id, (child) => {
+      seen = child;
+      return { ...child, nickname: 'Changed' };
+    });
+
+    expect(seen).toBeNull();
+    expect((await collections.children.get(robin.id)).nickname).toBe('Robin');
+  });
+
+  it("stores each child under its own key, apart from other parents' children", async () => {
+    const maya = { nickname: 'Maya' };
+    await childrenStorage.save(EMAIL, maya);
+    await childrenStorage.save('other@example.com', { nickname: 'Robin' });
+
+    expect(await collections.children.get(maya.id)).toEqual(maya);
+    expect(await childrenStorage.getByParentEmail(EMAIL)).toEqual([maya]);
+
+    await childrenStorage.deleteByParentEmail(EMAIL);
+
+    expect(await childrenStorage.getByParentEmail(EMAIL)).toEqual([]);
+    expect(await collections.children.get(maya.id)).toBeNull();
+    expect((await childrenStorage.getByParentEmail('other@example.com')).map(c => c.nickname)).toEqual(['Robin']);
+  });
+});
+
+describe('encrypted values', () => {
+  beforeEach(async () => {
+    await storageService.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('stores encrypted values with the enc1: prefix and reads them back', async () => {
+    await storageService.setItem('profile', { email: EMAIL }, { encrypt: true });
+
+    expect(dumpStorage().profile.startsWith('enc1:')).toBe(true);
+    expect(dumpStorage().profile).not.toContain(EMAIL);
+    expect(await storageService.getItem('profile')).toEqual({ email: EMAIL });
+  });
+
+  it('reads values stored before encryption as plain JSON', async () => {
+    await AsyncStorage.setItem('profile', JSON.stringify({ email: EMAIL }));
+
+    expect(await storageService.getItem('profile')).toEqual({ email: EMAIL });
+  });
+
+  it('quarantines a value whose tag no longer matches', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await storageService.setItem('profile', { email: EMAIL }, { encrypt: true });
+    const bytes = base64ToBytes(dumpStorage().profile.slice('enc1:'.length));
+    bytes[bytes.length - 1] ^= 1;
+    await AsyncStorage.setItem('profile', `enc1:${bytesToBase64(bytes)}`);
+
+    await expect(storageService.getItem('profile')).rejects.toMatchObject({
+      code: STORAGE_ERROR_CODES.CORRUPT_DATA,
+      key: 'profile',
+    });
+    expect((await getQuarantinedKeys()).profile.reason).toBe('Encrypted value failed authentication');
+    // Left as it was: still unreadable, and not overwritten
+    await expect(storageService.getItem('profile')).rejects.toMatchObject({ code: STORAGE_ERROR_CODES.CORRUPT_DATA });
+    await expect(storageService.setItem('profile', {}, { encrypt: true }))
+      .rejects.toMatchObject({ code: STORAGE_ERROR_CODES.CORRUPT_DATA });
+  });
+});
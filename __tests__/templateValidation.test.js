@@ -0,0 +1,109 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { validateTemplate } from '../utils/templateValidation';
+
+const ball = JSON.parse(readFileSync(`${__dirname}/fixtures/ball-template.json`, 'utf8'));
+
+const errorsFor = (template, options) => validateTemplate(template, options).errors;
+
+describe('validateTemplate', () => {
+  it('accepts a complete template', () => {
+    expect(validateTemplate(ball)).toEqual({ valid: true, errors: [] });
+    expect(validateTemplate(ball, { reference: { sr: 16000, durationMs: 360 } }).valid).toBe(true);
+  });
+
+  it('rejects a template that is not an object', () => {
+    expect(validateTemplate(null)).toEqual({ valid: false, errors: ['Template must be an object'] });
+  });
+
+  describe('missing fields', () => {
+    const without = (field) => {
+      const { [field]: _, ...rest } = ball;
+      return rest;
+    };
+
+    it('requires the word', () => {
+      expect(errorsFor(without('word'))).toEqual(['"word" must be a non-empty string']);
+      expect(errorsFor({ ...ball, word: '  ' })).toEqual(['"word" must be a non-empty string']);
+    });
+
+    it('requires the sample rate', () => {
+      expect(errorsFor(without('sr'))).toEqual(['"sr" must be a positive integer sample rate']);
+    });
+
+    it('requires phonemes', () => {
+      const errors = errorsFor(without('phonemes'));
+      expect(errors).toContain('"phonemes" must be a non-empty array');
+      expect(errorsFor({ ...ball, phonemes: [] })).toContain('"phonemes" must be a non-empty array');
+    });
+
+    it('requires the target index', () => {
+      expect(errorsFor(without('targetIndex'))).toEqual(['"targetIndex" undefined is out of range (0-2)']);
+    });
+
+    it("requires each phoneme's symbol and timings", () => {
+      const phonemes = [{ start: 40, end: 120 }, { p: 'O', start: 120 }, ball.phonemes[2]];
+
+      expect(errorsFor({ ...ball, phonemes })).toEqual([
+        'phonemes[0] is missing its "p" symbol',
+        'phonemes[1] "O" needs numeric "start" and "end" >= 0',
+      ]);
+    });
+  });
+
+  describe('sample rate', () => {
+    it('rejects a rate that is not a positive integer', () => {
+      for (const sr of [0, -16000, 16000.5, '16000']) {
+        expect(errorsFor({ ...ball, sr })).toEqual(['"sr" must be a positive integer sample rate']);
+      }
+    });
+
+    it('rejects a reference recorded at a different rate', () => {
+      expect(errorsFor(ball, { reference: { sr: 44100, durationMs: 360 } }))
+        .toEqual(['Reference sample rate 44100 does not match template rate 16000']);
+    });
+  });
+
+  describe('phoneme inventory', () => {
+    const withSymbol = (p) => ({
+      ...ball,
+      phonemes: ball.phonemes.map((phoneme, index) => (index === 1 ? { ...phoneme, p } : phoneme)),
+    });
+
+    it('rejects a symbol not in the inventory', () => {
+      expect(errorsFor(withSymbol('Q'))).toEqual(['phonemes[1] "Q" is not in the phoneme inventory']);
+    });
+
+    it('asks for the canonical label of a known sound', () => {
+      expect(errorsFor(withSymbol('O:'))).toEqual(['phonemes[1] "O:" should use the canonical label "O"']);
+      expect(errorsFor(withSymbol('ɔ'))).toEqual(['phonemes[1] "ɔ" should use the canonical label "O"']);
+    });
+  });
+
+  describe('timings and target', () => {
+    it('rejects a phoneme that ends before it starts or overlaps the previous one', () => {
+      const phonemes = [ball.phonemes[0], { p: 'O', start: 100, end: 90 }, ball.phonemes[2]];
+
+      expect(errorsFor({ ...ball, phonemes })).toEqual([
+        'phonemes[1] "O" ends (90) before it starts (100)',
+        'phonemes[1] "O" overlaps "b" (100 < 120)',
+      ]);
+    });
+
+    it('rejects timings past the end of the reference', () => {
+      expect(errorsFor(ball, { reference: { sr: 16000, durationMs: 250 } }))
+        .toEqual(['phonemes[2] "l" ends after the 250 ms reference']);
+    });
+
+    it('rejects a target index out of range', () => {
+      expect(errorsFor({ ...ball, targetIndex: 3 })).toEqual(['"targetIndex" 3 is out of range (0-2)']);
+    });
+
+    it('rejects a position that disagrees with the target', () => {
+      expect(errorsFor({ ...ball, position: 'initial' }))
+        .toEqual(['"position" is initial but the target phoneme is final']);
+      expect(errorsFor({ ...ball, position: 'middle' }))
+        .toEqual(['"position" must be one of initial, medial, final']);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getWords, getWord, getWordsForPhoneme, getTargetPhonemes, loadWord } from '../services/wordLibrary';
+import { SPEECH_ASSETS } from './fixtures/speechAssets';
+
+vi.mock('../assets/speech', () => import('./fixtures/speechAssets'));
+
+describe('word library catalog', () => {
+  it('lists every registered word in alphabetical order', () => {
+    const words = getWords();
+
+    expect(words).toHaveLength(Object.keys(SPEECH_ASSETS).length);
+    expect(words.map(entry => entry.word)).toEqual([...words.map(entry => entry.word)].sort());
+  });
+
+  it('describes a word from its template', () => {
+    expect(getWord('lollipop')).toEqual({
+      id: 'lollipop',
+      word: 'LOLLIPOP',
+      syllableBreak: 'lo-LI-pop',
+      targetPhoneme: 'I',
+      targetIPA: 'ɪ',
+      position: 'medial',
+    });
+  });
+
+  it('returns null for an unknown word', () => {
+    expect(getWord('spaceship')).toBeNull();
+  });
+
+  it('lists the target phonemes it has words for', () => {
+    expect(getTargetPhonemes()).toEqual(['I', 'l']);
+  });
+});
+
+describe('getWordsForPhoneme', () => {
+  it('finds the words for a target sound', () => {
+    const words = getWordsForPhoneme('l');
+
+    expect(words).toHaveLength(12);
+    expect(words.every(entry => entry.targetPhoneme === 'l')).toBe(true);
+    expect(words.map(entry => entry.id)).not.toContain('lollipop');
+  });
+
+  it('accepts IPA and ARPAbet spellings of the target', () => {
+    expect(getWordsForPhoneme('ɪ').map(entry => entry.id)).toEqual(['lollipop']);
+    expect(getWordsForPhoneme('IH').map(entry => entry.id)).toEqual(['lollipop']);
+    expect(getWordsForPhoneme('L')).toEqual(getWordsForPhoneme('l'));
+  });
+
+  it('narrows to one position', () => {
+    expect(getWordsForPhoneme('l', 'initial').map(entry => entry.id))
+      .toEqual(['lake', 'lamp', 'leaf', 'lion', 'log']);
+    expect(getWordsForPhoneme('l', 'final').map(entry => entry.id)).toEqual(['ball', 'bell', 'owl']);
+    expect(getWordsForPhoneme('I', 'initial')).toEqual([]);
+  });
+
+  it('finds nothing for a sound without words or not in the inventory', () => {
+    expect(getWordsForPhoneme('s')).toEqual([]);
+    expect(getWordsForPhoneme('xx')).toEqual([]);
+  });
+});
+
+describe('loadWord', () => {
+  it('loads the template with its reference features', () => {
+    const result = loadWord('ball');
+
+    expect(result.success).toBe(true);
+    expect(result.word).toEqual(getWord('ball'));
+    expect(result.ref).toEqual({ ...SPEECH_ASSETS.ball.template, reference: SPEECH_ASSETS.ball.reference });
+  });
+
+  it('reports an unknown word', () => {
+    expect(loadWord('spaceship')).toEqual({ success: false, error: 'Unknown word: spaceship' });
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Speech asset registry
+ * Metro only bundles static requires, so every word folder under
+ * assets/speech with a recorded reference is listed here with its
+ * template and reference features.
+ *
+ * Generated by scripts/generate-speech-index.mjs - do not edit by hand.
+ */
+export const SPEECH_ASSETS = {
+};
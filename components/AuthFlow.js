@@ -12,14 +12,12 @@ export default function AuthFlow({ onAuthSuccess }) {
   const [step, setStep] = useState(AUTH_STEPS.EMAIL);
   const [email, setEmail] = useState(null);
   const [expiresAt, setExpiresAt] = useState(null);
-  const [devOTP, setDevOTP] = useState(null);
+  const [isReturning, setIsReturning] = useState(false);
 
   const handleOTPSent = (data) => {
     setEmail(data.email);
     setExpiresAt(data.expiresAt);
-    if (data.otp) {
-      setDevOTP(data.otp);
-    }
+    setIsReturning(!!data.isReturning);
     setStep(AUTH_STEPS.OTP);
   };
 
@@ -27,7 +25,7 @@ export default function AuthFlow({ onAuthSuccess }) {
     setStep(AUTH_STEPS.EMAIL);
     setEmail(null);
     setExpiresAt(null);
-    setDevOTP(null);
+    setIsReturning(false);
   };
 
   const handleOTPSuccess = (session, parent) => {
@@ -49,7 +47,7 @@ export default function AuthFlow({ onAuthSuccess }) {
           <OTPVerification
             email={email}
             expiresAt={expiresAt}
-            otp={devOTP}
+            isReturning={isReturning}
             onSuccess={handleOTPSuccess}
             onBack={handleOTPBack}
           />
@@ -0,0 +1,113 @@
+import React from 'react';
+import { View, Text, Pressable, StyleSheet, ScrollView } from 'react-native';
+import { getAvatar } from '../utils/avatars';
+
+export default function ChildPicker({ childProfiles, activeChildId, onSelect }) {
+  return (
+    <ScrollView contentContainerStyle={styles.scrollContent}>
+      <View style={styles.container}>
+        <Text style={styles.title}>Who's practising?</Text>
+        <Text style={styles.subtitle}>
+          Choose a profile so progress is saved for the right child
+        </Text>
+
+        <View style={styles.grid}>
+          {childProfiles.map((child) => {
+            const avatar = getAvatar(child);
+            const isActive = child.id === activeChildId;
+
+            return (
+              <Pressable
+                key={child.id}
+                style={({ pressed }) => [
+                  styles.childCard,
+                  isActive && styles.childCardActive,
+                  pressed && styles.childCardPressed,
+                ]}
+                onPress={() => onSelect(child)}
+              >
+                <View style={[styles.avatar, { backgroundColor: avatar.color }]}>
+                  <Text style={styles.avatarEmoji}>{avatar.emoji}</Text>
+                </View>
+                <Text style={styles.childName} numberOfLines={1}>{child.nickname}</Text>
+                {child.age !== undefined && (
+                  <Text style={styles.childAge}>{child.age} years</Text>
+                )}
+              </Pressable>
+            );
+          })}
+        </View>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  container: {
+    width: '100%',
+    maxWidth: 500,
+    alignSelf: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#64748b',
+    marginBottom: 32,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 16,
+  },
+  childCard: {
+    width: 140,
+    alignItems: 'center',
+    paddingVertical: 20,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#ffffff',
+  },
+  childCardActive: {
+    borderColor: '#0ea5e9',
+  },
+  childCardPressed: {
+    opacity: 0.7,
+  },
+  avatar: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 12,
+  },
+  avatarEmoji: {
+    fontSize: 40,
+  },
+  childName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  childAge: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+});
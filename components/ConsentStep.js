@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { View, Text, Pressable, StyleSheet, ActivityIndicator, ScrollView } from 'react-native';
+import { CONSENT_POINTS, recordConsent, needsReconsent } from '../services/consentService';
+
+export default function ConsentStep({ parent, onConsented, onDecline }) {
+  const [agreed, setAgreed] = useState(false);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const isUpdate = needsReconsent(parent);
+
+  const handleAgree = async () => {
+    setError(null);
+    setLoading(true);
+
+    try {
+      const result = await recordConsent(parent.email);
+
+      if (result.success) {
+        onConsented(result.parent);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Record consent error:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollContent}>
+      <View style={styles.container}>
+        <Text style={styles.title}>
+          {isUpdate ? "We've updated our privacy policy" : 'Before you start'}
+        </Text>
+        <Text style={styles.subtitle}>
+          {isUpdate
+            ? 'Please review the changes and agree to continue using Palura'
+            : 'Please read how Palura uses your child\'s voice'}
+        </Text>
+
+        <View style={styles.card}>
+          {CONSENT_POINTS.map(point => (
+            <View key={point} style={styles.pointRow}>
+              <Text style={styles.bullet}>•</Text>
+              <Text style={styles.pointText}>{point}</Text>
+            </View>
+          ))}
+        </View>
+
+        <Pressable
+          style={styles.checkboxRow}
+          onPress={() => setAgreed(!agreed)}
+          disabled={loading}
+        >
+          <View style={[styles.checkbox, agreed && styles.checkboxChecked]}>
+            {agreed && <Text style={styles.checkmark}>✓</Text>}
+          </View>
+          <Text style={styles.checkboxLabel}>
+            I am the parent or legal guardian, and I agree to the privacy policy and to my child's voice being recorded
+          </Text>
+        </Pressable>
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <Pressable
+          style={({ pressed }) => [
+            styles.button,
+            (loading || !agreed) && styles.buttonDisabled,
+            pressed && !loading && styles.buttonPressed,
+          ]}
+          onPress={handleAgree}
+          disabled={loading || !agreed}
+        >
+          {loading ? (
+            <ActivityIndicator color="#ffffff" />
+          ) : (
+            <Text style={styles.buttonText}>Agree and Continue</Text>
+          )}
+        </Pressable>
+
+        {onDecline && (
+          <Pressable
+            style={({ pressed }) => [styles.declineButton, pressed && styles.buttonPressed]}
+            onPress={onDecline}
+            disabled={loading}
+          >
+            <Text style={styles.declineButtonText}>I don't agree (sign out)</Text>
+          </Pressable>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollContent: {
+    flexGrow: 1,
+    padding: 20,
+  },
+  container: {
+    width: '100%',
+    maxWidth: 500,
+    alignSelf: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#64748b',
+    marginBottom: 24,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    padding: 16,
+    marginBottom: 24,
+  },
+  pointRow: {
+    flexDirection: 'row',
+    marginBottom: 10,
+  },
+  bullet: {
+    fontSize: 15,
+    color: '#0ea5e9',
+    marginRight: 8,
+    lineHeight: 22,
+  },
+  pointText: {
+    flex: 1,
+    fontSize: 15,
+    color: '#334155',
+    lineHeight: 22,
+  },
+  checkboxRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 16,
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#ffffff',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+    marginTop: 2,
+  },
+  checkboxChecked: {
+    borderColor: '#0ea5e9',
+    backgroundColor: '#0ea5e9',
+  },
+  checkmark: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  checkboxLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#334155',
+    lineHeight: 20,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  button: {
+    backgroundColor: '#0ea5e9',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonPressed: {
+    opacity: 0.8,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  declineButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  declineButtonText: {
+    color: '#64748b',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
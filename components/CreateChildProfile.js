@@ -1,17 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, TextInput, Pressable, StyleSheet, ActivityIndicator, ScrollView, Platform } from 'react-native';
-import { createChild, canCreateChild } from '../services/childProfileService';
-
-// Common language options (simplified for MVP)
-const LANGUAGE_OPTIONS = [
-  'English (US)',
-  'English (UK)',
-  'Spanish',
-  'French',
-  'German',
-  'Mandarin',
-  'Other',
-];
+import { createChild, canCreateChild, LANGUAGE_OPTIONS } from '../services/childProfileService';
 
 export default function CreateChildProfile({ parentEmail, onChildCreated, onSkip }) {
   const [nickname, setNickname] = useState('');
@@ -1,13 +1,27 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, TextInput, Pressable, StyleSheet, ActivityIndicator } from 'react-native';
 import { validateEmail } from '../utils/emailValidation';
-import { startSignup } from '../services/authService';
-import { trackEvent } from '../services/analyticsService';
+import { startSignup, getLastSignInEmail } from '../services/authService';
 
 export default function EmailSignIn({ onOTPSent }) {
   const [email, setEmail] = useState('');
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [lastEmail, setLastEmail] = useState(null);
+
+  // Prefill the email of the parent who last signed in on this device
+  useEffect(() => {
+    const loadLastEmail = async () => {
+      const storedEmail = await getLastSignInEmail();
+      if (storedEmail) {
+        setLastEmail(storedEmail);
+        setEmail(current => current || storedEmail);
+      }
+    };
+    loadLastEmail();
+  }, []);
+
+  const isWelcomeBack = !!lastEmail && email.trim().toLowerCase() === lastEmail;
 
   const handleSubmit = async () => {
     setError(null);
@@ -24,24 +38,16 @@ export default function EmailSignIn({ onOTPSent }) {
     try {
       const result = await startSignup(email.trim());
       
-      console.log('[EmailSignIn] Signup result:', { success: result.success, hasOtp: !!result.otp });
+      console.log('[EmailSignIn] Signup result:', { success: result.success });
       
       if (result.success) {
-        // Track success
-        await trackEvent('auth_signup_started', { email: email.trim().toLowerCase() });
-        
         // Call parent callback with email and expiry
         const otpData = {
           email: email.trim().toLowerCase(),
           expiresAt: result.expiresAt,
+          isReturning: result.isReturning,
         };
         
-        // In development, pass OTP for testing
-        if (result.otp) {
-          otpData.otp = result.otp;
-          console.log('[EmailSignIn] Passing OTP to OTPVerification:', result.otp);
-        }
-        
         onOTPSent(otpData);
       } else {
         console.error('[EmailSignIn] Signup failed:', result.error);
@@ -57,9 +63,11 @@ export default function EmailSignIn({ onOTPSent }) {
 
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Create Your Account</Text>
+      <Text style={styles.title}>{isWelcomeBack ? 'Welcome back' : 'Create Your Account'}</Text>
       <Text style={styles.subtitle}>
-        Enter your email address to receive a one-time code
+        {isWelcomeBack
+          ? "We'll send a one-time code to sign you in"
+          : 'Enter your email address to receive a one-time code. Already have an account? Use the same email to sign in.'}
       </Text>
 
       <View style={styles.inputContainer}>
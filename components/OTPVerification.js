@@ -1,24 +1,31 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { View, Text, TextInput, Pressable, StyleSheet, ActivityIndicator } from 'react-native';
 import { completeSignup } from '../services/authService';
-import { getRemainingAttempts } from '../services/otpService';
-import { trackEvent } from '../services/analyticsService';
+import { getRemainingAttempts, resendOTP, getResendStatus } from '../services/otpService';
+import { getLatestMessage } from '../services/otpDelivery';
+import { getStorageErrorMessage } from '../services/storageService';
+import { trackEvent, EVENTS } from '../services/analyticsService';
 
-export default function OTPVerification({ email, expiresAt, otp: devOTP, onSuccess, onBack }) {
+export default function OTPVerification({ email, expiresAt, isReturning = false, onSuccess, onBack }) {
   const [otp, setOtp] = useState(['', '', '', '', '', '']);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [remainingAttempts, setRemainingAttempts] = useState(5);
   const [timeRemaining, setTimeRemaining] = useState(null);
+  const [codeExpiresAt, setCodeExpiresAt] = useState(expiresAt);
+  const [resendAvailableAt, setResendAvailableAt] = useState(null);
+  const [resendCountdown, setResendCountdown] = useState(0);
+  const [resending, setResending] = useState(false);
+  const [resendMessage, setResendMessage] = useState(null);
   const inputRefs = useRef([]);
 
   // Calculate time remaining
   useEffect(() => {
-    if (!expiresAt) return;
+    if (!codeExpiresAt) return;
 
     const updateTimeRemaining = () => {
       const now = Date.now();
-      const remaining = Math.max(0, expiresAt - now);
+      const remaining = Math.max(0, codeExpiresAt - now);
       const minutes = Math.floor(remaining / 60000);
       const seconds = Math.floor((remaining % 60000) / 1000);
       setTimeRemaining(`${minutes}:${seconds.toString().padStart(2, '0')}`);
@@ -28,25 +35,56 @@ export default function OTPVerification({ email, expiresAt, otp: devOTP, onSucce
     const interval = setInterval(updateTimeRemaining, 1000);
 
     return () => clearInterval(interval);
-  }, [expiresAt]);
+  }, [codeExpiresAt]);
+
+  // Load when the next code may be requested
+  useEffect(() => {
+    const loadResendStatus = async () => {
+      try {
+        const status = await getResendStatus(email);
+        if (status.error) {
+          setError(status.error);
+          return;
+        }
+        setResendAvailableAt(Date.now() + status.retryAfterMs);
+      } catch (err) {
+        console.error('Load resend status error:', err);
+        setError('Could not check when a new code can be sent.');
+      }
+    };
+    loadResendStatus();
+  }, [email]);
+
+  // Resend cooldown countdown
+  useEffect(() => {
+    if (!resendAvailableAt) return;
+
+    const updateCountdown = () => {
+      setResendCountdown(Math.max(0, Math.ceil((resendAvailableAt - Date.now()) / 1000)));
+    };
+
+    updateCountdown();
+    const interval = setInterval(updateCountdown, 1000);
+
+    return () => clearInterval(interval);
+  }, [resendAvailableAt]);
 
   // Load remaining attempts
   useEffect(() => {
     const loadAttempts = async () => {
-      const attempts = await getRemainingAttempts(email);
-      setRemainingAttempts(attempts);
+      try {
+        const attempts = await getRemainingAttempts(email);
+        setRemainingAttempts(attempts);
+      } catch (err) {
+        console.error('Load remaining attempts error:', err);
+        setError(getStorageErrorMessage(err, 'Could not load your remaining attempts.'));
+      }
     };
     loadAttempts();
   }, [email]);
 
-  // Auto-fill OTP in development
-  useEffect(() => {
-    if (devOTP && __DEV__) {
-      const digits = devOTP.split('');
-      setOtp(digits);
-    }
-  }, [devOTP]);
-
+  // In development, show the email that landed in the local outbox
+  const devMessage = __DEV__ ? getLatestMessage(email) : null;
   const handleOTPChange = (index, value) => {
     // Only allow digits
     if (value && !/^\d$/.test(value)) {
@@ -100,9 +138,6 @@ export default function OTPVerification({ email, expiresAt, otp: devOTP, onSucce
       const result = await completeSignup(email, otpString);
 
       if (result.success) {
-        // Track success
-        await trackEvent('auth_signup_success', { email });
-        
         // Call parent callback with session
         onSuccess(result.session, result.parent);
       } else {
@@ -120,19 +155,54 @@ export default function OTPVerification({ email, expiresAt, otp: devOTP, onSucce
     }
   };
 
+  const handleResend = async () => {
+    setResending(true);
+    setError(null);
+    setResendMessage(null);
+
+    try {
+      const result = await resendOTP(email, { purpose: isReturning ? 'signin' : 'signup' });
+
+      if (result.success) {
+        await trackEvent(EVENTS.AUTH_OTP_RESENT, { email });
+
+        // The previous code no longer works
+        setOtp(['', '', '', '', '', '']);
+        setCodeExpiresAt(result.expiresAt);
+        setResendMessage('A new code is on its way');
+        inputRefs.current[0]?.focus();
+      } else {
+        setError(result.error);
+      }
+
+      const status = await getResendStatus(email);
+      if (status.error) {
+        setError(status.error);
+      } else {
+        setResendAvailableAt(Date.now() + status.retryAfterMs);
+      }
+    } catch (err) {
+      console.error('Resend OTP error:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setResending(false);
+    }
+  };
+
   const isExpired = timeRemaining === '0:00';
+  const canResend = resendCountdown === 0 && !resending && !loading;
 
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Enter Verification Code</Text>
+      <Text style={styles.title}>{isReturning ? 'Welcome back' : 'Enter Verification Code'}</Text>
       <Text style={styles.subtitle}>
-        We sent a 6-digit code to{'\n'}
+        {isReturning ? 'Enter the 6-digit code we sent to' : 'We sent a 6-digit code to'}{'\n'}
         <Text style={styles.email}>{email}</Text>
       </Text>
 
-      {devOTP && __DEV__ && (
+      {devMessage && (
         <View style={styles.devBanner}>
-          <Text style={styles.devText}>Dev Mode: OTP is {devOTP}</Text>
+          <Text style={styles.devText}>Dev outbox: {devMessage.subject}{'\n'}{devMessage.text}</Text>
         </View>
       )}
 
@@ -167,6 +237,8 @@ export default function OTPVerification({ email, expiresAt, otp: devOTP, onSucce
         </Text>
       )}
 
+      {resendMessage && <Text style={styles.resendMessage}>{resendMessage}</Text>}
+
       {remainingAttempts < 5 && (
         <Text style={styles.attemptsText}>
           {remainingAttempts} attempt{remainingAttempts !== 1 ? 's' : ''} remaining
@@ -185,7 +257,23 @@ export default function OTPVerification({ email, expiresAt, otp: devOTP, onSucce
         {loading ? (
           <ActivityIndicator color="#ffffff" />
         ) : (
-          <Text style={styles.buttonText}>Verify</Text>
+          <Text style={styles.buttonText}>{isReturning ? 'Sign In' : 'Verify'}</Text>
+        )}
+      </Pressable>
+
+      <Pressable
+        style={({ pressed }) => [styles.backButton, pressed && canResend && styles.backButtonPressed]}
+        onPress={handleResend}
+        disabled={!canResend}
+      >
+        {resending ? (
+          <ActivityIndicator color="#0ea5e9" />
+        ) : (
+          <Text style={[styles.resendButtonText, !canResend && styles.resendButtonTextDisabled]}>
+            {resendCountdown > 0
+              ? `Resend code in ${Math.floor(resendCountdown / 60)}:${(resendCountdown % 60).toString().padStart(2, '0')}`
+              : 'Resend code'}
+          </Text>
         )}
       </Pressable>
 
@@ -275,6 +363,21 @@ const styles = StyleSheet.create({
     color: '#ef4444',
     fontWeight: '600',
   },
+  resendMessage: {
+    fontSize: 14,
+    color: '#10b981',
+    textAlign: 'center',
+    marginBottom: 16,
+    fontWeight: '500',
+  },
+  resendButtonText: {
+    color: '#0ea5e9',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  resendButtonTextDisabled: {
+    color: '#94a3b8',
+  },
   attemptsText: {
     fontSize: 14,
     color: '#f59e0b',
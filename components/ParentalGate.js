@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Pressable, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import {
+  GATE_CONFIG,
+  createChallenge,
+  checkChallengeAnswer,
+  hasParentPin,
+  verifyParentPin,
+  sendPinResetCode,
+  resetPinWithCode,
+} from '../services/parentalGateService';
+import { trackEvent, EVENTS } from '../services/analyticsService';
+
+const MODES = {
+  CHALLENGE: 'challenge',
+  PIN: 'pin',
+  RESET: 'reset',
+};
+
+export default function ParentalGate({ parent, onUnlock, onCancel, onParentChanged }) {
+  const [mode, setMode] = useState(hasParentPin(parent) ? MODES.PIN : MODES.CHALLENGE);
+  const [challenge, setChallenge] = useState(createChallenge);
+  const [input, setInput] = useState('');
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const unlock = async () => {
+    await trackEvent(EVENTS.PARENTAL_GATE_PASSED, {
+      parentEmail: parent.email,
+      method: mode,
+    });
+    onUnlock();
+  };
+
+  const handleSubmit = async () => {
+    setError(null);
+    setMessage(null);
+
+    if (mode === MODES.CHALLENGE) {
+      if (checkChallengeAnswer(challenge, input)) {
+        await unlock();
+        return;
+      }
+      // A new question each time so answers can't be guessed one by one
+      setChallenge(createChallenge());
+      setInput('');
+      setError('Not quite. Try this one.');
+      return;
+    }
+
+    if (mode === MODES.PIN) {
+      const result = await verifyParentPin(parent, input);
+      setInput('');
+      if (result.valid) {
+        await unlock();
+        return;
+      }
+      setError(result.error);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await resetPinWithCode(parent.email, input);
+      if (result.success) {
+        await onParentChanged?.();
+        await unlock();
+      } else {
+        setInput('');
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('PIN reset error:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleForgotPin = async () => {
+    setError(null);
+    setMessage(null);
+    setLoading(true);
+    try {
+      const result = await sendPinResetCode(parent.email);
+      if (result.success) {
+        setMode(MODES.RESET);
+        setInput('');
+        setMessage(`We sent a code to ${parent.email}`);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Send PIN reset code error:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const prompt = {
+    [MODES.CHALLENGE]: challenge.question,
+    [MODES.PIN]: 'Enter your parent PIN',
+    [MODES.RESET]: 'Enter the 6-digit code to remove your PIN',
+  }[mode];
+
+  const maxLength = mode === MODES.PIN ? GATE_CONFIG.PIN_LENGTH : mode === MODES.RESET ? 6 : 3;
+
+  return (
+    <ScrollView
+      contentContainerStyle={styles.scrollContent}
+      keyboardShouldPersistTaps="handled"
+    >
+      <View style={styles.container}>
+        <Text style={styles.title}>Grown-ups only</Text>
+        <Text style={styles.subtitle}>{prompt}</Text>
+
+        <TextInput
+          style={[styles.input, error && styles.inputError]}
+          value={input}
+          onChangeText={(text) => {
+            setInput(text.replace(/\D/g, ''));
+            setError(null);
+          }}
+          keyboardType="number-pad"
+          secureTextEntry={mode === MODES.PIN}
+          maxLength={maxLength}
+          editable={!loading}
+          autoFocus
+          onSubmitEditing={handleSubmit}
+        />
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+        {message && <Text style={styles.messageText}>{message}</Text>}
+
+        <Pressable
+          style={({ pressed }) => [
+            styles.button,
+            (loading || !input) && styles.buttonDisabled,
+            pressed && !loading && styles.buttonPressed,
+          ]}
+          onPress={handleSubmit}
+          disabled={loading || !input}
+        >
+          {loading ? (
+            <ActivityIndicator color="#ffffff" />
+          ) : (
+            <Text style={styles.buttonText}>Continue</Text>
+          )}
+        </Pressable>
+
+        {mode === MODES.PIN && (
+          <Pressable
+            style={({ pressed }) => [styles.linkButton, pressed && styles.buttonPressed]}
+            onPress={handleForgotPin}
+            disabled={loading}
+          >
+            <Text style={styles.linkText}>Forgot PIN?</Text>
+          </Pressable>
+        )}
+
+        {onCancel && (
+          <Pressable
+            style={({ pressed }) => [styles.linkButton, pressed && styles.buttonPressed]}
+            onPress={onCancel}
+            disabled={loading}
+          >
+            <Text style={styles.cancelText}>Back</Text>
+          </Pressable>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  container: {
+    width: '100%',
+    maxWidth: 400,
+    alignSelf: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 18,
+    color: '#334155',
+    marginBottom: 24,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#1e293b',
+    backgroundColor: '#ffffff',
+    textAlign: 'center',
+    letterSpacing: 4,
+  },
+  inputError: {
+    borderColor: '#ef4444',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  messageText: {
+    fontSize: 14,
+    color: '#10b981',
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  button: {
+    backgroundColor: '#0ea5e9',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonPressed: {
+    opacity: 0.8,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  linkButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  linkText: {
+    color: '#0ea5e9',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  cancelText: {
+    color: '#64748b',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
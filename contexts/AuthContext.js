@@ -1,44 +1,175 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
-import { getSession, getParentFromSession } from '../services/authService';
+import {
+  getSession,
+  getParentFromSession,
+  refreshSession,
+  isSessionNearExpiry,
+  signOut as endSession,
+  TOKEN_CONFIG,
+} from '../services/authService';
 import { getChildren } from '../services/childProfileService';
-import { storageService } from '../services/storageService';
+import { purgeExpiredOTPData } from '../services/otpService';
+import { storageService, StorageError } from '../services/storageService';
+import { runMigrations } from '../services/storageMigrations';
+import { setAnalyticsChild } from '../services/analyticsService';
 
 const AuthContext = createContext(null);
 
 const SESSION_STORAGE_KEY = 'current_session_token';
+const REFRESH_STORAGE_KEY = 'current_refresh_token';
+const ACTIVE_CHILD_STORAGE_KEY = 'active_child_id';
+
+/**
+ * Pick the active child from a children list
+ * Uses the stored id when it still exists; a single child is always active.
+ */
+const resolveActiveChild = (childrenData, childId) => {
+  const stored = childrenData.find(child => child.id === childId);
+  if (stored) {
+    return stored;
+  }
+  return childrenData.length === 1 ? childrenData[0] : null;
+};
 
 export function AuthProvider({ children: childrenProp }) {
   const [session, setSession] = useState(null);
   const [parent, setParent] = useState(null);
   const [children, setChildren] = useState([]);
+  const [activeChild, setActiveChild] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Message to show when stored data can't be read or written at startup
+  const [storageError, setStorageError] = useState(null);
+
+  // Bring stored data up to date, then load the session
+  const start = async () => {
+    setStorageError(null);
+    const migration = await runMigrations();
+    if (!migration.success) {
+      // Reading half-migrated data could look like a signed-out, empty app;
+      // stop here and let the parent retry instead
+      console.error('Storage migration failed:', migration.error);
+      setStorageError(migration.userMessage);
+      setLoading(false);
+      return;
+    }
+    await loadSession();
+  };
 
-  // Load session on mount
   useEffect(() => {
-    loadSession();
+    start();
   }, []);
 
+  // Tag analytics events with the child who is practising
+  useEffect(() => {
+    setAnalyticsChild(activeChild?.id);
+  }, [activeChild?.id]);
+
+  // Refresh the access token shortly before it expires while the app is open
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+
+    const delay = new Date(session.expiresAt).getTime() - Date.now() - TOKEN_CONFIG.REFRESH_THRESHOLD_MS;
+    const timer = setTimeout(async () => {
+      try {
+        const refreshed = await refreshStoredSession();
+        if (refreshed) {
+          setSession(refreshed);
+        } else {
+          clearLocalState();
+        }
+      } catch (error) {
+        // Storage trouble - stay signed in; the session check on next launch retries
+        console.error('Error refreshing session:', error);
+      }
+    }, Math.max(0, delay));
+
+    return () => clearTimeout(timer);
+  }, [session?.accessToken]);
+
+  const persistTokens = async (sessionData) => {
+    await storageService.setItem(SESSION_STORAGE_KEY, sessionData.accessToken, { encrypt: true });
+    await storageService.setItem(REFRESH_STORAGE_KEY, sessionData.refreshToken, { encrypt: true });
+  };
+
+  const clearStoredTokens = async () => {
+    await storageService.removeItem(SESSION_STORAGE_KEY);
+    await storageService.removeItem(REFRESH_STORAGE_KEY);
+  };
+
+  const clearLocalState = () => {
+    setSession(null);
+    setParent(null);
+    setChildren([]);
+    setActiveChild(null);
+  };
+
+  /**
+   * Exchange the stored refresh token for a new session
+   * Returns the new session, or null (tokens cleared) if it can't be refreshed.
+   * Throws a StorageError if storage failed, so that isn't mistaken for sign-out.
+   */
+  const refreshStoredSession = async () => {
+    const refreshToken = await storageService.getItem(REFRESH_STORAGE_KEY);
+    if (!refreshToken) {
+      return null;
+    }
+
+    const result = await refreshSession(refreshToken);
+    if (result.code) {
+      throw new StorageError(result.code);
+    }
+    if (!result.success) {
+      console.warn('Session refresh failed:', result.error);
+      await clearStoredTokens();
+      return null;
+    }
+
+    await persistTokens(result.session);
+    return result.session;
+  };
+
   const loadSession = async () => {
     try {
+      // Don't keep verification codes or attempt logs around longer than needed.
+      // Only housekeeping, so a storage failure here mustn't block sign-in.
+      try {
+        await purgeExpiredOTPData();
+      } catch (error) {
+        console.error('Error purging OTP data:', error);
+      }
+      
       const token = await storageService.getItem(SESSION_STORAGE_KEY);
       
       if (token) {
-        const currentSession = await getSession(token);
+        let currentSession = await getSession(token);
+        
+        // Expired or about to expire - refresh instead of signing out
+        if (!currentSession || isSessionNearExpiry(currentSession)) {
+          currentSession = await refreshStoredSession();
+        }
         
         if (currentSession) {
-          const parentData = await getParentFromSession(token);
+          const parentData = await getParentFromSession(currentSession.accessToken);
           const childrenData = await getChildren(currentSession.parentEmail);
+          const activeChildId = await storageService.getItem(ACTIVE_CHILD_STORAGE_KEY);
           
           setSession(currentSession);
           setParent(parentData);
           setChildren(childrenData);
+          setActiveChild(resolveActiveChild(childrenData, activeChildId));
         } else {
           // Session expired or invalid, clear it
-          await storageService.removeItem(SESSION_STORAGE_KEY);
+          await clearStoredTokens();
         }
       }
     } catch (error) {
       console.error('Error loading session:', error);
+      // Don't fall back to signed-out: that would look like the family's data is gone
+      if (error instanceof StorageError) {
+        setStorageError(error.userMessage);
+      }
     } finally {
       setLoading(false);
     }
@@ -47,24 +178,39 @@ export function AuthProvider({ children: childrenProp }) {
   const signIn = async (sessionData, parentData) => {
     setSession(sessionData);
     setParent(parentData);
-    await storageService.setItem(SESSION_STORAGE_KEY, sessionData.accessToken);
+    await persistTokens(sessionData);
     
     // Load children
     const childrenData = await getChildren(sessionData.parentEmail);
+    const activeChildId = await storageService.getItem(ACTIVE_CHILD_STORAGE_KEY);
     setChildren(childrenData);
+    setActiveChild(resolveActiveChild(childrenData, activeChildId));
   };
 
   const signOut = async () => {
-    setSession(null);
-    setParent(null);
-    setChildren([]);
-    await storageService.removeItem(SESSION_STORAGE_KEY);
+    if (session) {
+      await endSession(session.accessToken);
+    }
+    clearLocalState();
+    await clearStoredTokens();
+    await storageService.removeItem(ACTIVE_CHILD_STORAGE_KEY);
   };
 
   const refreshChildren = async () => {
     if (session) {
       const childrenData = await getChildren(session.parentEmail);
       setChildren(childrenData);
+      setActiveChild(resolveActiveChild(childrenData, activeChild?.id));
+    }
+  };
+
+  // Select the child who is practising (null to show the picker again)
+  const selectChild = async (child) => {
+    setActiveChild(child);
+    if (child) {
+      await storageService.setItem(ACTIVE_CHILD_STORAGE_KEY, child.id, { encrypt: true });
+    } else {
+      await storageService.removeItem(ACTIVE_CHILD_STORAGE_KEY);
     }
   };
 
@@ -75,14 +221,24 @@ export function AuthProvider({ children: childrenProp }) {
     }
   };
 
+  // Try loading again after a storage error
+  const retryLoad = async () => {
+    setLoading(true);
+    await start();
+  };
+
   const value = {
     session,
     parent,
     children,
+    activeChild,
     loading,
+    storageError,
+    retryLoad,
     signIn,
     signOut,
     refreshChildren,
+    selectChild,
     refreshParent,
     isAuthenticated: !!session,
   };
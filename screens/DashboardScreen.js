@@ -0,0 +1,378 @@
+import React, { useState, useEffect } from 'react';
+import { SafeAreaView, View, Text, Pressable, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { getChildProgress } from '../services/progressService';
+import { ANALYSIS_CONFIG } from '../services/pronunciationAnalysis';
+import { toIPA } from '../utils/phonemeInventory';
+import { getAvatar } from '../utils/avatars';
+
+const CHART_HEIGHT = 100;
+
+export default function DashboardScreen({ childProfiles, onStartPractice, onManageChildren, onManageDevices, onManagePin, onDeleteAccount, onSignOut }) {
+  const [progressByChild, setProgressByChild] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadProgress = async () => {
+      setLoading(true);
+      setError(null);
+
+      const entries = {};
+      for (const child of childProfiles) {
+        const result = await getChildProgress(child.id);
+        if (result.success) {
+          entries[child.id] = result.progress;
+        } else {
+          setError(result.error);
+        }
+      }
+
+      setProgressByChild(entries);
+      setLoading(false);
+    };
+    loadProgress();
+  }, [childProfiles]);
+
+  return (
+    <SafeAreaView style={styles.safe}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.container}>
+          <Text style={styles.title}>Progress</Text>
+          <Text style={styles.subtitle}>How each child is doing with their sounds</Text>
+
+          {loading && <ActivityIndicator size="large" color="#0ea5e9" />}
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          {!loading && childProfiles.map(child => (
+            <ChildProgressCard
+              key={child.id}
+              child={child}
+              progress={progressByChild[child.id]}
+            />
+          ))}
+
+          {onManageChildren && (
+            <Pressable
+              style={({ pressed }) => [styles.secondaryButton, pressed && styles.buttonPressed]}
+              onPress={onManageChildren}
+            >
+              <Text style={styles.secondaryButtonText}>Manage Children</Text>
+            </Pressable>
+          )}
+
+          {onStartPractice && (
+            <Pressable
+              style={({ pressed }) => [styles.button, pressed && styles.buttonPressed]}
+              onPress={onStartPractice}
+            >
+              <Text style={styles.buttonText}>Back to Practice</Text>
+            </Pressable>
+          )}
+
+          <View style={styles.accountRow}>
+            {onManageDevices && (
+              <Pressable onPress={onManageDevices} style={({ pressed }) => pressed && styles.buttonPressed}>
+                <Text style={styles.accountLink}>Devices</Text>
+              </Pressable>
+            )}
+            {onManagePin && (
+              <Pressable onPress={onManagePin} style={({ pressed }) => pressed && styles.buttonPressed}>
+                <Text style={styles.accountLink}>Parent PIN</Text>
+              </Pressable>
+            )}
+            {onSignOut && (
+              <Pressable onPress={onSignOut} style={({ pressed }) => pressed && styles.buttonPressed}>
+                <Text style={[styles.accountLink, styles.signOutLink]}>Sign Out</Text>
+              </Pressable>
+            )}
+          </View>
+
+          {onDeleteAccount && (
+            <Pressable onPress={onDeleteAccount} style={({ pressed }) => [styles.deleteAccountButton, pressed && styles.buttonPressed]}>
+              <Text style={[styles.accountLink, styles.signOutLink]}>Delete my account</Text>
+            </Pressable>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function ChildProgressCard({ child, progress }) {
+  const avatar = getAvatar(child);
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <View style={[styles.avatar, { backgroundColor: avatar.color }]}>
+          <Text style={styles.avatarEmoji}>{avatar.emoji}</Text>
+        </View>
+        <Text style={styles.childName}>{child.nickname}</Text>
+      </View>
+
+      {!progress || progress.totalAttempts === 0 ? (
+        <Text style={styles.emptyText}>No practice yet</Text>
+      ) : (
+        <>
+          {/* Headline stats */}
+          <View style={styles.statsRow}>
+            <Stat value={progress.sessionsThisWeek} label="Sessions this week" />
+            <Stat value={progress.streak.current} label="Day streak" />
+            <Stat value={progress.streak.longest} label="Best streak" />
+          </View>
+
+          {/* Pass rate per target phoneme */}
+          <Text style={styles.sectionTitle}>Pass rate by sound</Text>
+          {progress.phonemes.map(entry => (
+            <View key={entry.targetPhoneme} style={styles.phonemeRow}>
+              <Text style={styles.phonemeLabel}>/{toIPA(entry.targetPhoneme) || entry.targetPhoneme}/</Text>
+              <View style={styles.passRateTrack}>
+                <View style={[styles.passRateFill, { width: `${entry.passRate}%` }]} />
+              </View>
+              <Text style={styles.passRateText}>{entry.passRate}%</Text>
+            </View>
+          ))}
+
+          {/* Phoneme score trend - one bar per day */}
+          <Text style={styles.sectionTitle}>Sound score, last {progress.trend.length} days</Text>
+          <View style={styles.chart}>
+            {progress.trend.map(day => (
+              <View key={day.date} style={styles.chartColumn}>
+                {day.averagePhonemeScore !== null ? (
+                  <View
+                    style={[
+                      styles.chartBar,
+                      { height: Math.max(2, (day.averagePhonemeScore / 100) * CHART_HEIGHT) },
+                      day.averagePhonemeScore >= ANALYSIS_CONFIG.PASS_THRESHOLD ? styles.chartBarPass : styles.chartBarFail,
+                    ]}
+                  />
+                ) : (
+                  <View style={styles.chartEmpty} />
+                )}
+              </View>
+            ))}
+          </View>
+          <View style={styles.chartAxis}>
+            <Text style={styles.chartAxisText}>{progress.trend[0].date.slice(5)}</Text>
+            <Text style={styles.chartAxisText}>Today</Text>
+          </View>
+        </>
+      )}
+    </View>
+  );
+}
+
+function Stat({ value, label }) {
+  return (
+    <View style={styles.stat}>
+      <Text style={styles.statValue}>{value}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  safe: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    padding: 20,
+  },
+  container: {
+    width: '100%',
+    maxWidth: 500,
+    alignSelf: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#64748b',
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 12,
+  },
+  avatar: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  avatarEmoji: {
+    fontSize: 24,
+  },
+  childName: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: '#0ea5e9',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#64748b',
+    textAlign: 'center',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#334155',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  phonemeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 6,
+  },
+  phonemeLabel: {
+    width: 36,
+    fontSize: 14,
+    color: '#334155',
+  },
+  passRateTrack: {
+    flex: 1,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#e2e8f0',
+    overflow: 'hidden',
+  },
+  passRateFill: {
+    height: '100%',
+    backgroundColor: '#10b981',
+  },
+  passRateText: {
+    width: 40,
+    fontSize: 12,
+    color: '#64748b',
+    textAlign: 'right',
+  },
+  chart: {
+    height: CHART_HEIGHT,
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  chartColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  chartBar: {
+    width: '100%',
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  chartBarPass: {
+    backgroundColor: '#10b981',
+  },
+  chartBarFail: {
+    backgroundColor: '#f59e0b',
+  },
+  chartEmpty: {
+    width: '100%',
+    height: 2,
+    backgroundColor: '#f1f5f9',
+  },
+  chartAxis: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  chartAxisText: {
+    fontSize: 11,
+    color: '#94a3b8',
+  },
+  button: {
+    backgroundColor: '#0ea5e9',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  buttonPressed: {
+    opacity: 0.8,
+  },
+  accountRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 24,
+    marginTop: 16,
+  },
+  accountLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#64748b',
+  },
+  signOutLink: {
+    color: '#ef4444',
+  },
+  deleteAccountButton: {
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#0ea5e9',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  secondaryButtonText: {
+    color: '#0ea5e9',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
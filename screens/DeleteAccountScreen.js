@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { SafeAreaView, View, Text, TextInput, Pressable, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { deleteAccount } from '../services/accountService';
+
+const CONFIRM_WORD = 'DELETE';
+
+const pluralize = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+
+export default function DeleteAccountScreen({ parentEmail, onDeleted, onCancel }) {
+  const [confirmText, setConfirmText] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [summary, setSummary] = useState(null);
+
+  const handleDelete = async () => {
+    setError(null);
+    setLoading(true);
+
+    try {
+      const result = await deleteAccount(parentEmail);
+      if (result.success) {
+        setSummary(result.summary);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Delete account error:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Deleted - show what was removed before leaving the signed-in app
+  if (summary) {
+    return (
+      <SafeAreaView style={styles.safe}>
+        <ScrollView contentContainerStyle={styles.scrollContent}>
+          <View style={styles.container}>
+            <Text style={styles.title}>Account deleted</Text>
+            <Text style={styles.subtitle}>Everything for {parentEmail} has been removed from this device</Text>
+
+            <View style={styles.card}>
+              <Text style={styles.summaryItem}>{pluralize(summary.children, 'child profile')}</Text>
+              <Text style={styles.summaryItem}>{pluralize(summary.practiceAttempts, 'practice attempt')}</Text>
+              <Text style={styles.summaryItem}>{pluralize(summary.recordings, 'recording')}</Text>
+              <Text style={styles.summaryItem}>{pluralize(summary.sessions, 'signed-in device')}</Text>
+              <Text style={styles.summaryItem}>{pluralize(summary.analyticsEvents, 'usage event')}</Text>
+            </View>
+
+            <Pressable
+              style={({ pressed }) => [styles.button, pressed && styles.buttonPressed]}
+              onPress={onDeleted}
+            >
+              <Text style={styles.buttonText}>Done</Text>
+            </Pressable>
+          </View>
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.safe}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.container}>
+          <Text style={styles.title}>Delete my account</Text>
+          <Text style={styles.subtitle}>
+            This permanently deletes your account, every child profile, all practice history and
+            recordings, and signs out all of your devices. It can't be undone.
+          </Text>
+
+          <Text style={styles.label}>Type {CONFIRM_WORD} to confirm</Text>
+          <TextInput
+            style={styles.input}
+            value={confirmText}
+            onChangeText={(text) => {
+              setConfirmText(text);
+              setError(null);
+            }}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            editable={!loading}
+          />
+
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          <Pressable
+            style={({ pressed }) => [
+              styles.deleteButton,
+              (loading || confirmText.trim() !== CONFIRM_WORD) && styles.buttonDisabled,
+              pressed && !loading && styles.buttonPressed,
+            ]}
+            onPress={handleDelete}
+            disabled={loading || confirmText.trim() !== CONFIRM_WORD}
+          >
+            {loading ? (
+              <ActivityIndicator color="#ffffff" />
+            ) : (
+              <Text style={styles.buttonText}>Delete Account</Text>
+            )}
+          </Pressable>
+
+          <Pressable
+            style={({ pressed }) => [styles.cancelButton, pressed && styles.buttonPressed]}
+            onPress={onCancel}
+            disabled={loading}
+          >
+            <Text style={styles.cancelText}>Cancel</Text>
+          </Pressable>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safe: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    padding: 20,
+  },
+  container: {
+    width: '100%',
+    maxWidth: 500,
+    alignSelf: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#64748b',
+    marginBottom: 24,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    padding: 16,
+    marginBottom: 24,
+  },
+  summaryItem: {
+    fontSize: 15,
+    color: '#334155',
+    paddingVertical: 4,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#334155',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#ffffff',
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  deleteButton: {
+    backgroundColor: '#ef4444',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  button: {
+    backgroundColor: '#0ea5e9',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonPressed: {
+    opacity: 0.8,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  cancelButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  cancelText: {
+    color: '#64748b',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
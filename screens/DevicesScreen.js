@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { SafeAreaView, View, Text, Pressable, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { getActiveSessions, revokeSession, revokeOtherSessions } from '../services/authService';
+import { getStorageErrorMessage } from '../services/storageService';
+
+const PLATFORM_NAMES = {
+  ios: 'iPhone / iPad',
+  android: 'Android',
+  web: 'Web browser',
+};
+
+const formatDate = (isoString) => {
+  return new Date(isoString).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+};
+
+export default function DevicesScreen({ parentEmail, currentAccessToken, onSignOut, onDone }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSessions = async () => {
+    try {
+      const activeSessions = await getActiveSessions(parentEmail);
+      setSessions(activeSessions);
+    } catch (err) {
+      console.error('Load sessions error:', err);
+      setError(getStorageErrorMessage(err, 'Could not load devices. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, [parentEmail]);
+
+  const handleRevoke = async (accessToken) => {
+    setError(null);
+    setBusy(true);
+    const result = await revokeSession(parentEmail, accessToken);
+    if (!result.success) {
+      setError(result.error);
+    }
+    await loadSessions();
+    setBusy(false);
+  };
+
+  const handleRevokeOthers = async () => {
+    setError(null);
+    setBusy(true);
+    await revokeOtherSessions(parentEmail, currentAccessToken);
+    await loadSessions();
+    setBusy(false);
+  };
+
+  const otherSessions = sessions.filter(s => s.accessToken !== currentAccessToken);
+
+  return (
+    <SafeAreaView style={styles.safe}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.container}>
+          <Text style={styles.title}>Devices</Text>
+          <Text style={styles.subtitle}>Devices currently signed in to your account</Text>
+
+          {loading && <ActivityIndicator size="large" color="#0ea5e9" />}
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          {!loading && sessions.map(session => {
+            const isCurrent = session.accessToken === currentAccessToken;
+            return (
+              <View key={session.accessToken} style={[styles.sessionCard, isCurrent && styles.sessionCardCurrent]}>
+                <View style={styles.sessionInfo}>
+                  <Text style={styles.deviceName}>
+                    {PLATFORM_NAMES[session.platform] || 'Unknown device'}
+                    {isCurrent && <Text style={styles.currentBadge}>  · This device</Text>}
+                  </Text>
+                  <Text style={styles.sessionDetail}>{session.deviceId}</Text>
+                  <Text style={styles.sessionDetail}>Signed in {formatDate(session.createdAt)}</Text>
+                  <Text style={styles.sessionDetail}>Expires {formatDate(session.refreshExpiresAt || session.expiresAt)}</Text>
+                </View>
+                {!isCurrent && (
+                  <Pressable
+                    style={({ pressed }) => [styles.revokeButton, pressed && styles.buttonPressed]}
+                    onPress={() => handleRevoke(session.accessToken)}
+                    disabled={busy}
+                  >
+                    <Text style={styles.revokeText}>Revoke</Text>
+                  </Pressable>
+                )}
+              </View>
+            );
+          })}
+
+          {!loading && otherSessions.length > 0 && (
+            <Pressable
+              style={({ pressed }) => [styles.secondaryButton, pressed && styles.buttonPressed]}
+              onPress={handleRevokeOthers}
+              disabled={busy}
+            >
+              <Text style={styles.secondaryButtonText}>Sign out all other devices</Text>
+            </Pressable>
+          )}
+
+          <Pressable
+            style={({ pressed }) => [styles.signOutButton, pressed && styles.buttonPressed]}
+            onPress={onSignOut}
+            disabled={busy}
+          >
+            <Text style={styles.buttonText}>Sign Out of This Device</Text>
+          </Pressable>
+
+          <Pressable
+            style={({ pressed }) => [styles.doneButton, pressed && styles.buttonPressed]}
+            onPress={onDone}
+            disabled={busy}
+          >
+            <Text style={styles.doneText}>Done</Text>
+          </Pressable>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safe: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    padding: 20,
+  },
+  container: {
+    width: '100%',
+    maxWidth: 500,
+    alignSelf: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#64748b',
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  sessionCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    padding: 16,
+    marginBottom: 12,
+  },
+  sessionCardCurrent: {
+    borderColor: '#0ea5e9',
+  },
+  sessionInfo: {
+    flex: 1,
+  },
+  deviceName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 4,
+  },
+  currentBadge: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0ea5e9',
+  },
+  sessionDetail: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  revokeButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ef4444',
+  },
+  revokeText: {
+    color: '#ef4444',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#ef4444',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  secondaryButtonText: {
+    color: '#ef4444',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  signOutButton: {
+    backgroundColor: '#ef4444',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  buttonPressed: {
+    opacity: 0.8,
+  },
+  doneButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  doneText: {
+    color: '#64748b',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
@@ -4,24 +4,58 @@
 import React, { useRef, useState, useEffect } from 'react';
 import { SafeAreaView, View, Text, TextInput, Pressable, StyleSheet, StatusBar, Platform, ActivityIndicator } from 'react-native';
 import { analyzeWord } from '../services/pronunciationAnalysis';
+import { loadWord } from '../services/wordLibrary';
+import { recordPracticeAttempt } from '../services/practiceHistoryService';
+import { keepRecordingFile } from '../services/recordingFiles';
+import { trackEvent, EVENTS } from '../services/analyticsService';
+import {
+  createSessionPlan,
+  getCurrentWord,
+  getRemainingAttempts,
+  recordAttempt,
+  advance,
+  isSessionComplete,
+  summarizeSession,
+  SESSION_CONFIG,
+  WORD_STATUS,
+} from '../services/sessionPlanner';
+import { toIPA } from '../utils/phonemeInventory';
+import { getAvatar } from '../utils/avatars';
 
 // Conditionally import expo modules only on native platforms to avoid web initialization errors
 let Speech = null;
 let Audio = null;
+let WavRecorder = null;
 
 if (Platform.OS !== 'web') {
   try {
     Speech = require('expo-speech');
     Audio = require('expo-av').Audio;
+    if (Platform.OS === 'android') {
+      WavRecorder = require('../services/wavRecorder');
+    }
   } catch (e) {
     console.warn('Failed to load expo-speech or expo-av:', e);
   }
 }
 
-// Load template data - using require for React Native compatibility
-const templateData = require('../assets/speech/lollipop/template.json');
+// Record 16 kHz mono WAV on iOS so the analysis service can decode it in pure JS.
+// Android has no PCM container in expo-av, so it records through WavRecorder.
+const getRecordingOptions = () => ({
+  ...Audio.RecordingOptionsPresets.HIGH_QUALITY,
+  ios: {
+    extension: '.wav',
+    outputFormat: Audio.IOSOutputFormat.LINEARPCM,
+    audioQuality: Audio.IOSAudioQuality.MAX,
+    sampleRate: 16000,
+    numberOfChannels: 1,
+    bitRate: 256000,
+    linearPCMBitDepth: 16,
+    linearPCMIsBigEndian: false,
+    linearPCMIsFloat: false,
+  },
+});
 
-const DEFAULT_WORD = 'LOLLIPOP';
 const DEFAULT_DESC = 'The occurrence of fortunate events by chance.';
 
 // Activity states (from state machine)
@@ -32,24 +66,20 @@ const ACTIVITY_STATES = {
   COMPLETE: 'Complete'
 };
 
-// Practice word data matching the user story
-const PRACTICE_WORD = {
-  word: 'LOLLIPOP',
-  syllableBreak: 'lo-LI-pop',
-  targetPhoneme: 'LI',
-  position: 'medial'
-};
-
-export default function HomeScreen() {
-  // Session object - initialized when activity loads
+export default function HomeScreen({ child = null, canRecord = false, onSwitchChild = null, onOpenDashboard = null, targetPhoneme = SESSION_CONFIG.DEFAULT_TARGET_PHONEME, wordId = null }) {
+  // Session plan - initialized when activity loads (see sessionPlanner)
   const [session, setSession] = useState(null);
   
   // Activity state - starts as PromptAndListen
   const [activityState, setActivityState] = useState(ACTIVITY_STATES.PROMPT_AND_LISTEN);
   
-  const [word, setWord] = useState(DEFAULT_WORD);
+  const [word, setWord] = useState('');
   const [desc, setDesc] = useState(DEFAULT_DESC);
   const speakingRef = useRef(false);
+
+  // Template + reference features for the current word (passed to analyzeWord)
+  const wordRef = useRef(null);
+  const [wordError, setWordError] = useState(null);
   
   // Recording state: 'idle' (not recording), 'recording' (currently recording), 'recorded' (has a recording)
   const [recordingStatus, setRecordingStatus] = useState('idle');
@@ -60,26 +90,47 @@ export default function HomeScreen() {
   // Analysis result state
   const [analysisResult, setAnalysisResult] = useState(null);
 
+  const currentWord = getCurrentWord(session);
+
   // Initialize session when component mounts (activity loads)
   useEffect(() => {
     initializeSession();
-  }, []);
+  }, [targetPhoneme, wordId]);
+
+  // Load template + reference whenever the session moves to another word
+  useEffect(() => {
+    if (!currentWord) {
+      return;
+    }
+
+    const result = loadWord(currentWord.wordId);
+    if (!result.success) {
+      console.error('Failed to load word:', result.error);
+      wordRef.current = null;
+      setWordError(result.error);
+      return;
+    }
 
-  // Initialize session object with required properties
+    wordRef.current = result.ref;
+    setWordError(null);
+    setWord(result.word.word);
+  }, [currentWord?.wordId, session?.currentIndex]);
+
+  // Initialize the session plan: an ordered list of words for the target sound
   const initializeSession = () => {
-    const newSession = {
-      targetWord: PRACTICE_WORD.word,           // "LOLLIPOP"
-      targetPhoneme: PRACTICE_WORD.targetPhoneme, // "LI"
-      position: PRACTICE_WORD.position,         // "medial"
-      maxAttempts: 5,                           // Maximum attempts allowed
-      currentAttempt: 0                         // Track current attempt number
-    };
-    
-    setSession(newSession);
+    const result = createSessionPlan(wordId ? { wordIds: [wordId] } : { targetPhoneme });
+    if (!result.success) {
+      console.error('Failed to plan session:', result.error);
+      setWordError(result.error);
+      setSession(null);
+      return;
+    }
+
+    setSession(result.plan);
     setActivityState(ACTIVITY_STATES.PROMPT_AND_LISTEN);
     setAnalysisResult(null); // Reset analysis result
     
-    console.log('Session initialized:', newSession);
+    console.log('Session initialized:', result.plan.words.map(w => w.wordId));
     console.log('Activity state set to:', ACTIVITY_STATES.PROMPT_AND_LISTEN);
   };
   
@@ -91,13 +142,55 @@ export default function HomeScreen() {
     recordingUriRef.current = null;
   };
   
+  // Persist an attempt to the child's practice history (best effort - a
+  // storage failure shouldn't interrupt the activity)
+  const saveAttempt = async (result, uri) => {
+    if (!child || !currentWord) {
+      return;
+    }
+
+    // Only recordings moved out of the cache are stored; web recordings
+    // are in-memory blobs and never are
+    const recordingUri = await keepRecordingFile(uri, child.id);
+    if (recordingUri) {
+      recordingUriRef.current = recordingUri;
+    }
+
+    const saved = await recordPracticeAttempt(child.id, {
+      sessionId: session?.id,
+      wordId: currentWord.wordId,
+      word: currentWord.word,
+      targetPhoneme: currentWord.targetPhoneme,
+      position: currentWord.position,
+      result,
+      recordingUri,
+    });
+    if (!saved.success) {
+      console.error('Failed to save practice attempt:', saved.error);
+    }
+  };
+
   // Handle continue - move to next word or complete
   const handleContinue = () => {
-    if (session && session.currentAttempt >= session.maxAttempts) {
+    const next = advance(session);
+    setSession(next);
+    setAnalysisResult(null);
+    setRecordingStatus('idle');
+    recordingUriRef.current = null;
+
+    if (isSessionComplete(next)) {
+      const summary = summarizeSession(next);
+      trackEvent(EVENTS.PRACTICE_SESSION_COMPLETED, {
+        childId: child?.id || null,
+        sessionId: summary.sessionId,
+        targetPhoneme: summary.targetPhoneme,
+        wordsPassed: summary.wordsPassed,
+        wordCount: summary.wordCount,
+        totalAttempts: summary.totalAttempts,
+      });
       setActivityState(ACTIVITY_STATES.COMPLETE);
     } else {
-      // For MVP, just reset for another attempt
-      initializeSession();
+      setActivityState(ACTIVITY_STATES.PROMPT_AND_LISTEN);
     }
   };
 
@@ -149,6 +242,12 @@ export default function HomeScreen() {
 
   // Request audio permissions and start recording
   const startRecording = async () => {
+    // Never open the microphone without the parent's consent
+    if (!canRecord) {
+      alert('A parent needs to agree to the privacy policy before recording.');
+      return;
+    }
+
     try {
       // On web, use MediaRecorder API
       if (Platform.OS === 'web') {
@@ -176,16 +275,12 @@ export default function HomeScreen() {
             
             // Perform analysis
             try {
-              const result = await analyzeWord(uri, templateData);
+              const result = await analyzeWord(uri, wordRef.current);
               setAnalysisResult(result);
               
-              // Update session attempt counter
-              if (session) {
-                setSession({
-                  ...session,
-                  currentAttempt: session.currentAttempt + 1
-                });
-              }
+              // Record the attempt against the current word in the plan
+              setSession(current => recordAttempt(current, result));
+              await saveAttempt(result, uri);
               
               // Transition to FEEDBACK state
               setActivityState(ACTIVITY_STATES.FEEDBACK);
@@ -229,9 +324,9 @@ export default function HomeScreen() {
       });
 
       // Create a new recording instance
-      const { recording } = await Audio.Recording.createAsync(
-        Audio.RecordingOptionsPresets.HIGH_QUALITY
-      );
+      const recording = WavRecorder
+        ? await WavRecorder.startWavRecording()
+        : (await Audio.Recording.createAsync(getRecordingOptions())).recording;
       
       setRecording(recording);
       setRecordingStatus('recording');
@@ -279,16 +374,12 @@ export default function HomeScreen() {
       
       // Perform analysis
       try {
-        const result = await analyzeWord(uri, templateData);
+        const result = await analyzeWord(uri, wordRef.current);
         setAnalysisResult(result);
         
-        // Update session attempt counter
-        if (session) {
-          setSession({
-            ...session,
-            currentAttempt: session.currentAttempt + 1
-          });
-        }
+        // Record the attempt against the current word in the plan
+        setSession(current => recordAttempt(current, result));
+        await saveAttempt(result, uri);
         
         // Transition to FEEDBACK state
         setActivityState(ACTIVITY_STATES.FEEDBACK);
@@ -380,15 +471,44 @@ export default function HomeScreen() {
       <View style={styles.container}>
         <Text style={styles.title}>Palura · TTS Demo</Text>
 
+        {/* Active child - practice attempts are saved to this profile */}
+        {child && (
+          <View style={styles.childRow}>
+            <View style={[styles.childAvatar, { backgroundColor: getAvatar(child).color }]}>
+              <Text style={styles.childAvatarEmoji}>{getAvatar(child).emoji}</Text>
+            </View>
+            <Text style={styles.childName}>{child.nickname}</Text>
+            {onSwitchChild && (
+              <Pressable onPress={onSwitchChild} style={({ pressed }) => pressed && { opacity: 0.6 }}>
+                <Text style={styles.switchChildText}>Switch</Text>
+              </Pressable>
+            )}
+            {onOpenDashboard && (
+              <Pressable onPress={onOpenDashboard} style={({ pressed }) => pressed && { opacity: 0.6 }}>
+                <Text style={styles.switchChildText}>Progress</Text>
+              </Pressable>
+            )}
+          </View>
+        )}
+
         {/* Large word display - integrated into existing UI */}
-        {session && (
+        {currentWord && (
           <>
-            <Text style={styles.largeWord}>{session.targetWord}</Text>
-            <Text style={styles.syllableBreak}>{PRACTICE_WORD.syllableBreak}</Text>
-            <Text style={styles.label}>Target Phoneme: {session.targetPhoneme} ({session.position})</Text>
+            <Text style={styles.progressText}>
+              Word {session.currentIndex + 1} of {session.words.length} · Attempt {Math.min(currentWord.attempts.length + 1, session.attemptsPerWord)} of {session.attemptsPerWord}
+            </Text>
+            <Text style={styles.largeWord}>{currentWord.word}</Text>
+            <Text style={styles.syllableBreak}>{currentWord.syllableBreak}</Text>
+            <Text style={styles.label}>Target Phoneme: /{toIPA(currentWord.targetPhoneme)}/ ({currentWord.position})</Text>
           </>
         )}
 
+        {wordError && (
+          <View style={styles.warningContainer}>
+            <Text style={styles.warningText}>{wordError}</Text>
+          </View>
+        )}
+
         <Text style={styles.label}>Word</Text>
         <TextInput
           style={styles.input}
@@ -406,7 +526,9 @@ export default function HomeScreen() {
           multiline
         />
 
-        <Text style={styles.prompt}>Can you pronounce the medial position?</Text>
+        {currentWord && (
+          <Text style={styles.prompt}>Can you pronounce the {currentWord.position} position?</Text>
+        )}
 
         {/* PROCESSING State - Show loading spinner */}
         {activityState === ACTIVITY_STATES.PROCESSING && (
@@ -441,15 +563,6 @@ export default function HomeScreen() {
               </View>
             </View>
 
-            {/* Detected Phoneme (if different) */}
-            {analysisResult.detectedPhoneme && analysisResult.detectedPhoneme !== 'I' && (
-              <View style={styles.detectedPhonemeContainer}>
-                <Text style={styles.detectedPhonemeLabel}>
-                  Detected: {analysisResult.detectedPhoneme} (expected: I)
-                </Text>
-              </View>
-            )}
-
             {/* Wrong Word Warning */}
             {analysisResult.wrongWord && (
               <View style={styles.warningContainer}>
@@ -457,28 +570,33 @@ export default function HomeScreen() {
               </View>
             )}
 
-            {/* Retry and Continue Buttons */}
+            {/* Retry (while attempts remain) and Continue Buttons */}
             <View style={styles.feedbackButtonRow}>
-              <Pressable
-                style={({ pressed }) => [styles.feedbackButton, styles.retryButton, pressed && { opacity: 0.8 }]}
-                onPress={handleRetry}
-              >
-                <Text style={styles.buttonText}>🔄 Try Again</Text>
-              </Pressable>
+              {getRemainingAttempts(session) > 0 && (
+                <Pressable
+                  style={({ pressed }) => [styles.feedbackButton, styles.retryButton, pressed && { opacity: 0.8 }]}
+                  onPress={handleRetry}
+                >
+                  <Text style={styles.buttonText}>🔄 Try Again</Text>
+                </Pressable>
+              )}
               <Pressable
                 style={({ pressed }) => [styles.feedbackButton, styles.continueButton, pressed && { opacity: 0.8 }]}
                 onPress={handleContinue}
               >
-                <Text style={styles.buttonText}>✓ Continue</Text>
+                <Text style={styles.buttonText}>
+                  {session.currentIndex + 1 < session.words.length ? '✓ Next Word' : '✓ Finish'}
+                </Text>
               </Pressable>
             </View>
           </View>
         )}
 
         {/* COMPLETE State */}
-        {activityState === ACTIVITY_STATES.COMPLETE && (
+        {activityState === ACTIVITY_STATES.COMPLETE && session && (
           <View style={styles.completeContainer}>
             <Text style={styles.completeText}>🎉 Practice Complete!</Text>
+            <SessionSummary summary={summarizeSession(session)} />
             <Pressable
               style={({ pressed }) => [styles.button, pressed && { opacity: 0.8 }]}
               onPress={initializeSession}
@@ -500,8 +618,9 @@ export default function HomeScreen() {
 
             {recordingStatus === 'idle' && (
               <Pressable
-                style={({ pressed }) => [styles.button, pressed && { opacity: 0.8 }]}
+                style={({ pressed }) => [styles.button, (!canRecord || wordError) && styles.buttonDisabled, pressed && { opacity: 0.8 }]}
                 onPress={startRecording}
+                disabled={!canRecord || !!wordError}
               >
                 <Text style={styles.buttonText}>🎤 Record</Text>
               </Pressable>
@@ -524,6 +643,35 @@ export default function HomeScreen() {
   );
 }
 
+// Summary of a finished session: totals plus a row per word
+function SessionSummary({ summary }) {
+  const statusIcon = {
+    [WORD_STATUS.PASSED]: '✓',
+    [WORD_STATUS.FAILED]: '✗',
+    [WORD_STATUS.SKIPPED]: '–',
+  };
+
+  return (
+    <View style={styles.summaryContainer}>
+      <Text style={styles.summaryHeadline}>
+        {summary.wordsPassed} of {summary.wordCount} words passed
+      </Text>
+      <Text style={styles.summaryDetail}>
+        {summary.totalAttempts} attempt{summary.totalAttempts !== 1 ? 's' : ''}
+        {summary.averagePhonemeScore !== null ? ` · average target score ${summary.averagePhonemeScore}` : ''}
+      </Text>
+      {summary.words.map((item, index) => (
+        <View key={`${item.wordId}-${index}`} style={styles.summaryRow}>
+          <Text style={styles.summaryWord}>{statusIcon[item.status] || '·'} {item.word}</Text>
+          <Text style={styles.summaryScore}>
+            {item.bestPhonemeScore !== null ? item.bestPhonemeScore : '—'}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
 const styles = StyleSheet.create({
   safe: { flex: 1, backgroundColor: '#0ea5e9' },
   container: {
@@ -591,6 +739,9 @@ const styles = StyleSheet.create({
   playButton: {
     backgroundColor: '#10b981',
   },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
   buttonText: { color: 'white', fontSize: 16, fontWeight: '700', letterSpacing: 0.5 },
   helper: { fontSize: 12, color: '#475569', marginTop: 8 },
   // Processing state styles
@@ -669,18 +820,6 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#334155'
   },
-  detectedPhonemeContainer: {
-    backgroundColor: '#fef3c7',
-    padding: 12,
-    borderRadius: 12,
-    borderWidth: 1,
-    borderColor: '#fbbf24'
-  },
-  detectedPhonemeLabel: {
-    fontSize: 14,
-    color: '#92400e',
-    textAlign: 'center'
-  },
   warningContainer: {
     backgroundColor: '#fee2e2',
     padding: 12,
@@ -725,6 +864,71 @@ const styles = StyleSheet.create({
     fontSize: 24,
     fontWeight: '700',
     color: '#10b981'
+  },
+  childRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8
+  },
+  childAvatar: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  childAvatarEmoji: {
+    fontSize: 18
+  },
+  childName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#334155'
+  },
+  switchChildText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0ea5e9'
+  },
+  progressText: {
+    fontSize: 13,
+    color: '#64748b',
+    textAlign: 'center'
+  },
+  // Session summary styles
+  summaryContainer: {
+    alignSelf: 'stretch',
+    backgroundColor: 'white',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    padding: 16,
+    gap: 6
+  },
+  summaryHeadline: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#334155',
+    textAlign: 'center'
+  },
+  summaryDetail: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginBottom: 8
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between'
+  },
+  summaryWord: {
+    fontSize: 15,
+    color: '#334155'
+  },
+  summaryScore: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#334155'
   }
 });
 
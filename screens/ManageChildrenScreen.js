@@ -0,0 +1,521 @@
+import React, { useState } from 'react';
+import { SafeAreaView, View, Text, TextInput, Pressable, StyleSheet, ScrollView, ActivityIndicator, Platform } from 'react-native';
+import { updateChild, deleteChild, LANGUAGE_OPTIONS } from '../services/childProfileService';
+import { AVATARS, getAvatar } from '../utils/avatars';
+
+export default function ManageChildrenScreen({ parentEmail, childProfiles, onChildrenChanged, onAddChild, onDone }) {
+  const [editingChildId, setEditingChildId] = useState(null);
+  const editingChild = childProfiles.find(child => child.id === editingChildId);
+
+  const handleSaved = async () => {
+    setEditingChildId(null);
+    await onChildrenChanged();
+  };
+
+  return (
+    <SafeAreaView style={styles.safe}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.container}>
+          {editingChild ? (
+            <EditChildForm
+              key={editingChild.id}
+              parentEmail={parentEmail}
+              child={editingChild}
+              onSaved={handleSaved}
+              onCancel={() => setEditingChildId(null)}
+            />
+          ) : (
+            <>
+              <Text style={styles.title}>Manage Children</Text>
+              <Text style={styles.subtitle}>Edit profiles, choose avatars or remove a child</Text>
+
+              {childProfiles.map(child => {
+                const avatar = getAvatar(child);
+                return (
+                  <Pressable
+                    key={child.id}
+                    style={({ pressed }) => [styles.childRow, pressed && styles.childRowPressed]}
+                    onPress={() => setEditingChildId(child.id)}
+                  >
+                    <View style={[styles.avatar, { backgroundColor: avatar.color }]}>
+                      <Text style={styles.avatarEmoji}>{avatar.emoji}</Text>
+                    </View>
+                    <View style={styles.childInfo}>
+                      <Text style={styles.childName}>{child.nickname}</Text>
+                      <Text style={styles.childDetails}>{child.age} years · {child.languageProfile}</Text>
+                    </View>
+                    <Text style={styles.editText}>Edit</Text>
+                  </Pressable>
+                );
+              })}
+
+              {onAddChild && (
+                <Pressable
+                  style={({ pressed }) => [styles.secondaryButton, pressed && styles.buttonPressed]}
+                  onPress={onAddChild}
+                >
+                  <Text style={styles.secondaryButtonText}>+ Add Child</Text>
+                </Pressable>
+              )}
+
+              <Pressable
+                style={({ pressed }) => [styles.button, pressed && styles.buttonPressed]}
+                onPress={onDone}
+              >
+                <Text style={styles.buttonText}>Done</Text>
+              </Pressable>
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function EditChildForm({ parentEmail, child, onSaved, onCancel }) {
+  const knownLanguage = LANGUAGE_OPTIONS.includes(child.languageProfile) && child.languageProfile !== 'Other';
+  const [nickname, setNickname] = useState(child.nickname);
+  const [dob, setDob] = useState(child.dob);
+  const [languageProfile, setLanguageProfile] = useState(knownLanguage ? child.languageProfile : '');
+  const [customLanguage, setCustomLanguage] = useState(knownLanguage ? '' : child.languageProfile);
+  const [showCustomLanguage, setShowCustomLanguage] = useState(!knownLanguage);
+  const [avatar, setAvatar] = useState(getAvatar(child).id);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleLanguageChange = (language) => {
+    setError(null);
+    if (language === 'Other') {
+      setShowCustomLanguage(true);
+      setLanguageProfile('');
+    } else {
+      setShowCustomLanguage(false);
+      setLanguageProfile(language);
+      setCustomLanguage('');
+    }
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    setLoading(true);
+
+    try {
+      // updateChild runs the same validators as profile creation
+      const result = await updateChild(parentEmail, child.id, {
+        nickname,
+        dob,
+        languageProfile: showCustomLanguage ? customLanguage : languageProfile,
+        avatar,
+      });
+
+      if (result.success) {
+        await onSaved();
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Update child error:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setError(null);
+    setLoading(true);
+
+    try {
+      const result = await deleteChild(parentEmail, child.id);
+      if (result.success) {
+        await onSaved();
+      } else {
+        setError(result.error);
+        setConfirmingDelete(false);
+      }
+    } catch (err) {
+      console.error('Delete child error:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Text style={styles.title}>Edit {child.nickname}</Text>
+
+      <View style={styles.inputContainer}>
+        <Text style={styles.label}>Avatar</Text>
+        <View style={styles.avatarGrid}>
+          {AVATARS.map(option => (
+            <Pressable
+              key={option.id}
+              style={({ pressed }) => [
+                styles.avatarOption,
+                { backgroundColor: option.color },
+                avatar === option.id && styles.avatarOptionSelected,
+                pressed && styles.buttonPressed,
+              ]}
+              onPress={() => setAvatar(option.id)}
+              disabled={loading}
+            >
+              <Text style={styles.avatarEmoji}>{option.emoji}</Text>
+            </Pressable>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.inputContainer}>
+        <Text style={styles.label}>Nickname *</Text>
+        <TextInput
+          style={styles.input}
+          value={nickname}
+          onChangeText={(text) => {
+            setNickname(text);
+            setError(null);
+          }}
+          placeholder="Enter nickname (2-20 characters)"
+          placeholderTextColor="#94a3b8"
+          maxLength={20}
+          editable={!loading}
+        />
+      </View>
+
+      <View style={styles.inputContainer}>
+        <Text style={styles.label}>Date of Birth *</Text>
+        <TextInput
+          style={styles.input}
+          value={dob}
+          onChangeText={(text) => {
+            setDob(text);
+            setError(null);
+          }}
+          placeholder="YYYY-MM-DD"
+          placeholderTextColor="#94a3b8"
+          editable={!loading}
+          {...(Platform.OS === 'web' && { type: 'date' })}
+        />
+      </View>
+
+      <View style={styles.inputContainer}>
+        <Text style={styles.label}>Language Profile *</Text>
+        <View style={styles.languageOptions}>
+          {LANGUAGE_OPTIONS.map((lang) => {
+            const selected = lang === 'Other' ? showCustomLanguage : languageProfile === lang;
+            return (
+              <Pressable
+                key={lang}
+                style={({ pressed }) => [
+                  styles.languageOption,
+                  selected && styles.languageOptionSelected,
+                  pressed && styles.buttonPressed,
+                ]}
+                onPress={() => handleLanguageChange(lang)}
+                disabled={loading}
+              >
+                <Text style={[styles.languageOptionText, selected && styles.languageOptionTextSelected]}>
+                  {lang}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+
+        {showCustomLanguage && (
+          <TextInput
+            style={styles.input}
+            value={customLanguage}
+            onChangeText={(text) => {
+              setCustomLanguage(text);
+              setError(null);
+            }}
+            placeholder="Enter custom language"
+            placeholderTextColor="#94a3b8"
+            editable={!loading}
+          />
+        )}
+      </View>
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+
+      <Pressable
+        style={({ pressed }) => [styles.button, loading && styles.buttonDisabled, pressed && !loading && styles.buttonPressed]}
+        onPress={handleSave}
+        disabled={loading}
+      >
+        {loading ? (
+          <ActivityIndicator color="#ffffff" />
+        ) : (
+          <Text style={styles.buttonText}>Save Changes</Text>
+        )}
+      </Pressable>
+
+      <Pressable
+        style={({ pressed }) => [styles.skipButton, pressed && styles.buttonPressed]}
+        onPress={onCancel}
+        disabled={loading}
+      >
+        <Text style={styles.skipButtonText}>Cancel</Text>
+      </Pressable>
+
+      {/* Delete with confirmation */}
+      {confirmingDelete ? (
+        <View style={styles.confirmBox}>
+          <Text style={styles.confirmText}>
+            Delete {child.nickname}'s profile? All of their practice history will be removed. This can't be undone.
+          </Text>
+          <View style={styles.confirmButtons}>
+            <Pressable
+              style={({ pressed }) => [styles.confirmButton, styles.confirmCancel, pressed && styles.buttonPressed]}
+              onPress={() => setConfirmingDelete(false)}
+              disabled={loading}
+            >
+              <Text style={styles.confirmCancelText}>Keep</Text>
+            </Pressable>
+            <Pressable
+              style={({ pressed }) => [styles.confirmButton, styles.confirmDelete, pressed && styles.buttonPressed]}
+              onPress={handleDelete}
+              disabled={loading}
+            >
+              <Text style={styles.buttonText}>Delete</Text>
+            </Pressable>
+          </View>
+        </View>
+      ) : (
+        <Pressable
+          style={({ pressed }) => [styles.skipButton, pressed && styles.buttonPressed]}
+          onPress={() => setConfirmingDelete(true)}
+          disabled={loading}
+        >
+          <Text style={styles.deleteText}>Delete Child</Text>
+        </Pressable>
+      )}
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  safe: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    padding: 20,
+  },
+  container: {
+    width: '100%',
+    maxWidth: 500,
+    alignSelf: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#64748b',
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+  childRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    padding: 12,
+    marginBottom: 12,
+  },
+  childRowPressed: {
+    opacity: 0.7,
+  },
+  avatar: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  avatarEmoji: {
+    fontSize: 26,
+  },
+  childInfo: {
+    flex: 1,
+  },
+  childName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  childDetails: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  editText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0ea5e9',
+  },
+  inputContainer: {
+    marginBottom: 24,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#334155',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    fontSize: 16,
+    color: '#1e293b',
+  },
+  avatarGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  avatarOption: {
+    width: 52,
+    height: 52,
+    borderRadius: 26,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 3,
+    borderColor: 'transparent',
+  },
+  avatarOptionSelected: {
+    borderColor: '#0ea5e9',
+  },
+  languageOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  languageOption: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#ffffff',
+  },
+  languageOptionSelected: {
+    backgroundColor: '#0ea5e9',
+    borderColor: '#0ea5e9',
+  },
+  languageOptionText: {
+    fontSize: 14,
+    color: '#334155',
+    fontWeight: '500',
+  },
+  languageOptionTextSelected: {
+    color: '#ffffff',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  button: {
+    backgroundColor: '#0ea5e9',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  buttonDisabled: {
+    backgroundColor: '#cbd5e1',
+    opacity: 0.6,
+  },
+  buttonPressed: {
+    opacity: 0.8,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#0ea5e9',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  secondaryButtonText: {
+    color: '#0ea5e9',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  skipButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  skipButtonText: {
+    color: '#64748b',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  deleteText: {
+    color: '#ef4444',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  confirmBox: {
+    backgroundColor: '#fef2f2',
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 8,
+  },
+  confirmText: {
+    fontSize: 14,
+    color: '#991b1b',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  confirmButtons: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  confirmCancel: {
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  confirmCancelText: {
+    color: '#334155',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  confirmDelete: {
+    backgroundColor: '#ef4444',
+  },
+});
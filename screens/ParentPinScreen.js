@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { SafeAreaView, View, Text, TextInput, Pressable, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { GATE_CONFIG, hasParentPin, setParentPin, removeParentPin } from '../services/parentalGateService';
+
+export default function ParentPinScreen({ parent, onParentChanged, onDone }) {
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const pinSet = hasParentPin(parent);
+
+  const handleSave = async () => {
+    setError(null);
+    setMessage(null);
+
+    if (pin !== confirmPin) {
+      setError("PINs don't match");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await setParentPin(parent.email, pin);
+      if (result.success) {
+        await onParentChanged();
+        setPin('');
+        setConfirmPin('');
+        setMessage(pinSet ? 'PIN changed' : 'PIN set');
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Set PIN error:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setError(null);
+    setMessage(null);
+    setLoading(true);
+    try {
+      const result = await removeParentPin(parent.email);
+      if (result.success) {
+        await onParentChanged();
+        setMessage('PIN removed');
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Remove PIN error:', err);
+      setError('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canSave = pin.length === GATE_CONFIG.PIN_LENGTH && confirmPin.length === GATE_CONFIG.PIN_LENGTH;
+
+  return (
+    <SafeAreaView style={styles.safe}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.container}>
+          <Text style={styles.title}>Parent PIN</Text>
+          <Text style={styles.subtitle}>
+            {pinSet
+              ? 'Your PIN is asked for before parent screens open'
+              : `Without a PIN, parent screens ask a maths question. Set a ${GATE_CONFIG.PIN_LENGTH}-digit PIN instead.`}
+          </Text>
+
+          <Text style={styles.label}>{pinSet ? 'New PIN' : 'PIN'}</Text>
+          <TextInput
+            style={styles.input}
+            value={pin}
+            onChangeText={(text) => {
+              setPin(text.replace(/\D/g, ''));
+              setError(null);
+            }}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={GATE_CONFIG.PIN_LENGTH}
+            editable={!loading}
+          />
+
+          <Text style={styles.label}>Confirm PIN</Text>
+          <TextInput
+            style={styles.input}
+            value={confirmPin}
+            onChangeText={(text) => {
+              setConfirmPin(text.replace(/\D/g, ''));
+              setError(null);
+            }}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={GATE_CONFIG.PIN_LENGTH}
+            editable={!loading}
+          />
+
+          {error && <Text style={styles.errorText}>{error}</Text>}
+          {message && <Text style={styles.messageText}>{message}</Text>}
+
+          <Pressable
+            style={({ pressed }) => [
+              styles.button,
+              (loading || !canSave) && styles.buttonDisabled,
+              pressed && !loading && styles.buttonPressed,
+            ]}
+            onPress={handleSave}
+            disabled={loading || !canSave}
+          >
+            {loading ? (
+              <ActivityIndicator color="#ffffff" />
+            ) : (
+              <Text style={styles.buttonText}>{pinSet ? 'Change PIN' : 'Set PIN'}</Text>
+            )}
+          </Pressable>
+
+          {pinSet && (
+            <Pressable
+              style={({ pressed }) => [styles.secondaryButton, pressed && styles.buttonPressed]}
+              onPress={handleRemove}
+              disabled={loading}
+            >
+              <Text style={styles.secondaryButtonText}>Remove PIN</Text>
+            </Pressable>
+          )}
+
+          <Pressable
+            style={({ pressed }) => [styles.doneButton, pressed && styles.buttonPressed]}
+            onPress={onDone}
+            disabled={loading}
+          >
+            <Text style={styles.doneText}>Done</Text>
+          </Pressable>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safe: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    padding: 20,
+  },
+  container: {
+    width: '100%',
+    maxWidth: 500,
+    alignSelf: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#64748b',
+    marginBottom: 24,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#334155',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    fontSize: 20,
+    color: '#1e293b',
+    backgroundColor: '#ffffff',
+    letterSpacing: 4,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  messageText: {
+    fontSize: 14,
+    color: '#10b981',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  button: {
+    backgroundColor: '#0ea5e9',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonPressed: {
+    opacity: 0.8,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#ef4444',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  secondaryButtonText: {
+    color: '#ef4444',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  doneButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  doneText: {
+    color: '#64748b',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,178 @@
+/**
+ * Build reference features for a practice word
+ *
+ *   node scripts/build-reference.mjs <wordId> [recording.wav]
+ *
+ * Reads assets/speech/<wordId>/template.json and writes
+ * assets/speech/<wordId>/reference.json with the MFCC frames the
+ * pronunciation analysis service aligns attempts against.
+ *
+ * Pass a clean recording of the word (ideally by a therapist, with the
+ * template's phoneme timings measured from that same recording). Without a
+ * recording, a formant-synthesized placeholder is built from the template's
+ * timings and marked `"source": "synthetic"` until a real one is recorded;
+ * the app refuses to score attempts against a placeholder.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { decodeWav, resample } from '../utils/wav.mjs';
+import { extractFeatures, MFCC_CONFIG } from '../utils/mfcc.mjs';
+import { getPhoneme } from '../utils/phonemeInventory.mjs';
+import { REFERENCE_SOURCES } from '../utils/templateValidation.mjs';
+
+const SPEECH_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'speech');
+const TRAILING_SILENCE_MS = 60;
+
+// Rough adult formants (F1, F2, F3 in Hz) for the synthetic placeholder
+const VOICED = {
+  i: [280, 2250, 2900], I: [400, 1900, 2550], E: [550, 1770, 2500],
+  '{': [690, 1660, 2490], A: [710, 1100, 2540], O: [590, 880, 2540],
+  U: [450, 1030, 2380], u: [310, 870, 2250], V: [640, 1190, 2390], '@': [500, 1500, 2500],
+  '3`': [470, 1350, 1700], aI: [660, 1400, 2500], aU: [680, 1100, 2500], OI: [550, 1200, 2500],
+  eI: [450, 2000, 2600], oU: [470, 950, 2400],
+  l: [360, 1000, 2600], r: [350, 1100, 1500], w: [300, 700, 2200], j: [280, 2200, 3000],
+  m: [250, 1100, 2200], n: [250, 1500, 2500], N: [250, 2000, 2700],
+};
+
+// Centre frequency (Hz) of the noise band for fricatives and stop bursts
+const NOISE = {
+  s: 5500, z: 5500, S: 3000, Z: 3000, f: 6500, v: 6500, T: 6000, D: 6000, h: 1500,
+  tS: 3200, dZ: 3200, p: 1000, b: 1000, t: 4000, d: 4000, k: 2200, g: 2200,
+};
+
+/**
+ * Deterministic noise so rebuilding a placeholder doesn't churn the diff
+ */
+const createNoise = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 - 0.5;
+  };
+};
+
+/**
+ * Two-pole resonator applied in place
+ */
+const resonate = (signal, frequency, sampleRate, radius = 0.97) => {
+  const theta = (2 * Math.PI * frequency) / sampleRate;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < signal.length; i++) {
+    const y = signal[i] + 2 * radius * Math.cos(theta) * y1 - radius * radius * y2;
+    y2 = y1;
+    y1 = y;
+    signal[i] = y;
+  }
+};
+
+const normalize = (signal, peak) => {
+  const max = signal.reduce((m, x) => Math.max(m, Math.abs(x)), 0) || 1;
+  for (let i = 0; i < signal.length; i++) {
+    signal[i] = (signal[i] / max) * peak;
+  }
+};
+
+/**
+ * Synthesize one phoneme segment
+ */
+const synthesizePhoneme = (symbol, length, sampleRate, noise, state) => {
+  const segment = new Float32Array(length);
+  const phoneme = getPhoneme(symbol);
+  if (!phoneme) {
+    throw new Error(`"${symbol}" is not in the phoneme inventory`);
+  }
+
+  if (VOICED[symbol]) {
+    for (let i = 0; i < length; i++) {
+      state.phase += 120 / sampleRate;
+      if (state.phase >= 1) {
+        state.phase -= 1;
+        segment[i] = 1;
+      }
+    }
+    VOICED[symbol].forEach(formant => resonate(segment, formant, sampleRate));
+    normalize(segment, phoneme.type === 'consonant' ? 0.3 : 0.5);
+    return segment;
+  }
+
+  if (NOISE[symbol]) {
+    // Stops and affricates: closure silence, then the burst/frication
+    const isStop = phoneme.manner === 'stop' || phoneme.manner === 'affricate';
+    const start = isStop ? Math.floor(length * 0.6) : 0;
+    for (let i = start; i < length; i++) {
+      segment[i] = noise() + (phoneme.voiced ? 0.2 * Math.sin((2 * Math.PI * 120 * i) / sampleRate) : 0);
+    }
+    resonate(segment, NOISE[symbol], sampleRate, 0.9);
+    normalize(segment, 0.2);
+    return segment;
+  }
+
+  throw new Error(`No synthesis parameters for phoneme "${symbol}"`);
+};
+
+/**
+ * Build a placeholder waveform that follows the template's phoneme timings
+ */
+const synthesizeTemplate = (template) => {
+  const sampleRate = template.sr;
+  const last = template.phonemes[template.phonemes.length - 1];
+  const toSamples = ms => Math.round((ms * sampleRate) / 1000);
+  const samples = new Float32Array(toSamples(last.end + TRAILING_SILENCE_MS));
+  const noise = createNoise(template.word.length + 1);
+  const state = { phase: 0 };
+
+  // Low-level background noise keeps silence from being digital zero
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = noise() * 0.002;
+  }
+
+  for (const phoneme of template.phonemes) {
+    const start = toSamples(phoneme.start);
+    const segment = synthesizePhoneme(phoneme.p, toSamples(phoneme.end) - start, sampleRate, noise, state);
+    samples.set(segment, start);
+  }
+
+  return { samples, sampleRate };
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const main = () => {
+  const [wordId, recordingPath] = process.argv.slice(2);
+  if (!wordId) {
+    console.error('Usage: node scripts/build-reference.mjs <wordId> [recording.wav]');
+    process.exit(1);
+  }
+
+  const wordDir = join(SPEECH_DIR, wordId);
+  const template = JSON.parse(readFileSync(join(wordDir, 'template.json'), 'utf8'));
+  const audio = recordingPath
+    ? decodeWav(readFileSync(recordingPath))
+    : synthesizeTemplate(template);
+
+  if (audio.sampleRate !== template.sr) {
+    console.warn(`Resampling ${audio.sampleRate} Hz recording to template rate ${template.sr} Hz`);
+  }
+
+  const samples = resample(audio.samples, audio.sampleRate, MFCC_CONFIG.SAMPLE_RATE);
+  const features = extractFeatures(samples, MFCC_CONFIG.SAMPLE_RATE);
+
+  const reference = {
+    word: template.word,
+    source: recordingPath ? REFERENCE_SOURCES.RECORDING : REFERENCE_SOURCES.SYNTHETIC,
+    sr: MFCC_CONFIG.SAMPLE_RATE,
+    durationMs: Math.round((samples.length / MFCC_CONFIG.SAMPLE_RATE) * 1000),
+    offsetMs: features.offsetMs,
+    hopMs: features.hopMs,
+    coefficients: MFCC_CONFIG.COEFFICIENTS,
+    frames: features.frames.map(frame => frame.map(round)),
+  };
+
+  writeFileSync(join(wordDir, 'reference.json'), `${JSON.stringify(reference)}\n`);
+  console.log(`Wrote ${wordId}/reference.json (${reference.frames.length} frames, ${reference.source})`);
+};
+
+main();
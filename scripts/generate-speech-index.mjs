@@ -0,0 +1,71 @@
+/**
+ * Regenerate assets/speech/index.js
+ *
+ *   node scripts/generate-speech-index.mjs
+ *
+ * Metro can't glob, so the word library reads every word folder through a
+ * static registry. Run this after adding or removing a folder under
+ * assets/speech (each needs a template.json and reference.json), or after
+ * rebuilding a reference from a recording.
+ *
+ * Only words with a recorded reference are listed: the app can't score
+ * against a synthetic placeholder, so those words stay out of the library
+ * until they're recorded.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { REFERENCE_SOURCES } from '../utils/templateValidation.mjs';
+
+const SPEECH_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'speech');
+
+const main = () => {
+  const wordIds = readdirSync(SPEECH_DIR)
+    .filter(name => statSync(join(SPEECH_DIR, name)).isDirectory())
+    .sort();
+
+  const missing = wordIds.filter(id =>
+    !existsSync(join(SPEECH_DIR, id, 'template.json')) ||
+    !existsSync(join(SPEECH_DIR, id, 'reference.json'))
+  );
+  if (missing.length > 0) {
+    console.error(`Missing template.json or reference.json in: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  const isRecorded = id =>
+    JSON.parse(readFileSync(join(SPEECH_DIR, id, 'reference.json'), 'utf8')).source === REFERENCE_SOURCES.RECORDING;
+  const recorded = wordIds.filter(isRecorded);
+  const placeholders = wordIds.filter(id => !recorded.includes(id));
+
+  const entries = recorded.map(id => [
+    `  ${/^[a-z_$][\w$]*$/i.test(id) ? id : `'${id}'`}: {`,
+    `    template: require('./${id}/template.json'),`,
+    `    reference: require('./${id}/reference.json'),`,
+    '  },',
+  ].join('\n'));
+
+  const source = [
+    '/**',
+    ' * Speech asset registry',
+    ' * Metro only bundles static requires, so every word folder under',
+    ' * assets/speech with a recorded reference is listed here with its',
+    ' * template and reference features.',
+    ' *',
+    ' * Generated by scripts/generate-speech-index.mjs - do not edit by hand.',
+    ' */',
+    'export const SPEECH_ASSETS = {',
+    ...entries,
+    '};',
+    '',
+  ].join('\n');
+
+  writeFileSync(join(SPEECH_DIR, 'index.js'), source);
+  console.log(`Indexed ${recorded.length} words`);
+  if (placeholders.length > 0) {
+    console.log(`Left out until recorded (synthetic reference): ${placeholders.join(', ')}`);
+  }
+};
+
+main();
@@ -0,0 +1,148 @@
+/**
+ * Speech template tool
+ *
+ *   node scripts/speech-templates.mjs validate [wordId...]
+ *     Validate template.json (and reference.json, when present) for every
+ *     word under assets/speech, or only the given words. Exits non-zero if
+ *     any template has problems.
+ *
+ *   node scripts/speech-templates.mjs new <wordId> "<phonemes>" <targetIndex> <position> [syllableBreak]
+ *     Scaffold assets/speech/<wordId>/template.json with default phoneme
+ *     durations, e.g.
+ *       node scripts/speech-templates.mjs new lamp "l { m p" 0 initial LAMP
+ *     Measure real timings against the reference recording before shipping.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateTemplate } from '../utils/templateValidation.mjs';
+import { PHONEME_SYMBOLS, getPhoneme } from '../utils/phonemeInventory.mjs';
+
+const SPEECH_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'speech');
+const SAMPLE_RATE = 16000;
+const LEADING_SILENCE_MS = 40;
+
+// Default durations for scaffolded templates
+const DURATIONS_MS = {
+  vowel: 110,
+  diphthong: 140,
+  stop: 80,
+  other: 70,
+};
+
+const readJson = (path) => JSON.parse(readFileSync(path, 'utf8'));
+
+const listWordIds = () => readdirSync(SPEECH_DIR)
+  .filter(name => statSync(join(SPEECH_DIR, name)).isDirectory())
+  .sort();
+
+const validate = (wordIds) => {
+  const ids = wordIds.length > 0 ? wordIds : listWordIds();
+  let failures = 0;
+
+  for (const id of ids) {
+    const templatePath = join(SPEECH_DIR, id, 'template.json');
+    const referencePath = join(SPEECH_DIR, id, 'reference.json');
+    let errors;
+
+    try {
+      const template = readJson(templatePath);
+      const reference = existsSync(referencePath) ? readJson(referencePath) : null;
+      errors = validateTemplate(template, { reference }).errors;
+      if (!reference) {
+        errors.push('Missing reference.json');
+      }
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length > 0) {
+      failures++;
+      console.log(`✗ ${id}`);
+      errors.forEach(error => console.log(`    ${error}`));
+    }
+  }
+
+  console.log(`${ids.length - failures}/${ids.length} templates valid`);
+  process.exit(failures > 0 ? 1 : 0);
+};
+
+const durationFor = (symbol) => {
+  const phoneme = getPhoneme(symbol);
+  if (phoneme?.type === 'diphthong') return DURATIONS_MS.diphthong;
+  if (phoneme?.type === 'vowel') return DURATIONS_MS.vowel;
+  if (phoneme?.manner === 'stop' || phoneme?.manner === 'affricate') return DURATIONS_MS.stop;
+  return DURATIONS_MS.other;
+};
+
+const scaffold = ([wordId, phonemeList, targetIndex, position, syllableBreak]) => {
+  if (!wordId || !phonemeList || targetIndex === undefined || !position) {
+    console.error('Usage: node scripts/speech-templates.mjs new <wordId> "<phonemes>" <targetIndex> <position> [syllableBreak]');
+    process.exit(1);
+  }
+
+  const wordDir = join(SPEECH_DIR, wordId);
+  if (existsSync(join(wordDir, 'template.json'))) {
+    console.error(`${wordId}/template.json already exists`);
+    process.exit(1);
+  }
+
+  let time = LEADING_SILENCE_MS;
+  const phonemes = phonemeList.trim().split(/\s+/).map((p) => {
+    const start = time;
+    time += durationFor(p);
+    return { p, start, end: time };
+  });
+
+  const template = {
+    word: wordId.toUpperCase(),
+    sr: SAMPLE_RATE,
+    syllableBreak: syllableBreak || wordId.toUpperCase(),
+    position,
+    phonemes,
+    targetIndex: Number(targetIndex),
+  };
+
+  const { valid, errors } = validateTemplate(template);
+  if (!valid) {
+    errors.forEach(error => console.error(error));
+    console.error(`Known phonemes: ${PHONEME_SYMBOLS.join(' ')}`);
+    process.exit(1);
+  }
+
+  // One phoneme per line keeps template diffs readable
+  const lines = phonemes.map(({ p, start, end }) => `    ${JSON.stringify({ p, start, end }).replace(/,/g, ', ').replace(/:/g, ': ')}`);
+  const source = [
+    '{',
+    `  "word": ${JSON.stringify(template.word)},`,
+    `  "sr": ${template.sr},`,
+    `  "syllableBreak": ${JSON.stringify(template.syllableBreak)},`,
+    `  "position": ${JSON.stringify(template.position)},`,
+    '  "phonemes": [',
+    lines.join(',\n'),
+    '  ],',
+    `  "targetIndex": ${template.targetIndex}`,
+    '}',
+    '',
+  ].join('\n');
+
+  mkdirSync(wordDir, { recursive: true });
+  writeFileSync(join(wordDir, 'template.json'), source);
+  console.log(`Wrote ${wordId}/template.json`);
+  console.log(`Next: npm run speech:reference -- ${wordId} <recording.wav> && npm run speech:index`);
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+  case 'validate':
+    validate(args);
+    break;
+  case 'new':
+    scaffold(args);
+    break;
+  default:
+    console.error('Usage: node scripts/speech-templates.mjs <validate|new> ...');
+    process.exit(1);
+}
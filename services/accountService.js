@@ -0,0 +1,185 @@
+import {
+  parentStorage,
+  sessionStorage,
+  otpStorage,
+  childrenStorage,
+  practiceStorage,
+  storageService,
+  withStorageErrors,
+  STORAGE_ERROR_CODES,
+} from './storageService';
+import { deletePracticeHistory } from './practiceHistoryService';
+import { trackEvent, removeEvents, EVENTS } from './analyticsService';
+
+/**
+ * Account Service
+ * Deletes a parent account and everything tied to it:
+ * - each child's practice history and recording files (even if unreadable)
+ * - child profiles
+ * - every session (signing out all devices)
+ * - OTP data
+ * - analytics events about the parent or their children
+ * - device keys that point at the parent, a child or one of their sessions
+ *
+ * The parent record goes last, so if anything fails part-way the account
+ * still exists and deletion can simply be run again.
+ */
+
+// Device keys that can refer to the parent or one of their children
+const LAST_SIGNIN_EMAIL_KEY = 'last_signin_email';
+const ACTIVE_CHILD_KEY = 'active_child_id';
+const SESSION_TOKEN_KEYS = ['current_session_token', 'current_refresh_token'];
+
+/**
+ * Read something only needed to find more to delete; data that can't be
+ * read comes back as `fallback` instead of stopping the deletion
+ */
+const readOr = async (read, fallback) => {
+  try {
+    return await read();
+  } catch (error) {
+    if (error?.code !== STORAGE_ERROR_CODES.CORRUPT_DATA) {
+      throw error;
+    }
+    return fallback;
+  }
+};
+
+/**
+ * Children with practice history that no parent lists any more, such as
+ * those an unreadable children index listed. Empty while another parent's
+ * index can't be read, since their children can't be told apart then.
+ */
+const findUnlistedChildIds = async () => {
+  const listed = await readOr(() => childrenStorage.getAllIds(), null);
+  if (!listed) {
+    return [];
+  }
+  return (await practiceStorage.getChildIds()).filter(childId => !listed.has(childId));
+};
+
+/**
+ * Remove a device key if it points at the account (or can't be read)
+ */
+const removeDeviceKeyIf = async (key, matches) => {
+  const value = await readOr(() => storageService.getItem(key), undefined);
+  if (value === undefined || matches(value)) {
+    await storageService.removeItem(key);
+  }
+};
+
+/**
+ * Delete a parent account and all of its data
+ * Records are deleted by key, so a parent, child or children index that
+ * can't be read doesn't stop the deletion.
+ * Returns { success, error, summary: { children, practiceAttempts, recordings, sessions, analyticsEvents } }
+ */
+export const deleteAccount = withStorageErrors(async (parentEmail) => {
+  const email = parentEmail.toLowerCase();
+
+  if (!(await parentStorage.exists(email))) {
+    return {
+      success: false,
+      error: 'Account not found',
+    };
+  }
+
+  const summary = {
+    children: 0,
+    practiceAttempts: 0,
+    recordings: 0,
+    sessions: 0,
+    analyticsEvents: 0,
+  };
+
+  const deleteHistories = async (childIds) => {
+    for (const childId of childIds) {
+      const historyResult = await deletePracticeHistory(childId);
+      if (!historyResult.success) {
+        return historyResult;
+      }
+      summary.practiceAttempts += historyResult.attemptsDeleted;
+      summary.recordings += historyResult.recordingsDeleted;
+    }
+    return { success: true };
+  };
+
+  // Practice history and recordings for every child
+  const childIds = new Set(await readOr(() => childrenStorage.getIdsByParentEmail(email), []));
+  let historyResult = await deleteHistories(childIds);
+  if (!historyResult.success) {
+    return {
+      success: false,
+      error: historyResult.error,
+      summary,
+    };
+  }
+
+  // Child profiles
+  if (!(await childrenStorage.deleteByParentEmail(email))) {
+    return {
+      success: false,
+      error: 'Failed to delete child profiles',
+      summary,
+    };
+  }
+
+  // History left by children no parent lists now
+  const unlistedChildIds = await findUnlistedChildIds();
+  unlistedChildIds.forEach(childId => childIds.add(childId));
+  historyResult = await deleteHistories(unlistedChildIds);
+  if (!historyResult.success) {
+    return {
+      success: false,
+      error: historyResult.error,
+      summary,
+    };
+  }
+  summary.children = childIds.size;
+
+  // Sign out every device
+  const sessions = await sessionStorage.getByParentEmail(email);
+  const tokens = new Set(sessions.flatMap(session => [session.accessToken, session.refreshToken]));
+  for (const session of sessions) {
+    await sessionStorage.delete(session.accessToken);
+  }
+  summary.sessions = sessions.length;
+
+  await otpStorage.delete(email);
+
+  // Analytics about the parent (logged as email or parentEmail) or a child,
+  // including events recorded while one of the children was active
+  summary.analyticsEvents = await removeEvents(event =>
+    event.email?.toLowerCase() === email ||
+    event.parentEmail?.toLowerCase() === email ||
+    childIds.has(event.childId) ||
+    childIds.has(event.context?.activeChildId)
+  );
+
+  // Device keys
+  await removeDeviceKeyIf(LAST_SIGNIN_EMAIL_KEY, value => value === email);
+  await removeDeviceKeyIf(ACTIVE_CHILD_KEY, value => childIds.has(value));
+  for (const key of SESSION_TOKEN_KEYS) {
+    await removeDeviceKeyIf(key, value => tokens.has(value));
+  }
+
+  // Finally the account itself
+  if (!(await parentStorage.delete(email))) {
+    return {
+      success: false,
+      error: 'Failed to delete account',
+      summary,
+    };
+  }
+
+  // Nothing identifying: the parent's events were just erased
+  await trackEvent(EVENTS.ACCOUNT_DELETED, {
+    childCount: summary.children,
+  });
+
+  return {
+    success: true,
+    error: null,
+    summary,
+  };
+});
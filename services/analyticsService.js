@@ -1,31 +1,207 @@
+import { AppState, Platform } from 'react-native';
+import Constants from 'expo-constants';
 import { analyticsStorage } from './storageService';
+import { randomId } from '../utils/crypto';
 
 /**
  * Analytics Service
  * Tracks events locally (no API calls)
+ *
+ * Every event must be listed in EVENT_CATALOG with its required properties.
+ * Events are stamped with context (app version, platform, app session and
+ * active child) and buffered in memory, then written in batches.
  */
 
+export const ANALYTICS_CONFIG = {
+  FLUSH_INTERVAL_MS: 10 * 1000,
+  FLUSH_AT_SIZE: 20, // Flush straight away once this many are waiting
+  MAX_BUFFERED: 500, // Oldest events are dropped past this if storage keeps failing
+};
+
+// Event names - use these rather than string literals
+export const EVENTS = {
+  AUTH_SIGNUP_STARTED: 'auth_signup_started',
+  AUTH_SIGNIN_STARTED: 'auth_signin_started',
+  AUTH_SIGNUP_FAILED: 'auth_signup_failed',
+  AUTH_SIGNUP_SUCCESS: 'auth_signup_success',
+  AUTH_OTP_RESENT: 'auth_otp_resent',
+  AUTH_REFRESH_TOKEN_REUSED: 'auth_refresh_token_reused',
+  AUTH_SIGNED_OUT: 'auth_signed_out',
+  AUTH_SESSION_REVOKED: 'auth_session_revoked',
+  CONSENT_GIVEN: 'consent_given',
+  PARENT_PROFILE_UPDATED: 'parent_profile_updated',
+  CHILD_CREATED: 'child_created',
+  CHILD_DELETED: 'child_deleted',
+  PARENTAL_GATE_PASSED: 'parental_gate_passed',
+  PARENTAL_PIN_SET: 'parental_pin_set',
+  PARENTAL_PIN_REMOVED: 'parental_pin_removed',
+  PRACTICE_SESSION_COMPLETED: 'practice_session_completed',
+  ACCOUNT_DELETED: 'account_deleted',
+};
+
+/**
+ * Required properties for each event
+ * `anonymous` events are recorded without the active child.
+ */
+const EVENT_CATALOG = {
+  [EVENTS.AUTH_SIGNUP_STARTED]: { required: ['email'] },
+  [EVENTS.AUTH_SIGNIN_STARTED]: { required: ['email'] },
+  [EVENTS.AUTH_SIGNUP_FAILED]: { required: ['email', 'reason'] },
+  [EVENTS.AUTH_SIGNUP_SUCCESS]: { required: ['email', 'isReturning'] },
+  [EVENTS.AUTH_OTP_RESENT]: { required: ['email'] },
+  [EVENTS.AUTH_REFRESH_TOKEN_REUSED]: { required: ['email'] },
+  [EVENTS.AUTH_SIGNED_OUT]: { required: ['email'] },
+  [EVENTS.AUTH_SESSION_REVOKED]: { required: ['email'] },
+  [EVENTS.CONSENT_GIVEN]: { required: ['parentEmail', 'policyVersion'] },
+  [EVENTS.PARENT_PROFILE_UPDATED]: { required: ['parentEmail'] },
+  [EVENTS.CHILD_CREATED]: { required: ['parentEmail', 'childId'] },
+  [EVENTS.CHILD_DELETED]: { required: ['parentEmail', 'childId'] },
+  [EVENTS.PARENTAL_GATE_PASSED]: { required: ['parentEmail', 'method'] },
+  [EVENTS.PARENTAL_PIN_SET]: { required: ['parentEmail'] },
+  [EVENTS.PARENTAL_PIN_REMOVED]: { required: ['parentEmail'] },
+  [EVENTS.PRACTICE_SESSION_COMPLETED]: {
+    required: ['childId', 'sessionId', 'targetPhoneme', 'wordsPassed', 'wordCount', 'totalAttempts'],
+  },
+  [EVENTS.ACCOUNT_DELETED]: { required: ['childCount'], anonymous: true },
+};
+
+// One id per app launch, so events from the same visit can be grouped
+const APP_SESSION_ID = randomId('appsession');
+
+let activeChildId = null;
+let buffer = [];
+let flushTimer = null;
+let flushing = null;
+let appStateSubscription = null;
+
+/**
+ * Check an event against the catalog
+ * Returns { valid, error }
+ */
+export const validateEvent = (eventName, properties = {}) => {
+  const definition = EVENT_CATALOG[eventName];
+  if (!definition) {
+    return {
+      valid: false,
+      error: `Unknown analytics event: ${eventName}`,
+    };
+  }
+
+  const missing = definition.required.filter(name => properties[name] === undefined);
+  if (missing.length > 0) {
+    return {
+      valid: false,
+      error: `${eventName} is missing ${missing.join(', ')}`,
+    };
+  }
+
+  return {
+    valid: true,
+    error: null,
+  };
+};
+
+/**
+ * Set the child whose activity is being tracked (null when none is selected)
+ */
+export const setAnalyticsChild = (childId) => {
+  activeChildId = childId || null;
+};
+
+const buildContext = (definition) => ({
+  appVersion: Constants.expoConfig?.version || null,
+  platform: Platform.OS,
+  sessionId: APP_SESSION_ID,
+  activeChildId: definition.anonymous ? null : activeChildId,
+});
+
+const scheduleFlush = () => {
+  // Write whatever is waiting when the app goes to the background
+  if (!appStateSubscription) {
+    appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') {
+        flushEvents();
+      }
+    });
+  }
+
+  if (buffer.length >= ANALYTICS_CONFIG.FLUSH_AT_SIZE) {
+    flushEvents();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushEvents, ANALYTICS_CONFIG.FLUSH_INTERVAL_MS);
+  }
+};
+
+/**
+ * Write buffered events to storage
+ * A failed batch goes back in the buffer and is retried on the next flush.
+ */
+export const flushEvents = async () => {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  // One write at a time; a flush requested meanwhile runs straight after
+  if (flushing) {
+    await flushing;
+    return flushEvents();
+  }
+  if (buffer.length === 0) {
+    return true;
+  }
+
+  const batch = buffer;
+  buffer = [];
+  flushing = analyticsStorage.addEvents(batch)
+    .catch((error) => {
+      console.error('Error saving analytics events:', error);
+      buffer = [...batch, ...buffer].slice(-ANALYTICS_CONFIG.MAX_BUFFERED);
+      return false;
+    })
+    .finally(() => {
+      flushing = null;
+    });
+
+  const saved = await flushing;
+  if (buffer.length > 0 && !flushTimer) {
+    flushTimer = setTimeout(flushEvents, ANALYTICS_CONFIG.FLUSH_INTERVAL_MS);
+  }
+  return saved;
+};
+
 /**
  * Track an analytics event
+ * Returns false if the event isn't in the catalog or lacks a required property.
  */
 export const trackEvent = async (eventName, properties = {}) => {
-  try {
-    await analyticsStorage.addEvent({
-      event: eventName,
-      ...properties,
-    });
-    
-    // Log for debugging (remove in production)
+  const validation = validateEvent(eventName, properties);
+  if (!validation.valid) {
+    console.error(validation.error);
+    return false;
+  }
+
+  buffer.push({
+    id: randomId('event'),
+    event: eventName,
+    ...properties,
+    context: buildContext(EVENT_CATALOG[eventName]),
+    timestamp: new Date().toISOString(),
+  });
+  scheduleFlush();
+
+  // Events carry emails and child ids, so only log them in development
+  if (typeof __DEV__ !== 'undefined' && __DEV__) {
     console.log(`[Analytics] ${eventName}`, properties);
-  } catch (error) {
-    console.error('Error tracking event:', error);
   }
+  return true;
 };
 
 /**
  * Get all analytics events
  */
 export const getAllEvents = async () => {
+  await flushEvents();
   return await analyticsStorage.getAll();
 };
 
@@ -33,14 +209,27 @@ export const getAllEvents = async () => {
  * Clear all analytics
  */
 export const clearAnalytics = async () => {
+  buffer = [];
+  await flushEvents();
   return await analyticsStorage.clear();
 };
 
+/**
+ * Remove events matching a predicate, whether still buffered or stored
+ * Returns how many were removed.
+ */
+export const removeEvents = async (predicate) => {
+  await flushEvents();
+  const buffered = buffer.length;
+  buffer = buffer.filter(event => !predicate(event));
+  const removedBuffered = buffered - buffer.length;
+  return removedBuffered + await analyticsStorage.removeWhere(predicate);
+};
+
 /**
  * Get events by name
  */
 export const getEventsByName = async (eventName) => {
-  const allEvents = await analyticsStorage.getAll();
+  const allEvents = await getAllEvents();
   return allEvents.filter(event => event.event === eventName);
 };
-
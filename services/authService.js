@@ -1,41 +1,65 @@
-import { parentStorage, sessionStorage } from './storageService';
+import { Platform } from 'react-native';
+import { parentStorage, sessionStorage, storageService, withStorageErrors } from './storageService';
 import { generateOTPForEmail, validateOTP } from './otpService';
 import { validateEmail } from '../utils/emailValidation';
-import { analyticsStorage } from './storageService';
+import { trackEvent, EVENTS } from './analyticsService';
+import { randomId } from '../utils/crypto';
+
+// Email of the last parent who signed in on this device (for "Welcome back")
+const LAST_SIGNIN_EMAIL_KEY = 'last_signin_email';
+
+// Random id for this install, generated once so sessions can be matched to devices
+const DEVICE_ID_KEY = 'device_id';
+
+// Access tokens are short-lived and refreshed transparently; the refresh
+// token lifetime is how long a device can stay idle before re-verifying
+export const TOKEN_CONFIG = {
+  ACCESS_TOKEN_TTL_MS: 24 * 60 * 60 * 1000, // 1 day
+  REFRESH_TOKEN_TTL_MS: 60 * 24 * 60 * 60 * 1000, // 60 days
+  REFRESH_THRESHOLD_MS: 10 * 60 * 1000, // Refresh when within 10 minutes of expiry
+  ROTATED_TOKEN_HISTORY: 50, // Rotated refresh tokens remembered for reuse detection
+};
 
 /**
- * Generate a simple device fingerprint
- * In production, this would use more sophisticated methods
+ * Get this device's id, creating it on first use
+ * The id is random rather than derived from the browser or screen, so it
+ * stays the same across launches and says nothing about the device.
  */
-const generateDeviceFingerprint = () => {
-  // Simple fingerprint based on user agent and screen info
-  // In a real app, you'd use more sophisticated methods
-  const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown';
-  const screenInfo = typeof screen !== 'undefined' 
-    ? `${screen.width}x${screen.height}` 
-    : 'unknown';
-  
-  // Create a simple hash
-  const str = `${userAgent}_${screenInfo}_${Date.now()}`;
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
+export const getDeviceId = async () => {
+  const stored = await storageService.getItem(DEVICE_ID_KEY);
+  if (stored) {
+    return stored;
   }
-  
-  return `device_${Math.abs(hash).toString(36)}`;
+
+  const deviceId = randomId('device');
+  await storageService.setItem(DEVICE_ID_KEY, deviceId);
+  return deviceId;
 };
 
 /**
  * Generate access and refresh tokens
  */
 const generateTokens = () => {
-  const accessToken = `access_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const refreshToken = `refresh_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const accessToken = randomId('access', 32);
+  const refreshToken = randomId('refresh', 32);
   return { accessToken, refreshToken };
 };
 
+/**
+ * Generate a session family id
+ * Every session rotated from the same sign-in shares a family
+ */
+const generateFamilyId = () => {
+  return randomId('family');
+};
+
+/**
+ * When a refresh token stops being usable (older sessions predate refresh expiry)
+ */
+const getRefreshExpiry = (session) => {
+  return new Date(session.refreshExpiresAt || session.expiresAt);
+};
+
 /**
  * Rotate refresh token (generate new tokens)
  */
@@ -50,18 +74,11 @@ const rotateRefreshToken = (oldRefreshToken) => {
 /**
  * Start signup process - request OTP
  */
-export const startSignup = async (email) => {
-  // Track analytics
-  await analyticsStorage.addEvent({
-    event: 'auth_signup_started',
-    email: email.toLowerCase(),
-  });
-  
+export const startSignup = withStorageErrors(async (email) => {
   // Validate email
   const emailValidation = validateEmail(email);
   if (!emailValidation.valid) {
-    await analyticsStorage.addEvent({
-      event: 'auth_signup_failed',
+    await trackEvent(EVENTS.AUTH_SIGNUP_FAILED, {
       email: email.toLowerCase(),
       reason: emailValidation.error,
     });
@@ -72,19 +89,20 @@ export const startSignup = async (email) => {
     };
   }
   
-  // Check if parent already exists
+  // Existing parents sign in with the same OTP flow
   const existingParent = await parentStorage.getByEmail(email);
-  if (existingParent) {
-    // For MVP, we'll allow re-signup (in production, you might want to show "already exists" or "sign in")
-    // Still generate OTP for them
-  }
+  const isReturning = !!existingParent;
+  
+  // Only a new parent is signing up; a returning one is signing in
+  await trackEvent(isReturning ? EVENTS.AUTH_SIGNIN_STARTED : EVENTS.AUTH_SIGNUP_STARTED, {
+    email: email.toLowerCase(),
+  });
   
-  // Generate OTP
-  const otpResult = await generateOTPForEmail(email);
+  // Generate and send OTP
+  const otpResult = await generateOTPForEmail(email, { purpose: isReturning ? 'signin' : 'signup' });
   
   if (!otpResult.success) {
-    await analyticsStorage.addEvent({
-      event: 'auth_signup_failed',
+    await trackEvent(EVENTS.AUTH_SIGNUP_FAILED, {
       email: email.toLowerCase(),
       reason: otpResult.error,
     });
@@ -95,39 +113,24 @@ export const startSignup = async (email) => {
     };
   }
   
-  // Always return OTP in development (for testing)
-  // Check both __DEV__ (React Native) and NODE_ENV (web)
-  const isDev = (typeof __DEV__ !== 'undefined' && __DEV__) || 
-                (typeof process !== 'undefined' && process.env && process.env.NODE_ENV === 'development') ||
-                (typeof window !== 'undefined' && window.location && window.location.hostname === 'localhost');
-  
-  if (isDev && otpResult.otp) {
-    console.log(`[Auth Service] OTP for ${email}: ${otpResult.otp}`);
-  }
-  
-  const result = {
+  // The code is delivered by email only - never returned to the client
+  return {
     success: true,
     expiresAt: otpResult.expiresAt,
+    isReturning,
   };
-  
-  // In development, always return OTP for testing
-  if (isDev && otpResult.otp) {
-    result.otp = otpResult.otp;
-  }
-  
-  return result;
-};
+});
 
 /**
- * Complete signup - verify OTP and create session
+ * Complete signup or sign-in - verify OTP and create session
+ * Returning parents keep their stored profile.
  */
-export const completeSignup = async (email, otp) => {
+export const completeSignup = withStorageErrors(async (email, otp) => {
   // Validate OTP
   const otpValidation = await validateOTP(email, otp);
   
   if (!otpValidation.valid) {
-    await analyticsStorage.addEvent({
-      event: 'auth_signup_failed',
+    await trackEvent(EVENTS.AUTH_SIGNUP_FAILED, {
       email: email.toLowerCase(),
       reason: otpValidation.error,
     });
@@ -138,17 +141,32 @@ export const completeSignup = async (email, otp) => {
     };
   }
   
-  // Create or update parent account
-  const parent = {
-    email: email.toLowerCase(),
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-  };
-  
-  await parentStorage.save(parent);
+  // Sign in an existing parent, or create a new account
+  let parent;
+  let isReturning;
+  await parentStorage.update(email, (existingParent) => {
+    isReturning = !!existingParent;
+    parent = isReturning
+      ? {
+          ...existingParent,
+          lastSignInAt: new Date().toISOString(),
+        }
+      : {
+          email: email.toLowerCase(),
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+          lastSignInAt: new Date().toISOString(),
+        };
+    return parent;
+  });
+  await storageService.setItem(LAST_SIGNIN_EMAIL_KEY, parent.email, { encrypt: true });
   
-  // Generate device fingerprint
-  const deviceFingerprint = generateDeviceFingerprint();
+  // Signing in again on the same device replaces that device's old session
+  const deviceId = await getDeviceId();
+  const previousSession = await sessionStorage.getByDeviceId(deviceId);
+  if (previousSession && previousSession.parentEmail === email.toLowerCase()) {
+    await sessionStorage.delete(previousSession.accessToken);
+  }
   
   // Generate tokens
   const { accessToken, refreshToken } = generateTokens();
@@ -157,29 +175,49 @@ export const completeSignup = async (email, otp) => {
   const session = {
     accessToken,
     refreshToken,
+    familyId: generateFamilyId(),
+    rotatedRefreshTokens: [],
     parentEmail: email.toLowerCase(),
-    deviceFingerprint,
+    deviceId,
+    platform: Platform.OS,
     createdAt: new Date().toISOString(),
-    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days
+    expiresAt: new Date(Date.now() + TOKEN_CONFIG.ACCESS_TOKEN_TTL_MS).toISOString(),
+    refreshExpiresAt: new Date(Date.now() + TOKEN_CONFIG.REFRESH_TOKEN_TTL_MS).toISOString(),
   };
   
   await sessionStorage.save(session);
   
   // Track success
-  await analyticsStorage.addEvent({
-    event: 'auth_signup_success',
+  await trackEvent(EVENTS.AUTH_SIGNUP_SUCCESS, {
     email: email.toLowerCase(),
+    isReturning,
   });
   
   return {
     success: true,
     session,
     parent,
+    isReturning,
   };
+});
+
+/**
+ * Get the email of the last parent who signed in on this device
+ * Only used to prefill the form, so an unreadable value is just skipped.
+ */
+export const getLastSignInEmail = async () => {
+  try {
+    return await storageService.getItem(LAST_SIGNIN_EMAIL_KEY);
+  } catch (error) {
+    console.error('Error loading last sign-in email:', error);
+    return null;
+  }
 };
 
 /**
  * Get current session from access token
+ * Returns null once the access token has expired; the session record is
+ * kept until its refresh token expires so it can still be refreshed.
  */
 export const getSession = async (accessToken) => {
   if (!accessToken) {
@@ -197,8 +235,10 @@ export const getSession = async (accessToken) => {
   const expiresAt = new Date(session.expiresAt);
   
   if (now > expiresAt) {
-    // Session expired, delete it
-    await sessionStorage.delete(accessToken);
+    if (now > getRefreshExpiry(session)) {
+      // Can no longer be refreshed either, delete it
+      await sessionStorage.delete(accessToken);
+    }
     return null;
   }
   
@@ -206,19 +246,78 @@ export const getSession = async (accessToken) => {
 };
 
 /**
- * Refresh session using refresh token
+ * Check whether a session's access token should be refreshed now
  */
-export const refreshSession = async (refreshToken) => {
-  if (!refreshToken) {
-    return null;
+export const isSessionNearExpiry = (session) => {
+  if (!session) {
+    return false;
   }
+  return new Date(session.expiresAt).getTime() - Date.now() < TOKEN_CONFIG.REFRESH_THRESHOLD_MS;
+};
+
+/**
+ * Revoke every session in a family
+ */
+const revokeSessionFamily = async (familyId) => {
+  const allSessions = await sessionStorage.getAll();
+  const familySessions = Object.values(allSessions).filter(s => s.familyId === familyId);
   
+  for (const session of familySessions) {
+    await sessionStorage.delete(session.accessToken);
+  }
+};
+
+/**
+ * Find the session family a refresh token belongs to, current or rotated
+ * Sessions from before families existed are their own family.
+ */
+const findRefreshTokenFamily = async (refreshToken) => {
+  const sessions = Object.values(await sessionStorage.getAll());
+  const session = sessions.find(s =>
+    s.refreshToken === refreshToken || s.rotatedRefreshTokens?.includes(refreshToken)
+  );
+  return session ? session.familyId || session.accessToken : null;
+};
+
+/**
+ * Rotate the session holding a refresh token (call under the family lock)
+ */
+const rotateSession = async (refreshToken) => {
   // Find session by refresh token
   const allSessions = await sessionStorage.getAll();
-  const session = Object.values(allSessions).find(s => s.refreshToken === refreshToken);
+  const sessions = Object.values(allSessions);
+  const session = sessions.find(s => s.refreshToken === refreshToken);
   
   if (!session) {
-    return null;
+    const reusedFrom = sessions.find(s => s.rotatedRefreshTokens?.includes(refreshToken));
+    
+    if (reusedFrom) {
+      await revokeSessionFamily(reusedFrom.familyId);
+      
+      await trackEvent(EVENTS.AUTH_REFRESH_TOKEN_REUSED, {
+        email: reusedFrom.parentEmail,
+      });
+      
+      return {
+        success: false,
+        error: 'Session revoked. Please sign in again.',
+        reused: true,
+      };
+    }
+    
+    return {
+      success: false,
+      error: 'Session not found. Please sign in again.',
+    };
+  }
+  
+  // Enforce the refresh token lifetime
+  if (new Date() > getRefreshExpiry(session)) {
+    await sessionStorage.delete(session.accessToken);
+    return {
+      success: false,
+      error: 'Session expired. Please sign in again.',
+    };
   }
   
   // Rotate tokens
@@ -229,8 +328,12 @@ export const refreshSession = async (refreshToken) => {
     ...session,
     accessToken: newTokens.accessToken,
     refreshToken: newTokens.refreshToken,
+    familyId: session.familyId || generateFamilyId(),
+    rotatedRefreshTokens: [...(session.rotatedRefreshTokens || []), newTokens.oldRefreshToken]
+      .slice(-TOKEN_CONFIG.ROTATED_TOKEN_HISTORY),
     updatedAt: new Date().toISOString(),
-    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days
+    expiresAt: new Date(Date.now() + TOKEN_CONFIG.ACCESS_TOKEN_TTL_MS).toISOString(),
+    refreshExpiresAt: new Date(Date.now() + TOKEN_CONFIG.REFRESH_TOKEN_TTL_MS).toISOString(),
   };
   
   // Delete old session
@@ -239,19 +342,121 @@ export const refreshSession = async (refreshToken) => {
   // Save new session
   await sessionStorage.save(updatedSession);
   
-  return updatedSession;
+  return {
+    success: true,
+    session: updatedSession,
+  };
 };
 
+/**
+ * Refresh session using refresh token
+ * Rotates both tokens. Presenting a refresh token that was already rotated
+ * means it was copied, so the whole session family is revoked.
+ * Rotation runs under the family's lock, so two refreshes with the same
+ * token can't both succeed: the second one sees a rotated token.
+ */
+export const refreshSession = withStorageErrors(async (refreshToken) => {
+  if (!refreshToken) {
+    return {
+      success: false,
+      error: 'Refresh token is required',
+    };
+  }
+  
+  const familyId = await findRefreshTokenFamily(refreshToken);
+  if (!familyId) {
+    return {
+      success: false,
+      error: 'Session not found. Please sign in again.',
+    };
+  }
+  
+  return await storageService.withLock(`session_family:${familyId}`, () => rotateSession(refreshToken));
+});
+
 /**
  * Sign out - delete session
  */
-export const signOut = async (accessToken) => {
+export const signOut = withStorageErrors(async (accessToken) => {
   if (accessToken) {
+    const session = await sessionStorage.getByToken(accessToken);
     await sessionStorage.delete(accessToken);
+
+    if (session) {
+      await trackEvent(EVENTS.AUTH_SIGNED_OUT, {
+        email: session.parentEmail,
+      });
+    }
   }
   return { success: true };
+});
+
+/**
+ * Get a parent's active sessions, newest first
+ * Expired sessions are removed along the way.
+ */
+export const getActiveSessions = async (parentEmail) => {
+  const sessions = await sessionStorage.getByParentEmail(parentEmail);
+  const now = new Date();
+  const active = [];
+
+  for (const session of sessions) {
+    if (now > getRefreshExpiry(session)) {
+      await sessionStorage.delete(session.accessToken);
+    } else {
+      active.push(session);
+    }
+  }
+
+  return active.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 };
 
+/**
+ * Revoke one of a parent's sessions
+ */
+export const revokeSession = withStorageErrors(async (parentEmail, accessToken) => {
+  const session = await sessionStorage.getByToken(accessToken);
+
+  if (!session || session.parentEmail !== parentEmail.toLowerCase()) {
+    return {
+      success: false,
+      error: 'Session not found',
+    };
+  }
+
+  await sessionStorage.delete(accessToken);
+
+  await trackEvent(EVENTS.AUTH_SESSION_REVOKED, {
+    email: parentEmail.toLowerCase(),
+  });
+
+  return { success: true };
+});
+
+/**
+ * Revoke every session for a parent except the current one
+ */
+export const revokeOtherSessions = withStorageErrors(async (parentEmail, currentAccessToken) => {
+  const sessions = await sessionStorage.getByParentEmail(parentEmail);
+  const others = sessions.filter(s => s.accessToken !== currentAccessToken);
+
+  for (const session of others) {
+    await sessionStorage.delete(session.accessToken);
+  }
+
+  if (others.length > 0) {
+    await trackEvent(EVENTS.AUTH_SESSION_REVOKED, {
+      email: parentEmail.toLowerCase(),
+      count: others.length,
+    });
+  }
+
+  return {
+    success: true,
+    revokedCount: others.length,
+  };
+});
+
 /**
  * Get parent by session
  */
@@ -1,5 +1,7 @@
-import { childrenStorage } from './storageService';
-import { trackEvent } from './analyticsService';
+import { childrenStorage, withStorageErrors } from './storageService';
+import { trackEvent, EVENTS } from './analyticsService';
+import { deletePracticeHistory } from './practiceHistoryService';
+import { isValidAvatar } from '../utils/avatars';
 
 /**
  * Child Profile Service
@@ -12,6 +14,17 @@ const MAX_AGE = 14;
 const MIN_NICKNAME_LENGTH = 2;
 const MAX_NICKNAME_LENGTH = 20;
 
+// Common language options (simplified for MVP)
+export const LANGUAGE_OPTIONS = [
+  'English (US)',
+  'English (UK)',
+  'Spanish',
+  'French',
+  'German',
+  'Mandarin',
+  'Other',
+];
+
 /**
  * Calculate age from date of birth
  */
@@ -136,6 +149,32 @@ export const validateLanguageProfile = (languageProfile) => {
   };
 };
 
+/**
+ * Validate avatar (optional - null clears it)
+ */
+export const validateAvatar = (avatar) => {
+  if (avatar === null || avatar === undefined) {
+    return {
+      valid: true,
+      error: null,
+      avatar: null,
+    };
+  }
+
+  if (!isValidAvatar(avatar)) {
+    return {
+      valid: false,
+      error: 'Please choose one of the available avatars',
+    };
+  }
+
+  return {
+    valid: true,
+    error: null,
+    avatar,
+  };
+};
+
 /**
  * Get all children for a parent
  */
@@ -154,7 +193,7 @@ export const canCreateChild = async (parentEmail) => {
 /**
  * Create a child profile
  */
-export const createChild = async (parentEmail, childData) => {
+export const createChild = withStorageErrors(async (parentEmail, childData) => {
   // Validate nickname
   const nicknameValidation = validateNickname(childData.nickname);
   if (!nicknameValidation.valid) {
@@ -182,6 +221,15 @@ export const createChild = async (parentEmail, childData) => {
     };
   }
   
+  // Validate avatar
+  const avatarValidation = validateAvatar(childData.avatar);
+  if (!avatarValidation.valid) {
+    return {
+      success: false,
+      error: avatarValidation.error,
+    };
+  }
+  
   // Check if parent can create more children
   const canCreate = await canCreateChild(parentEmail);
   if (!canCreate) {
@@ -197,7 +245,7 @@ export const createChild = async (parentEmail, childData) => {
     dob: childData.dob,
     age: dobValidation.age,
     languageProfile: languageValidation.languageProfile,
-    avatar: null, // No avatar for now
+    avatar: avatarValidation.avatar,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
   };
@@ -206,7 +254,7 @@ export const createChild = async (parentEmail, childData) => {
   await childrenStorage.save(parentEmail, child);
   
   // Track analytics
-  await trackEvent('child_created', {
+  await trackEvent(EVENTS.CHILD_CREATED, {
     parentEmail: parentEmail.toLowerCase(),
     childId: child.id,
   });
@@ -215,22 +263,14 @@ export const createChild = async (parentEmail, childData) => {
     success: true,
     child,
   };
-};
+});
 
 /**
  * Update child profile
  */
-export const updateChild = async (parentEmail, childId, updates) => {
-  const children = await getChildren(parentEmail);
-  const child = children.find(c => c.id === childId);
-  
-  if (!child) {
-    return {
-      success: false,
-      error: 'Child not found',
-    };
-  }
-  
+export const updateChild = withStorageErrors(async (parentEmail, childId, updates) => {
+  const changes = {};
+
   // Validate updates if provided
   if (updates.nickname !== undefined) {
     const nicknameValidation = validateNickname(updates.nickname);
@@ -240,7 +280,7 @@ export const updateChild = async (parentEmail, childId, updates) => {
         error: nicknameValidation.error,
       };
     }
-    child.nickname = nicknameValidation.nickname;
+    changes.nickname = nicknameValidation.nickname;
   }
   
   if (updates.dob !== undefined) {
@@ -251,8 +291,8 @@ export const updateChild = async (parentEmail, childId, updates) => {
         error: dobValidation.error,
       };
     }
-    child.dob = updates.dob;
-    child.age = dobValidation.age;
+    changes.dob = updates.dob;
+    changes.age = dobValidation.age;
   }
   
   if (updates.languageProfile !== undefined) {
@@ -263,26 +303,78 @@ export const updateChild = async (parentEmail, childId, updates) => {
         error: languageValidation.error,
       };
     }
-    child.languageProfile = languageValidation.languageProfile;
+    changes.languageProfile = languageValidation.languageProfile;
   }
   
-  child.updatedAt = new Date().toISOString();
+  if (updates.avatar !== undefined) {
+    const avatarValidation = validateAvatar(updates.avatar);
+    if (!avatarValidation.valid) {
+      return {
+        success: false,
+        error: avatarValidation.error,
+      };
+    }
+    changes.avatar = avatarValidation.avatar;
+  }
   
-  await childrenStorage.save(parentEmail, child);
+  // Apply the changes to the stored child under its lock
+  let child = null;
+  await childrenStorage.update(parentEmail, childId, (stored) => {
+    if (!stored) {
+      return undefined;
+    }
+    child = {
+      ...stored,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    };
+    return child;
+  });
+  
+  if (!child) {
+    return {
+      success: false,
+      error: 'Child not found',
+    };
+  }
   
   return {
     success: true,
     child,
   };
-};
+});
 
 /**
- * Delete child profile
+ * Delete child profile and the child's practice history
  */
-export const deleteChild = async (parentEmail, childId) => {
+export const deleteChild = withStorageErrors(async (parentEmail, childId) => {
+  const children = await getChildren(parentEmail);
+  if (!children.some(c => c.id === childId)) {
+    return {
+      success: false,
+      error: 'Child not found',
+    };
+  }
+
+  // Remove practice data first so a failure never leaves orphaned attempts
+  const historyResult = await deletePracticeHistory(childId);
+  if (!historyResult.success) {
+    return {
+      success: false,
+      error: historyResult.error,
+    };
+  }
+
   await childrenStorage.delete(parentEmail, childId);
+
+  // Track analytics
+  await trackEvent(EVENTS.CHILD_DELETED, {
+    parentEmail: parentEmail.toLowerCase(),
+    childId,
+  });
+
   return {
     success: true,
   };
-};
+});
 
@@ -0,0 +1,58 @@
+import { updateParentProfile } from './parentProfileService';
+import { trackEvent, EVENTS } from './analyticsService';
+
+/**
+ * Consent Service
+ * Tracks which version of the privacy policy a parent has agreed to.
+ * Bumping CURRENT_POLICY_VERSION asks every parent to consent again before
+ * the app can be used (and before any recording).
+ */
+
+export const CURRENT_POLICY_VERSION = '2026-10-01';
+
+// What the parent agrees to, shown on the consent step
+export const CONSENT_POINTS = [
+  "Palura records your child's voice while they practise so it can score their pronunciation.",
+  'Recordings and progress are stored on this device and are not shared with anyone.',
+  "You can delete a child's profile and practice history at any time.",
+  'You must be the parent or legal guardian of every child you add.',
+];
+
+/**
+ * Whether the parent has agreed to the current policy
+ */
+export const hasCurrentConsent = (parent) => {
+  return !!(parent && parent.consent && parent.consent.policyVersion === CURRENT_POLICY_VERSION);
+};
+
+/**
+ * Whether the parent agreed to an earlier policy (so this is a re-consent)
+ */
+export const needsReconsent = (parent) => {
+  return !!(parent && parent.consent && parent.consent.policyVersion !== CURRENT_POLICY_VERSION);
+};
+
+/**
+ * Record consent to the current policy on the parent record
+ */
+export const recordConsent = async (email) => {
+  const consent = {
+    policyVersion: CURRENT_POLICY_VERSION,
+    consentedAt: new Date().toISOString(),
+  };
+
+  const result = await updateParentProfile(email, { consent });
+  if (!result.success) {
+    return result;
+  }
+
+  await trackEvent(EVENTS.CONSENT_GIVEN, {
+    parentEmail: email.toLowerCase(),
+    policyVersion: CURRENT_POLICY_VERSION,
+  });
+
+  return {
+    success: true,
+    parent: result.parent,
+  };
+};
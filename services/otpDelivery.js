@@ -0,0 +1,166 @@
+/**
+ * OTP Delivery
+ * Sends verification codes through a pluggable transport.
+ *
+ * A transport is any object with `name` and `async send(message)` returning
+ * { success, messageId, error }. The app has no mail server yet, so in
+ * development the default is an in-memory outbox that stands in for a
+ * mailbox: messages can be read back with `getMessages` / `getLatestMessage`.
+ * Release builds refuse to send until a real transport is set with
+ * `setOTPTransport`, so a code is never "sent" to nobody.
+ */
+
+const OTP_EMAIL_TEMPLATES = {
+  signup: {
+    subject: 'Your Palura verification code',
+    intro: 'Welcome to Palura! Use this code to finish creating your account:',
+  },
+  signin: {
+    subject: 'Your Palura sign-in code',
+    intro: 'Welcome back! Use this code to sign in to Palura:',
+  },
+  pin_reset: {
+    subject: 'Reset your Palura parent PIN',
+    intro: 'Use this code to remove the parent PIN on your device:',
+  },
+};
+
+/**
+ * Render the OTP email for a code
+ * @param {object} params - { email, otp, expiresAt, purpose: 'signup'|'signin'|'pin_reset', now }
+ * @returns {{ to: string, subject: string, text: string }}
+ */
+export const renderOTPEmail = ({ email, otp, expiresAt, purpose = 'signup', now = Date.now() }) => {
+  const template = OTP_EMAIL_TEMPLATES[purpose] || OTP_EMAIL_TEMPLATES.signup;
+  const minutes = Math.max(1, Math.round((expiresAt - now) / 60000));
+
+  return {
+    to: email.toLowerCase(),
+    subject: template.subject,
+    text: [
+      template.intro,
+      '',
+      `    ${otp}`,
+      '',
+      `This code expires in ${minutes} minute${minutes !== 1 ? 's' : ''}.`,
+      "If you didn't request it, you can ignore this email.",
+    ].join('\n'),
+  };
+};
+
+/**
+ * In-memory outbox transport (local mailbox stand-in)
+ * @param {object} [options] - { log: print each message to the console }
+ */
+export const createOutboxTransport = ({ log = false } = {}) => {
+  const messages = [];
+
+  return {
+    name: 'outbox',
+
+    async send(message) {
+      const stored = {
+        ...message,
+        id: `msg_${Date.now()}_${messages.length + 1}`,
+        sentAt: new Date().toISOString(),
+      };
+      messages.push(stored);
+
+      if (log) {
+        console.log(`[Outbox] To: ${stored.to}\nSubject: ${stored.subject}\n\n${stored.text}`);
+      }
+
+      return {
+        success: true,
+        messageId: stored.id,
+      };
+    },
+
+    getMessages(to = null) {
+      return to ? messages.filter(m => m.to === to.toLowerCase()) : [...messages];
+    },
+
+    clear() {
+      messages.length = 0;
+    },
+  };
+};
+
+/**
+ * Transport for builds with no mail server configured: every send fails
+ */
+const createUnconfiguredTransport = () => ({
+  name: 'unconfigured',
+
+  async send() {
+    console.error('No OTP transport is configured; call setOTPTransport before sending codes');
+    return {
+      success: false,
+      error: "We can't send codes right now. Please try again later.",
+    };
+  },
+});
+
+// In development, log to the console so the code can be read from Metro logs
+let transport = typeof __DEV__ !== 'undefined' && __DEV__
+  ? createOutboxTransport({ log: true })
+  : createUnconfiguredTransport();
+
+/**
+ * Replace the delivery transport
+ */
+export const setOTPTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('OTP transport must implement send(message)');
+  }
+  transport = nextTransport;
+};
+
+/**
+ * Get the current delivery transport
+ */
+export const getOTPTransport = () => {
+  return transport;
+};
+
+/**
+ * Get messages sent through the outbox transport (empty for other transports)
+ */
+export const getMessages = (to = null) => {
+  return typeof transport.getMessages === 'function' ? transport.getMessages(to) : [];
+};
+
+/**
+ * Get the most recent message sent to an address
+ */
+export const getLatestMessage = (to) => {
+  const messages = getMessages(to);
+  return messages.length > 0 ? messages[messages.length - 1] : null;
+};
+
+/**
+ * Render and send an OTP email
+ * @param {object} params - { email, otp, expiresAt, purpose }
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ */
+export const deliverOTP = async (params) => {
+  try {
+    const result = await transport.send(renderOTPEmail(params));
+    if (!result?.success) {
+      return {
+        success: false,
+        error: result?.error || 'Could not send the code. Please try again.',
+      };
+    }
+    return {
+      success: true,
+      messageId: result.messageId,
+    };
+  } catch (error) {
+    console.error(`Error sending OTP via ${transport.name || 'transport'}:`, error);
+    return {
+      success: false,
+      error: 'Could not send the code. Please try again.',
+    };
+  }
+};
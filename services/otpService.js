@@ -1,4 +1,6 @@
-import { otpStorage } from './storageService';
+import { otpStorage, withStorageErrors } from './storageService';
+import { deliverOTP } from './otpDelivery';
+import { generateSalt, hashWithSalt, constantTimeEqual, randomDigits } from '../utils/crypto';
 
 /**
  * OTP Service
@@ -6,6 +8,16 @@ import { otpStorage } from './storageService';
  * - 6 digits
  * - Valid for 10 minutes
  * - Max 5 attempts per hour per email
+ * - Max 5 codes sent per hour per email, at least 30 seconds apart
+ *
+ * Codes are stored only as salted SHA-256 hashes and attempts only as
+ * { timestamp, success }. Records are purged once nothing in them is
+ * still needed for validation or rate limiting.
+ *
+ * The hash only keeps a code from being read at a glance: there are just a
+ * million 6-digit codes, so anyone holding the hash and salt can try them
+ * all in moments. What actually protects a code is that it expires after
+ * VALIDITY_MS and that MAX_ATTEMPTS caps the guesses against it.
  */
 
 const OTP_CONFIG = {
@@ -13,31 +25,76 @@ const OTP_CONFIG = {
   VALIDITY_MS: 10 * 60 * 1000, // 10 minutes
   MAX_ATTEMPTS: 5,
   ATTEMPT_WINDOW_MS: 60 * 60 * 1000, // 1 hour
+  RESEND_COOLDOWN_MS: 30 * 1000, // 30 seconds between codes
+  MAX_SENDS: 5, // Codes sent (first + resends), separate from MAX_ATTEMPTS
+  SEND_WINDOW_MS: 60 * 60 * 1000, // 1 hour
 };
 
 /**
  * Generate a random 6-digit OTP
  */
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return randomDigits(OTP_CONFIG.LENGTH);
+};
+
+/**
+ * Drop everything that is no longer needed: an expired code and attempts or
+ * sends outside their rate-limit windows. Also strips fields older records
+ * kept in plaintext (currentOTP, the typed code on each attempt).
+ * Returns null when nothing is left to keep.
+ */
+const pruneOTPData = (data, now = Date.now()) => {
+  const hasLiveCode = !!data.otpHash && now - data.otpGeneratedAt <= OTP_CONFIG.VALIDITY_MS;
+  const pruned = {
+    email: data.email,
+    otpHash: hasLiveCode ? data.otpHash : null,
+    otpSalt: hasLiveCode ? data.otpSalt : null,
+    otpGeneratedAt: hasLiveCode ? data.otpGeneratedAt : null,
+    attempts: (data.attempts || [])
+      .filter(attempt => now - attempt.timestamp < OTP_CONFIG.ATTEMPT_WINDOW_MS)
+      .map(attempt => ({ timestamp: attempt.timestamp, success: !!attempt.success })),
+    sends: (data.sends || []).filter(sentAt => now - sentAt < OTP_CONFIG.SEND_WINDOW_MS),
+  };
+  
+  if (!pruned.otpHash && pruned.attempts.length === 0 && pruned.sends.length === 0) {
+    return null;
+  }
+  return pruned;
 };
 
 /**
  * Get OTP data for email (or create if doesn't exist)
  */
 const getOTPData = async (email) => {
-  let data = await otpStorage.getByEmail(email);
-  
-  if (!data) {
-    data = {
-      email: email.toLowerCase(),
-      attempts: [],
-      currentOTP: null,
-      otpGeneratedAt: null,
-    };
-  }
+  const stored = await otpStorage.getByEmail(email);
+  const data = stored ? pruneOTPData(stored) : null;
   
-  return data;
+  return data || {
+    email: email.toLowerCase(),
+    otpHash: null,
+    otpSalt: null,
+    otpGeneratedAt: null,
+    attempts: [],
+    sends: [],
+  };
+};
+
+/**
+ * Save OTP data, deleting the record once it holds nothing worth keeping
+ */
+const saveOTPData = async (email, data) => {
+  const pruned = pruneOTPData(data);
+  if (!pruned) {
+    return await otpStorage.delete(email);
+  }
+  return await otpStorage.save(email, pruned);
+};
+
+/**
+ * Hash a code for storage
+ */
+const hashOTP = (otp, salt) => {
+  return hashWithSalt(otp, salt);
 };
 
 /**
@@ -59,9 +116,39 @@ const hasExceededMaxAttempts = (attempts) => {
 };
 
 /**
- * Generate and store OTP for email
+ * Work out whether another code may be sent yet
  */
-export const generateOTPForEmail = async (email) => {
+const checkSendAllowed = (data, now = Date.now()) => {
+  const recentSends = data.sends.filter(sentAt => now - sentAt < OTP_CONFIG.SEND_WINDOW_MS);
+  const lastSentAt = recentSends.length > 0 ? Math.max(...recentSends) : null;
+  const remainingSends = Math.max(0, OTP_CONFIG.MAX_SENDS - recentSends.length);
+  
+  // Out of sends: wait until the oldest one leaves the window
+  if (remainingSends === 0) {
+    return {
+      allowed: false,
+      retryAfterMs: Math.min(...recentSends) + OTP_CONFIG.SEND_WINDOW_MS - now,
+      remainingSends,
+      recentSends,
+    };
+  }
+  
+  const cooldownMs = lastSentAt ? lastSentAt + OTP_CONFIG.RESEND_COOLDOWN_MS - now : 0;
+  return {
+    allowed: cooldownMs <= 0,
+    retryAfterMs: Math.max(0, cooldownMs),
+    remainingSends,
+    recentSends,
+  };
+};
+
+/**
+ * Generate, store and deliver OTP for email
+ * The code itself is only ever sent through the delivery transport.
+ * @param {string} email
+ * @param {object} [options] - { purpose: 'signup'|'signin'|'pin_reset' } selects the email template
+ */
+export const generateOTPForEmail = withStorageErrors(async (email, { purpose = 'signup' } = {}) => {
   const data = await getOTPData(email);
   
   // Check if too many attempts
@@ -72,59 +159,98 @@ export const generateOTPForEmail = async (email) => {
     };
   }
   
-  // Generate new OTP
-  const otp = generateOTP();
+  // Check resend cooldown and limit
   const now = Date.now();
+  const sendStatus = checkSendAllowed(data, now);
+  if (!sendStatus.allowed) {
+    const seconds = Math.ceil(sendStatus.retryAfterMs / 1000);
+    return {
+      success: false,
+      error: sendStatus.remainingSends === 0
+        ? 'Too many codes requested. Please try again later.'
+        : `Please wait ${seconds} second${seconds !== 1 ? 's' : ''} before requesting a new code.`,
+      retryAfterMs: sendStatus.retryAfterMs,
+    };
+  }
+  
+  // Generate new OTP (replaces, and so invalidates, any previous code)
+  const otp = generateOTP();
+  const salt = generateSalt();
   
-  data.currentOTP = otp;
+  data.otpHash = hashOTP(otp, salt);
+  data.otpSalt = salt;
   data.otpGeneratedAt = now;
+  data.sends = [...sendStatus.recentSends, now];
   
-  await otpStorage.save(email, data);
+  await saveOTPData(email, data);
   
-  // In a real app, you'd send this via email/SMS
-  // For local storage, we'll just return it (for testing)
-  console.log(`[OTP Service] Generated OTP for ${email}: ${otp}`);
+  const expiresAt = now + OTP_CONFIG.VALIDITY_MS;
+  const delivery = await deliverOTP({ email, otp, expiresAt, purpose });
+  
+  if (!delivery.success) {
+    // Don't leave a code behind that the parent never received, and
+    // don't count the failed send against the limit
+    data.otpHash = null;
+    data.otpSalt = null;
+    data.otpGeneratedAt = null;
+    data.sends = sendStatus.recentSends;
+    await saveOTPData(email, data);
+    
+    return {
+      success: false,
+      error: delivery.error,
+    };
+  }
   
   return {
     success: true,
-    otp, // Only for development/testing
-    expiresAt: now + OTP_CONFIG.VALIDITY_MS,
+    expiresAt,
   };
+});
+
+/**
+ * Send a new code, invalidating the previous one
+ * Subject to the resend cooldown and MAX_SENDS limit.
+ */
+export const resendOTP = async (email, options = {}) => {
+  return await generateOTPForEmail(email, options);
 };
 
+/**
+ * Get whether a new code can be sent and when
+ * Returns { canResend, retryAfterMs, remainingSends, error }
+ */
+export const getResendStatus = withStorageErrors(async (email) => {
+  const data = await getOTPData(email);
+  const status = checkSendAllowed(data);
+  return {
+    canResend: status.allowed,
+    retryAfterMs: status.retryAfterMs,
+    remainingSends: status.remainingSends,
+    error: null,
+  };
+}, (error) => ({
+  canResend: false,
+  retryAfterMs: 0,
+  remainingSends: 0,
+  error: error.userMessage,
+}));
+
 /**
  * Validate OTP for email
  */
-export const validateOTP = async (email, inputOTP) => {
+export const validateOTP = withStorageErrors(async (email, inputOTP) => {
   const data = await getOTPData(email);
   
-  // Check if OTP exists
-  if (!data.currentOTP || !data.otpGeneratedAt) {
+  // Check if OTP exists (expired codes are purged when the data is loaded)
+  if (!data.otpHash || !data.otpGeneratedAt) {
     return {
       valid: false,
-      error: 'No OTP found. Please request a new one.',
+      error: 'Code expired or not found. Please request a new one.',
     };
   }
   
-  // Check if OTP expired
   const now = Date.now();
-  const isExpired = now - data.otpGeneratedAt > OTP_CONFIG.VALIDITY_MS;
-  
-  if (isExpired) {
-    // Record failed attempt
-    data.attempts.push({
-      otp: inputOTP,
-      timestamp: now,
-      success: false,
-      reason: 'expired',
-    });
-    await otpStorage.save(email, data);
-    
-    return {
-      valid: false,
-      error: 'Code expired',
-    };
-  }
   
   // Check if too many attempts
   if (hasExceededMaxAttempts(data.attempts)) {
@@ -135,23 +261,23 @@ export const validateOTP = async (email, inputOTP) => {
   }
   
   // Validate OTP
-  const isValid = data.currentOTP === inputOTP;
+  const isValid = typeof inputOTP === 'string' &&
+    constantTimeEqual(hashOTP(inputOTP, data.otpSalt), data.otpHash);
   
-  // Record attempt
+  // Record attempt (never the typed code)
   data.attempts.push({
-    otp: inputOTP,
     timestamp: now,
     success: isValid,
-    reason: isValid ? null : 'invalid',
   });
   
   if (isValid) {
     // Clear OTP on success
-    data.currentOTP = null;
+    data.otpHash = null;
+    data.otpSalt = null;
     data.otpGeneratedAt = null;
   }
   
-  await otpStorage.save(email, data);
+  await saveOTPData(email, data);
   
   if (!isValid) {
     // Check if now exceeded max attempts
@@ -173,7 +299,10 @@ export const validateOTP = async (email, inputOTP) => {
     valid: true,
     error: null,
   };
-};
+}, (error) => ({
+  valid: false,
+  error: error.userMessage,
+}));
 
 /**
  * Get remaining attempts for email
@@ -189,12 +318,28 @@ export const getRemainingAttempts = async (email) => {
  */
 export const isOTPValid = async (email) => {
   const data = await getOTPData(email);
+  return !!data.otpHash;
+};
+
+/**
+ * Purge OTP data that is no longer needed, for every email
+ * Expired codes and attempts/sends outside their windows are removed, and
+ * records left empty are deleted.
+ */
+export const purgeExpiredOTPData = async () => {
+  const allData = await otpStorage.getAll();
+  let purged = 0;
   
-  if (!data.currentOTP || !data.otpGeneratedAt) {
-    return false;
+  for (const [email, data] of Object.entries(allData)) {
+    const pruned = pruneOTPData(data);
+    if (!pruned) {
+      await otpStorage.delete(email);
+      purged++;
+    } else if (JSON.stringify(pruned) !== JSON.stringify(data)) {
+      await otpStorage.save(email, pruned);
+    }
   }
   
-  const now = Date.now();
-  return now - data.otpGeneratedAt <= OTP_CONFIG.VALIDITY_MS;
+  return purged;
 };
 
@@ -1,5 +1,5 @@
-import { parentStorage } from './storageService';
-import { trackEvent } from './analyticsService';
+import { parentStorage, withStorageErrors } from './storageService';
+import { trackEvent, EVENTS } from './analyticsService';
 
 /**
  * Parent Profile Service
@@ -53,40 +53,44 @@ export const getParent = async (email) => {
 /**
  * Update parent profile
  */
-export const updateParentProfile = async (email, profileData) => {
+export const updateParentProfile = withStorageErrors(async (email, profileData) => {
+  const changes = { ...profileData };
+
   // Validate name if provided
-  if (profileData.name !== undefined) {
-    const nameValidation = validateParentName(profileData.name);
+  if (changes.name !== undefined) {
+    const nameValidation = validateParentName(changes.name);
     if (!nameValidation.valid) {
       return {
         success: false,
         error: nameValidation.error,
       };
     }
-    profileData.name = nameValidation.name;
+    changes.name = nameValidation.name;
   }
   
-  // Get existing parent
-  const existingParent = await parentStorage.getByEmail(email);
+  // Update the stored parent under its lock so concurrent changes aren't lost
+  let updatedParent = null;
+  await parentStorage.update(email, (existingParent) => {
+    if (!existingParent) {
+      return undefined;
+    }
+    updatedParent = {
+      ...existingParent,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    };
+    return updatedParent;
+  });
   
-  if (!existingParent) {
+  if (!updatedParent) {
     return {
       success: false,
       error: 'Parent not found',
     };
   }
   
-  // Update parent with new profile data
-  const updatedParent = {
-    ...existingParent,
-    ...profileData,
-    updatedAt: new Date().toISOString(),
-  };
-  
-  await parentStorage.save(updatedParent);
-  
   // Track analytics
-  await trackEvent('parent_profile_updated', {
+  await trackEvent(EVENTS.PARENT_PROFILE_UPDATED, {
     parentEmail: email.toLowerCase(),
   });
   
@@ -94,7 +98,7 @@ export const updateParentProfile = async (email, profileData) => {
     success: true,
     parent: updatedParent,
   };
-};
+});
 
 /**
  * Check if parent profile is complete
@@ -0,0 +1,267 @@
+import { parentStorage, withStorageErrors } from './storageService';
+import { trackEvent, EVENTS } from './analyticsService';
+import { generateOTPForEmail, validateOTP } from './otpService';
+import { generateSalt, hashWithSalt, constantTimeEqual, randomInt } from '../utils/crypto';
+
+/**
+ * Parental Gate Service
+ * Keeps parent-only screens away from a child holding the device.
+ * - Without a PIN: a multiplication question young children can't answer
+ * - With a PIN: the parent's PIN, stored only as a salted hash on the parent
+ *
+ * Wrong PINs are counted on the parent record (pinFailures, pinLockedUntil),
+ * so neither reopening the gate nor restarting the app resets the count.
+ * The count is only cleared by the right PIN or a new one, and every wrong
+ * PIN past the limit doubles the lockout, up to MAX_LOCKOUT_MS.
+ * A forgotten PIN is removed after verifying an emailed code.
+ */
+
+export const GATE_CONFIG = {
+  PIN_LENGTH: 4,
+  MAX_PIN_ATTEMPTS: 5,
+  LOCKOUT_MS: 60 * 1000, // 1 minute after MAX_PIN_ATTEMPTS wrong PINs
+  MAX_LOCKOUT_MS: 60 * 60 * 1000, // Doubling stops at 1 hour
+  MIN_FACTOR: 6,
+  MAX_FACTOR: 9,
+};
+
+/**
+ * Create an arithmetic challenge
+ * Returns { question, answer }
+ */
+export const createChallenge = () => {
+  const range = GATE_CONFIG.MAX_FACTOR - GATE_CONFIG.MIN_FACTOR + 1;
+  const a = GATE_CONFIG.MIN_FACTOR + randomInt(range);
+  const b = GATE_CONFIG.MIN_FACTOR + randomInt(range);
+  return {
+    question: `What is ${a} × ${b}?`,
+    answer: a * b,
+  };
+};
+
+/**
+ * Check an answer to a challenge
+ */
+export const checkChallengeAnswer = (challenge, input) => {
+  const value = parseInt(String(input).trim(), 10);
+  return !!challenge && value === challenge.answer;
+};
+
+/**
+ * Validate a new PIN
+ */
+export const validatePin = (pin) => {
+  if (typeof pin !== 'string' || !new RegExp(`^\\d{${GATE_CONFIG.PIN_LENGTH}}$`).test(pin)) {
+    return {
+      valid: false,
+      error: `PIN must be ${GATE_CONFIG.PIN_LENGTH} digits`,
+    };
+  }
+
+  if (/^(\d)\1+$/.test(pin)) {
+    return {
+      valid: false,
+      error: 'Choose a PIN that is not the same digit repeated',
+    };
+  }
+
+  return {
+    valid: true,
+    error: null,
+  };
+};
+
+/**
+ * Whether the parent has set a PIN
+ */
+export const hasParentPin = (parent) => {
+  return !!(parent && parent.pinHash && parent.pinSalt);
+};
+
+/**
+ * Set or replace the parent's PIN
+ */
+export const setParentPin = withStorageErrors(async (email, pin) => {
+  const validation = validatePin(pin);
+  if (!validation.valid) {
+    return {
+      success: false,
+      error: validation.error,
+    };
+  }
+
+  const salt = generateSalt();
+  const pinHash = hashWithSalt(pin, salt);
+
+  let updatedParent = null;
+  await parentStorage.update(email, (parent) => {
+    if (!parent) {
+      return undefined;
+    }
+    const { pinFailures, pinLockedUntil, ...rest } = parent;
+    updatedParent = {
+      ...rest,
+      pinHash,
+      pinSalt: salt,
+      updatedAt: new Date().toISOString(),
+    };
+    return updatedParent;
+  });
+
+  if (!updatedParent) {
+    return {
+      success: false,
+      error: 'Parent not found',
+    };
+  }
+
+  await trackEvent(EVENTS.PARENTAL_PIN_SET, {
+    parentEmail: updatedParent.email,
+  });
+
+  return {
+    success: true,
+    parent: updatedParent,
+  };
+});
+
+/**
+ * Remove the parent's PIN (the gate falls back to the arithmetic challenge)
+ */
+export const removeParentPin = withStorageErrors(async (email) => {
+  let updatedParent = null;
+  await parentStorage.update(email, (parent) => {
+    if (!parent) {
+      return undefined;
+    }
+    const { pinHash, pinSalt, pinFailures, pinLockedUntil, ...rest } = parent;
+    updatedParent = {
+      ...rest,
+      updatedAt: new Date().toISOString(),
+    };
+    return updatedParent;
+  });
+
+  if (!updatedParent) {
+    return {
+      success: false,
+      error: 'Parent not found',
+    };
+  }
+
+  await trackEvent(EVENTS.PARENTAL_PIN_REMOVED, {
+    parentEmail: updatedParent.email,
+  });
+
+  return {
+    success: true,
+    parent: updatedParent,
+  };
+});
+
+/**
+ * How long until the parent may enter a PIN again (0 when they can)
+ */
+export const getPinLockoutMs = (parent) => {
+  if (!parent || !parent.pinLockedUntil) {
+    return 0;
+  }
+  return Math.max(0, parent.pinLockedUntil - Date.now());
+};
+
+/**
+ * How long to lock the gate after a given number of wrong PINs in a row
+ * (0 below MAX_PIN_ATTEMPTS)
+ */
+export const getLockoutDurationMs = (failures) => {
+  const extraFailures = failures - GATE_CONFIG.MAX_PIN_ATTEMPTS;
+  if (extraFailures < 0) {
+    return 0;
+  }
+  return Math.min(GATE_CONFIG.LOCKOUT_MS * 2 ** extraFailures, GATE_CONFIG.MAX_LOCKOUT_MS);
+};
+
+const lockedOut = (retryAfterMs) => {
+  const minutes = Math.max(1, Math.ceil(retryAfterMs / 60000));
+  return {
+    valid: false,
+    error: `Too many wrong PINs. Try again in ${minutes} minute${minutes !== 1 ? 's' : ''}.`,
+    retryAfterMs,
+  };
+};
+
+/**
+ * Check a PIN against the parent's stored hash
+ * The stored record is re-read under its lock, so failures from an older
+ * copy of the parent (or a concurrent attempt) still count.
+ * Returns { valid, error, retryAfterMs }
+ */
+export const verifyParentPin = withStorageErrors(async (parent, pin) => {
+  let result = {
+    valid: false,
+    error: 'No PIN has been set',
+  };
+
+  await parentStorage.update(parent.email, (stored) => {
+    if (!hasParentPin(stored)) {
+      return undefined;
+    }
+
+    const retryAfterMs = getPinLockoutMs(stored);
+    if (retryAfterMs > 0) {
+      result = lockedOut(retryAfterMs);
+      return undefined;
+    }
+
+    const isValid = typeof pin === 'string' &&
+      constantTimeEqual(hashWithSalt(pin, stored.pinSalt), stored.pinHash);
+    const { pinFailures = 0, pinLockedUntil, ...rest } = stored;
+
+    if (isValid) {
+      result = {
+        valid: true,
+        error: null,
+      };
+      return pinFailures > 0 || pinLockedUntil ? rest : undefined;
+    }
+
+    const failures = pinFailures + 1;
+    const lockoutMs = getLockoutDurationMs(failures);
+    result = lockoutMs > 0 ? lockedOut(lockoutMs) : {
+      valid: false,
+      error: 'Incorrect PIN',
+    };
+    return {
+      ...rest,
+      pinFailures: failures,
+      pinLockedUntil: lockoutMs > 0 ? Date.now() + lockoutMs : null,
+    };
+  });
+
+  return result;
+}, (error) => ({
+  valid: false,
+  error: error.userMessage,
+}));
+
+/**
+ * Email a code for removing a forgotten PIN
+ */
+export const sendPinResetCode = async (email) => {
+  return await generateOTPForEmail(email, { purpose: 'pin_reset' });
+};
+
+/**
+ * Remove a forgotten PIN once the emailed code checks out
+ */
+export const resetPinWithCode = async (email, code) => {
+  const validation = await validateOTP(email, code);
+  if (!validation.valid) {
+    return {
+      success: false,
+      error: validation.error,
+    };
+  }
+
+  return await removeParentPin(email);
+};
@@ -0,0 +1,120 @@
+import { practiceStorage, withStorageErrors, STORAGE_ERROR_CODES } from './storageService';
+import { normalizePhoneme } from '../utils/phonemeInventory';
+import { randomId } from '../utils/crypto';
+import { deleteRecordingFiles, deleteChildRecordings } from './recordingFiles';
+
+/**
+ * Practice History Service
+ * Records every practice attempt per child so progress can be followed
+ * across sessions and days
+ */
+
+/**
+ * Record a practice attempt for a child
+ * @param {string} childId
+ * @param {object} attemptData - { sessionId, wordId, word, targetPhoneme, position, result, recordingUri }
+ *   where result is the object returned by analyzeWord
+ */
+export const recordPracticeAttempt = withStorageErrors(async (childId, attemptData) => {
+  if (!childId) {
+    return {
+      success: false,
+      error: 'Child is required',
+    };
+  }
+
+  const { sessionId, wordId, word, targetPhoneme, position, result, recordingUri } = attemptData;
+
+  if (!wordId || !result) {
+    return {
+      success: false,
+      error: 'Word and analysis result are required',
+    };
+  }
+
+  const attempt = {
+    id: randomId('attempt'),
+    childId,
+    sessionId: sessionId || null,
+    wordId,
+    word,
+    targetPhoneme: normalizePhoneme(targetPhoneme) || targetPhoneme,
+    position: position || null,
+    overallWordScore: result.overallWordScore,
+    phonemeScore: result.phonemeScore,
+    passed: result.decision?.target === 'pass',
+    wrongWord: !!result.wrongWord,
+    detectedPhoneme: result.detectedPhoneme || null,
+    // blob: URLs (web) die with the page, so they're never stored
+    recordingUri: recordingUri && !recordingUri.startsWith('blob:') ? recordingUri : null,
+    timestamp: new Date().toISOString(),
+  };
+
+  const saved = await practiceStorage.addAttempt(childId, attempt);
+  if (!saved) {
+    return {
+      success: false,
+      error: 'Failed to save practice attempt',
+    };
+  }
+
+  return {
+    success: true,
+    attempt,
+  };
+});
+
+/**
+ * Get a child's practice attempts, oldest first
+ * @param {string} childId
+ * @param {object} [filters] - { since, until, wordId, targetPhoneme }
+ */
+export const getPracticeHistory = async (childId, filters = {}) => {
+  const attempts = await practiceStorage.getByChildId(childId);
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+  const until = filters.until ? new Date(filters.until).getTime() : null;
+  const targetPhoneme = filters.targetPhoneme ? normalizePhoneme(filters.targetPhoneme) : null;
+
+  return attempts.filter(attempt => {
+    const time = new Date(attempt.timestamp).getTime();
+    return (since === null || time >= since) &&
+      (until === null || time < until) &&
+      (!filters.wordId || attempt.wordId === filters.wordId) &&
+      (!targetPhoneme || attempt.targetPhoneme === targetPhoneme);
+  });
+};
+
+/**
+ * Delete all practice attempts for a child, and their recordings
+ * Returns { success, error, attemptsDeleted, recordingsDeleted }
+ */
+export const deletePracticeHistory = withStorageErrors(async (childId) => {
+  // A quarantined history can't be read, but it can still be deleted
+  let attempts = [];
+  try {
+    attempts = await practiceStorage.getByChildId(childId);
+  } catch (error) {
+    if (error?.code !== STORAGE_ERROR_CODES.CORRUPT_DATA) {
+      throw error;
+    }
+  }
+
+  const deleted = await practiceStorage.deleteByChildId(childId);
+  if (!deleted) {
+    return {
+      success: false,
+      error: 'Failed to delete practice history',
+    };
+  }
+
+  // Files go after the records so a failure can't leave attempts pointing at nothing
+  const files = await deleteRecordingFiles(attempts.map(attempt => attempt.recordingUri));
+  await deleteChildRecordings(childId);
+
+  return {
+    success: true,
+    error: null,
+    attemptsDeleted: attempts.length,
+    recordingsDeleted: files.deleted,
+  };
+});
@@ -0,0 +1,161 @@
+import { getPracticeHistory } from './practiceHistoryService';
+import { getEventsByName } from './analyticsService';
+import { getStorageErrorMessage } from './storageService';
+
+/**
+ * Progress Service
+ * Summarizes a child's stored practice history (and session analytics
+ * events) for the parent dashboard
+ */
+
+export const PROGRESS_CONFIG = {
+  TREND_DAYS: 14,           // Days shown in the phoneme score trend
+  WEEK_STARTS_ON: 1,        // Monday
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local calendar day key, e.g. "2024-05-31"
+ */
+const toDayKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const startOfDay = (date) => {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Start of the week containing `date` (local time)
+ */
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  const offset = (day.getDay() - PROGRESS_CONFIG.WEEK_STARTS_ON + 7) % 7;
+  day.setDate(day.getDate() - offset);
+  return day;
+};
+
+const average = (values) => {
+  return values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+};
+
+/**
+ * Count consecutive practice days
+ * The current streak still counts if the child hasn't practised yet today.
+ */
+const calculateStreaks = (dayKeys, now) => {
+  const days = [...new Set(dayKeys)].sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const key of days) {
+    const time = new Date(`${key}T00:00:00`).getTime();
+    // Round to absorb daylight saving shifts
+    run = previous !== null && Math.round((time - previous) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  }
+
+  const today = toDayKey(now);
+  const yesterday = toDayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+  const last = days[days.length - 1];
+  const current = last === today || last === yesterday ? run : 0;
+
+  return { current, longest };
+};
+
+/**
+ * Build progress from attempts and analytics events
+ * Pure so it can be computed for any point in time.
+ * @param {Array} attempts - from getPracticeHistory
+ * @param {Array} sessionEvents - 'practice_session_completed' events for the child
+ * @param {Date} [now]
+ */
+export const calculateProgress = (attempts, sessionEvents = [], now = new Date()) => {
+  const weekStart = startOfWeek(now).getTime();
+  const thisWeek = attempts.filter(attempt => new Date(attempt.timestamp).getTime() >= weekStart);
+
+  // Attempts recorded before session ids existed count one session per day
+  const sessionKeys = new Set(thisWeek.map(attempt =>
+    attempt.sessionId || toDayKey(new Date(attempt.timestamp))
+  ));
+
+  // Pass rate per target phoneme
+  const byPhoneme = {};
+  attempts.forEach(attempt => {
+    const key = attempt.targetPhoneme;
+    if (!byPhoneme[key]) {
+      byPhoneme[key] = { targetPhoneme: key, attempts: 0, passed: 0 };
+    }
+    byPhoneme[key].attempts += 1;
+    byPhoneme[key].passed += attempt.passed ? 1 : 0;
+  });
+  const phonemes = Object.values(byPhoneme)
+    .map(entry => ({ ...entry, passRate: Math.round((entry.passed / entry.attempts) * 100) }))
+    .sort((a, b) => b.attempts - a.attempts);
+
+  // Daily average phoneme score for the trend chart (oldest day first)
+  const scoresByDay = {};
+  attempts.forEach(attempt => {
+    const key = toDayKey(new Date(attempt.timestamp));
+    if (!scoresByDay[key]) {
+      scoresByDay[key] = [];
+    }
+    scoresByDay[key].push(attempt.phonemeScore);
+  });
+  const trend = [];
+  for (let i = PROGRESS_CONFIG.TREND_DAYS - 1; i >= 0; i--) {
+    const key = toDayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i));
+    const scores = scoresByDay[key] || [];
+    trend.push({
+      date: key,
+      attempts: scores.length,
+      averagePhonemeScore: average(scores),
+    });
+  }
+
+  const completedThisWeek = sessionEvents.filter(event =>
+    new Date(event.timestamp).getTime() >= weekStart
+  );
+
+  return {
+    totalAttempts: attempts.length,
+    attemptsThisWeek: thisWeek.length,
+    sessionsThisWeek: sessionKeys.size,
+    completedSessionsThisWeek: completedThisWeek.length,
+    phonemes,
+    streak: calculateStreaks(Object.keys(scoresByDay), now),
+    trend,
+    lastPracticedAt: attempts.length > 0 ? attempts[attempts.length - 1].timestamp : null,
+  };
+};
+
+/**
+ * Get progress for one child
+ * Returns { success, progress, error }
+ */
+export const getChildProgress = async (childId, now = new Date()) => {
+  try {
+    const attempts = await getPracticeHistory(childId);
+    const events = await getEventsByName('practice_session_completed');
+    const sessionEvents = events.filter(event => event.childId === childId);
+
+    return {
+      success: true,
+      progress: calculateProgress(attempts, sessionEvents, now),
+    };
+  } catch (error) {
+    console.error('Error loading progress:', error);
+    return {
+      success: false,
+      error: getStorageErrorMessage(error, 'Failed to load progress'),
+    };
+  }
+};
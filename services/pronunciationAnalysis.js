@@ -1,71 +1,240 @@
+import { isWav, decodeWav, resample } from '../utils/wav';
+import { extractFeatures, MFCC_CONFIG } from '../utils/mfcc';
+import { dtw } from '../utils/dtw';
+import { validateTemplate, REFERENCE_SOURCES } from '../utils/templateValidation';
+import { normalizePhoneme } from '../utils/phonemeInventory';
+
 /**
  * Pronunciation Analysis Service
- * 
- * This is a MOCK implementation for MVP.
- * Later, this will be replaced with real MFCC/DTW analysis.
- * 
- * The function signature and return structure match the real implementation
- * so we can swap it out easily later.
+ *
+ * Scores a child's recording against a reference recording of the same word:
+ * 1. Decode the attempt to 16 kHz mono PCM
+ * 2. Compute MFCC frames for it; reference frames are precomputed and
+ *    bundled next to each template (see scripts/build-reference.mjs)
+ * 3. Align the attempt to the reference with dynamic time warping
+ * 4. Turn the alignment cost into word and target-phoneme scores, and map
+ *    the template's phoneme timings onto the child's audio through the path
+ *
+ * Everything below `loadAudio` is pure JS so it runs unchanged in Node
+ * against fixture WAV files.
+ *
+ * Supported inputs: WAV files (iOS records LINEARPCM, Android records
+ * through services/wavRecorder.js), or on web anything the browser's
+ * AudioContext can decode (MediaRecorder's webm/opus).
  */
 
+export const ANALYSIS_CONFIG = {
+  PASS_THRESHOLD: 70,
+  WRONG_WORD_THRESHOLD: 40,
+  // Attempts more than this many times longer/shorter than the reference
+  // are treated as a different word
+  MAX_DURATION_RATIO: 2.5,
+  // Frame distances (normalized MFCCs) at or below PERFECT_DISTANCE score
+  // 100, at or above ZERO_DISTANCE score 0
+  PERFECT_DISTANCE: 2.0,
+  ZERO_DISTANCE: 5.5,
+  DTW_BAND: 0.4,
+};
+
 /**
- * Analyzes a user's pronunciation against a reference word
- * @param {string} audioUri - URI of the recorded audio file
- * @param {object} ref - Reference data containing template.json content
- * @returns {Promise<object>} Analysis results with scores, alignment, and decisions
+ * Fetch the raw bytes behind a file:// or blob: URI
  */
-export const analyzeWord = async (audioUri, ref) => {
-  // Simulate processing delay (real analysis would take ~50ms)
-  await new Promise(resolve => setTimeout(resolve, 800));
-
-  // Mock analysis results - these would come from real DTW/MFCC analysis
-  // For MVP, we return realistic but randomized data
-  
-  // Generate realistic scores (slightly randomized for demo purposes)
-  const overallWordScore = Math.floor(Math.random() * 30) + 70; // 70-100
-  const phonemeScore = Math.floor(Math.random() * 35) + 65; // 65-100
-  
-  // Determine pass/fail based on threshold (default 70)
-  const threshold = 70;
-  const pass = phonemeScore >= threshold;
-  
-  // Mock detected phoneme (sometimes different from target)
-  const detectedPhoneme = Math.random() > 0.7 ? "i:" : "I";
-  
-  // Mock alignment data - map reference phonemes to child audio timings
-  const mappedPhonemes = ref.phonemes.map((phoneme, index) => {
-    // Simulate slight timing variations in child's pronunciation
-    const variation = Math.random() * 40 - 20; // -20ms to +20ms variation
+const fetchAudioBytes = async (uri) => {
+  const response = await fetch(uri);
+  if (!response.ok && response.status !== 0) {
+    throw new Error(`Could not read recording (${response.status})`);
+  }
+  return await response.arrayBuffer();
+};
+
+/**
+ * Decode non-WAV audio with the Web Audio API (web only)
+ */
+const decodeWithWebAudio = async (bytes) => {
+  const AudioContextClass = typeof window !== 'undefined'
+    ? window.AudioContext || window.webkitAudioContext
+    : null;
+
+  if (!AudioContextClass) {
+    throw new Error('Unsupported recording format. Please record as WAV.');
+  }
+
+  const context = new AudioContextClass();
+  try {
+    const buffer = bytes instanceof ArrayBuffer
+      ? bytes
+      : bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const audioBuffer = await context.decodeAudioData(buffer);
+    const samples = new Float32Array(audioBuffer.length);
+
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+      const channel = audioBuffer.getChannelData(ch);
+      for (let i = 0; i < channel.length; i++) {
+        samples[i] += channel[i] / audioBuffer.numberOfChannels;
+      }
+    }
+
+    return { samples, sampleRate: audioBuffer.sampleRate };
+  } finally {
+    context.close?.();
+  }
+};
+
+/**
+ * Load audio into mono PCM at the analysis sample rate
+ * @param {string|ArrayBuffer|Uint8Array|{samples: Float32Array, sampleRate: number}} audio
+ */
+export const loadAudio = async (audio) => {
+  if (!audio) {
+    throw new Error('No audio provided');
+  }
+
+  let decoded;
+  if (audio.samples && audio.sampleRate) {
+    decoded = audio;
+  } else {
+    const bytes = typeof audio === 'string' ? await fetchAudioBytes(audio) : audio;
+    decoded = isWav(bytes) ? decodeWav(bytes) : await decodeWithWebAudio(bytes);
+  }
+
+  return {
+    samples: resample(decoded.samples, decoded.sampleRate, MFCC_CONFIG.SAMPLE_RATE),
+    sampleRate: MFCC_CONFIG.SAMPLE_RATE,
+  };
+};
+
+/**
+ * Map a mean frame distance onto a 0-100 score
+ */
+const distanceToScore = (distance) => {
+  const { PERFECT_DISTANCE, ZERO_DISTANCE } = ANALYSIS_CONFIG;
+  const ratio = (ZERO_DISTANCE - distance) / (ZERO_DISTANCE - PERFECT_DISTANCE);
+  return Math.round(100 * Math.max(0, Math.min(1, ratio)));
+};
+
+/**
+ * Map each reference phoneme span onto the attempt through the DTW path
+ */
+const alignPhonemes = (phonemes, path, reference, attempt) => {
+  const hopMs = reference.hopMs;
+
+  return phonemes.map((phoneme) => {
+    const firstFrame = Math.floor((phoneme.start - reference.offsetMs) / hopMs);
+    const lastFrame = Math.ceil((phoneme.end - reference.offsetMs) / hopMs) - 1;
+    const steps = path.filter(step => step.reference >= firstFrame && step.reference <= lastFrame);
+
+    if (steps.length === 0) {
+      // Span falls entirely in the reference's trimmed silence
+      return { p: phoneme.p, startMs: null, endMs: null, distance: null };
+    }
+
+    const startFrame = Math.min(...steps.map(step => step.query));
+    const endFrame = Math.max(...steps.map(step => step.query));
+    const distance = steps.reduce((sum, step) => sum + step.distance, 0) / steps.length;
+
     return {
       p: phoneme.p,
-      startMs: Math.max(0, phoneme.start + variation),
-      endMs: phoneme.end + variation
+      startMs: attempt.offsetMs + startFrame * hopMs,
+      endMs: attempt.offsetMs + (endFrame + 1) * hopMs,
+      distance,
     };
   });
-  
-  // Get target phoneme alignment
-  const targetPhoneme = mappedPhonemes[ref.targetIndex];
-  
-  // Mock wrong word detection (low overall score or bad duration)
-  const wrongWord = overallWordScore < 60 || Math.random() < 0.1; // 10% chance for demo
-  
-  // Return structure matching the real implementation
+};
+
+/**
+ * Compute reference features from a reference recording, or check that
+ * precomputed features came from a real recording with the same MFCC settings
+ */
+const getReferenceFeatures = async (ref) => {
+  if (ref.reference) {
+    const { frames, hopMs, offsetMs, coefficients, source } = ref.reference;
+    if (source !== REFERENCE_SOURCES.RECORDING) {
+      throw new Error(`${ref.word || 'This word'} has no recorded reference yet, so it can't be scored`);
+    }
+    if (hopMs !== MFCC_CONFIG.HOP_MS || coefficients !== MFCC_CONFIG.COEFFICIENTS) {
+      throw new Error(`Reference features for ${ref.word || 'this word'} are out of date`);
+    }
+    return { frames, hopMs, offsetMs };
+  }
+
+  if (ref.referenceAudio) {
+    const pcm = await loadAudio(ref.referenceAudio);
+    return extractFeatures(pcm.samples, pcm.sampleRate);
+  }
+
+  throw new Error(`No reference recording for ${ref.word || 'this word'}`);
+};
+
+/**
+ * Score an attempt against reference features
+ * Pure function over decoded PCM, so it runs in Node without a device.
+ * @param {{samples: Float32Array, sampleRate: number}} attemptPcm
+ * @param {{frames: number[][], hopMs: number, offsetMs: number}} reference - Reference MFCC frames
+ * @param {object} ref - Template data (phonemes, targetIndex, optional threshold)
+ */
+export const scoreAttempt = (attemptPcm, reference, ref) => {
+  const attempt = extractFeatures(attemptPcm.samples, attemptPcm.sampleRate);
+
+  if (attempt.frames.length === 0) {
+    throw new Error('Recording is too short or silent');
+  }
+  if (reference.frames.length === 0) {
+    throw new Error('Reference recording is too short or silent');
+  }
+
+  const alignment = dtw(attempt.frames, reference.frames, { band: ANALYSIS_CONFIG.DTW_BAND });
+  const mappedPhonemes = alignPhonemes(ref.phonemes, alignment.path, reference, attempt);
+  const target = mappedPhonemes[ref.targetIndex];
+
+  const overallWordScore = distanceToScore(alignment.normalizedCost);
+  const phonemeScore = target && target.distance !== null ? distanceToScore(target.distance) : 0;
+
+  const durationRatio = attempt.frames.length / reference.frames.length;
+  const wrongWord = overallWordScore < ANALYSIS_CONFIG.WRONG_WORD_THRESHOLD ||
+    durationRatio > ANALYSIS_CONFIG.MAX_DURATION_RATIO ||
+    durationRatio < 1 / ANALYSIS_CONFIG.MAX_DURATION_RATIO;
+
+  // A target "match" inside the wrong word is a coincidence of the alignment
+  const threshold = ref.threshold ?? ANALYSIS_CONFIG.PASS_THRESHOLD;
+  const pass = phonemeScore >= threshold && !wrongWord;
+
   return {
     overallWordScore,        // 0-100
     phonemeScore,            // 0-100 (for target phoneme)
-    detectedPhoneme: detectedPhoneme === "I" ? "I" : "i:", // "i:" | "I" | null
+    // A single reference can confirm the target but can't name a substitute,
+    // so a failed target is reported as undetected
+    detectedPhoneme: pass ? normalizePhoneme(ref.phonemes[ref.targetIndex].p) : null,
     alignment: {
-      phonemes: mappedPhonemes,
+      phonemes: mappedPhonemes.map(({ p, startMs, endMs }) => ({ p, startMs, endMs })),
       target: {
-        startMs: targetPhoneme.startMs,
-        endMs: targetPhoneme.endMs
-      }
+        startMs: target ? target.startMs : null,
+        endMs: target ? target.endMs : null,
+      },
     },
     decision: {
-      target: pass ? "pass" : "fail"
+      target: pass ? 'pass' : 'fail',
     },
-    wrongWord
+    wrongWord,
   };
 };
 
+/**
+ * Analyzes a user's pronunciation against a reference word
+ * @param {string|ArrayBuffer|Uint8Array|object} audioUri - URI of the recorded audio file, raw bytes, or decoded PCM
+ * @param {object} ref - Template data (template.json content) plus either precomputed
+ *   `reference` features (see wordReferenceService) or a `referenceAudio` recording
+ * @returns {Promise<object>} Analysis results with scores, alignment, and decisions
+ */
+export const analyzeWord = async (audioUri, ref) => {
+  const validation = validateTemplate(ref);
+  if (!validation.valid) {
+    throw new Error(`Invalid word template: ${validation.errors.join('; ')}`);
+  }
+
+  const [attemptPcm, reference] = await Promise.all([
+    loadAudio(audioUri),
+    getReferenceFeatures(ref),
+  ]);
 
+  return scoreAttempt(attemptPcm, reference, ref);
+};
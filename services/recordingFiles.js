@@ -0,0 +1,117 @@
+import { Platform } from 'react-native';
+import {
+  deleteAsync,
+  documentDirectory,
+  getInfoAsync,
+  makeDirectoryAsync,
+  moveAsync,
+} from 'expo-file-system/legacy';
+
+/**
+ * Recording Files
+ * Keeps recorded audio that practice history refers to, and removes it once
+ * nothing refers to it any more.
+ * - Web recordings are blob: object URLs held in memory, so they're never
+ *   stored, only revoked
+ * - Native recordings are written to the cache directory, which the OS may
+ *   clear, so they're moved to a folder per child under the document
+ *   directory before saving
+ */
+
+const RECORDINGS_DIR = documentDirectory ? `${documentDirectory}recordings/` : null;
+
+const childRecordingsDir = (childId) => `${RECORDINGS_DIR}${childId}/`;
+
+/**
+ * Move a child's recording somewhere it will survive until deleted
+ * Returns the new URI, or null if the recording can't be kept (web, or the
+ * move failed).
+ */
+export const keepRecordingFile = async (uri, childId) => {
+  if (!uri || Platform.OS === 'web' || uri.startsWith('blob:') || !RECORDINGS_DIR) {
+    return null;
+  }
+  const childDir = childRecordingsDir(childId);
+  if (uri.startsWith(childDir)) {
+    return uri;
+  }
+
+  try {
+    const dir = await getInfoAsync(childDir);
+    if (!dir.exists) {
+      await makeDirectoryAsync(childDir, { intermediates: true });
+    }
+
+    const name = uri.split('/').pop();
+    const destination = `${childDir}${Date.now()}-${name}`;
+    await moveAsync({ from: uri, to: destination });
+    return destination;
+  } catch (error) {
+    console.error(`Error keeping recording ${uri}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Delete (or revoke) a single recording
+ * Missing files count as deleted.
+ */
+export const deleteRecordingFile = async (uri) => {
+  if (!uri) {
+    return true;
+  }
+
+  try {
+    if (uri.startsWith('blob:')) {
+      if (typeof URL !== 'undefined' && typeof URL.revokeObjectURL === 'function') {
+        URL.revokeObjectURL(uri);
+      }
+      return true;
+    }
+
+    if (Platform.OS !== 'web') {
+      await deleteAsync(uri, { idempotent: true });
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error deleting recording ${uri}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Delete a list of recordings
+ * Returns { deleted, failed } counts
+ */
+export const deleteRecordingFiles = async (uris) => {
+  let deleted = 0;
+  let failed = 0;
+
+  for (const uri of new Set(uris.filter(Boolean))) {
+    if (await deleteRecordingFile(uri)) {
+      deleted++;
+    } else {
+      failed++;
+    }
+  }
+
+  return { deleted, failed };
+};
+
+/**
+ * Delete every recording kept for a child, including any no record points
+ * at any more (e.g. behind an unreadable practice history)
+ */
+export const deleteChildRecordings = async (childId) => {
+  if (Platform.OS === 'web' || !RECORDINGS_DIR || !childId) {
+    return true;
+  }
+
+  try {
+    await deleteAsync(childRecordingsDir(childId), { idempotent: true });
+    return true;
+  } catch (error) {
+    console.error(`Error deleting recordings for ${childId}:`, error);
+    return false;
+  }
+};
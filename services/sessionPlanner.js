@@ -0,0 +1,245 @@
+import { getWord, getWords, getWordsForPhoneme } from './wordLibrary';
+import { normalizePhoneme } from '../utils/phonemeInventory';
+import { randomId } from '../utils/crypto';
+
+/**
+ * Session Planner
+ * Builds an ordered practice session (a list of words for one target sound)
+ * and applies the rules for moving through it:
+ * - a pass moves on to the next word
+ * - a fail allows another attempt until ATTEMPTS_PER_WORD is reached
+ * - the session is complete once every word is passed, failed or skipped
+ *
+ * Plans are plain objects and every function returns a new plan, so they
+ * work directly with React state updates.
+ */
+
+export const SESSION_CONFIG = {
+  WORD_COUNT: 10,
+  ATTEMPTS_PER_WORD: 3,
+  DEFAULT_TARGET_PHONEME: 'l',
+};
+
+export const WORD_STATUS = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * Fisher-Yates shuffle (returns a copy)
+ */
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const toPlanWord = (entry) => ({
+  wordId: entry.id,
+  word: entry.word,
+  syllableBreak: entry.syllableBreak,
+  targetPhoneme: entry.targetPhoneme,
+  position: entry.position,
+  status: WORD_STATUS.PENDING,
+  attempts: [],
+});
+
+/**
+ * Create a session plan
+ * Either pass `wordIds` for a fixed list, or a `targetPhoneme` (and
+ * optional `position`) to draw `wordCount` words from the word library.
+ * Returns { success, plan, error }
+ */
+export const createSessionPlan = ({
+  targetPhoneme = SESSION_CONFIG.DEFAULT_TARGET_PHONEME,
+  position = null,
+  wordIds = null,
+  wordCount = SESSION_CONFIG.WORD_COUNT,
+  attemptsPerWord = SESSION_CONFIG.ATTEMPTS_PER_WORD,
+  random = Math.random,
+} = {}) => {
+  let entries;
+
+  if (wordIds) {
+    entries = wordIds.map(getWord);
+    const missing = wordIds.filter((id, index) => !entries[index]);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `Unknown word: ${missing.join(', ')}`,
+      };
+    }
+  } else if (getWords().length === 0) {
+    return {
+      success: false,
+      error: 'No practice words have been recorded yet',
+    };
+  } else {
+    const candidates = shuffle(getWordsForPhoneme(targetPhoneme, position), random);
+    if (candidates.length === 0) {
+      return {
+        success: false,
+        error: `No practice words for /${targetPhoneme}/${position ? ` (${position})` : ''}`,
+      };
+    }
+
+    // Reuse words when the library has fewer than requested
+    entries = [];
+    while (entries.length < wordCount) {
+      entries.push(...candidates.slice(0, wordCount - entries.length));
+    }
+  }
+
+  const words = entries.map(toPlanWord);
+  words[0].status = WORD_STATUS.ACTIVE;
+
+  return {
+    success: true,
+    plan: {
+      id: randomId('session'),
+      targetPhoneme: wordIds ? words[0].targetPhoneme : normalizePhoneme(targetPhoneme),
+      position,
+      attemptsPerWord,
+      words,
+      currentIndex: 0,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+    },
+  };
+};
+
+/**
+ * Get the word currently being practised (null once complete)
+ */
+export const getCurrentWord = (plan) => {
+  if (!plan || plan.completedAt) {
+    return null;
+  }
+  return plan.words[plan.currentIndex] || null;
+};
+
+/**
+ * Check whether the session is complete
+ */
+export const isSessionComplete = (plan) => {
+  return !!plan?.completedAt;
+};
+
+/**
+ * Get how many attempts remain on the current word
+ */
+export const getRemainingAttempts = (plan) => {
+  const word = getCurrentWord(plan);
+  if (!word || word.status !== WORD_STATUS.ACTIVE) {
+    return 0;
+  }
+  return Math.max(0, plan.attemptsPerWord - word.attempts.length);
+};
+
+const updateCurrentWord = (plan, update) => ({
+  ...plan,
+  words: plan.words.map((word, index) => (index === plan.currentIndex ? { ...word, ...update } : word)),
+});
+
+/**
+ * Record an analysis result against the current word
+ * Marks the word passed on a pass, or failed once its attempts run out.
+ */
+export const recordAttempt = (plan, result) => {
+  const word = getCurrentWord(plan);
+  if (!word || word.status !== WORD_STATUS.ACTIVE) {
+    return plan;
+  }
+
+  const passed = result.decision?.target === 'pass';
+  const attempts = [
+    ...word.attempts,
+    {
+      overallWordScore: result.overallWordScore,
+      phonemeScore: result.phonemeScore,
+      passed,
+      wrongWord: !!result.wrongWord,
+      timestamp: new Date().toISOString(),
+    },
+  ];
+
+  let status = WORD_STATUS.ACTIVE;
+  if (passed) {
+    status = WORD_STATUS.PASSED;
+  } else if (attempts.length >= plan.attemptsPerWord) {
+    status = WORD_STATUS.FAILED;
+  }
+
+  return updateCurrentWord(plan, { attempts, status });
+};
+
+/**
+ * Move to the next word
+ * A word still in progress is marked skipped. Completes the session after
+ * the last word.
+ */
+export const advance = (plan) => {
+  const word = getCurrentWord(plan);
+  if (!word) {
+    return plan;
+  }
+
+  let next = word.status === WORD_STATUS.ACTIVE
+    ? updateCurrentWord(plan, { status: WORD_STATUS.SKIPPED })
+    : plan;
+
+  const nextIndex = plan.currentIndex + 1;
+  if (nextIndex >= plan.words.length) {
+    return {
+      ...next,
+      completedAt: new Date().toISOString(),
+    };
+  }
+
+  next = { ...next, currentIndex: nextIndex };
+  return updateCurrentWord(next, { status: WORD_STATUS.ACTIVE });
+};
+
+/**
+ * Summarize a session for the COMPLETE screen
+ */
+export const summarizeSession = (plan) => {
+  const attempts = plan.words.flatMap(word => word.attempts);
+  const practised = plan.words.filter(word => word.attempts.length > 0);
+  const passed = plan.words.filter(word => word.status === WORD_STATUS.PASSED);
+  const average = values => (values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null);
+
+  const endedAt = plan.completedAt ? new Date(plan.completedAt) : new Date();
+
+  return {
+    sessionId: plan.id,
+    targetPhoneme: plan.targetPhoneme,
+    wordCount: plan.words.length,
+    wordsPractised: practised.length,
+    wordsPassed: passed.length,
+    wordsFailed: plan.words.filter(word => word.status === WORD_STATUS.FAILED).length,
+    wordsSkipped: plan.words.filter(word => word.status === WORD_STATUS.SKIPPED).length,
+    totalAttempts: attempts.length,
+    passRate: practised.length > 0 ? Math.round((passed.length / practised.length) * 100) : 0,
+    averagePhonemeScore: average(attempts.map(attempt => attempt.phonemeScore)),
+    averageWordScore: average(attempts.map(attempt => attempt.overallWordScore)),
+    durationMs: endedAt.getTime() - new Date(plan.startedAt).getTime(),
+    words: plan.words.map(word => ({
+      wordId: word.wordId,
+      word: word.word,
+      status: word.status,
+      attempts: word.attempts.length,
+      bestPhonemeScore: word.attempts.length > 0
+        ? Math.max(...word.attempts.map(attempt => attempt.phonemeScore))
+        : null,
+    })),
+  };
+};
@@ -0,0 +1,63 @@
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { randomHex, hexToBytes, hmacSha256, deriveKeys } from '../utils/crypto';
+
+/**
+ * Storage Key Service
+ * Provides the keys that encrypt sensitive data at rest.
+ * - Native: a random 256-bit master key kept in the Keychain / Keystore
+ * - Web: no secure store exists, so the key is derived from a random seed
+ *   saved beside the data.
+ *
+ * What the web seed does and doesn't protect: anyone who can run script on
+ * the origin or copy its whole localStorage has the seed too, so it is no
+ * defence against them. It does mean a single value seen on its own (an
+ * open devtools panel, a screenshot, one key pasted into a bug report, a
+ * tool that reads known key names) shows no emails, names or tokens, and
+ * key names are hashed the same way as on native. The MAC still catches a
+ * value that was corrupted or edited by hand, which is quarantined rather
+ * than read. Keeping one code path also means web data is already in the
+ * encrypted format if a real key store arrives.
+ */
+
+const SECURE_STORE_KEY = 'palura_storage_key';
+const WEB_SEED_KEY = 'storage_key_seed';
+const WEB_KEY_CONTEXT = 'palura:web-storage:v1';
+
+let keysPromise = null;
+
+const loadNativeMasterKey = async () => {
+  let keyHex = await SecureStore.getItemAsync(SECURE_STORE_KEY);
+  if (!keyHex) {
+    keyHex = randomHex(32);
+    await SecureStore.setItemAsync(SECURE_STORE_KEY, keyHex);
+  }
+  return hexToBytes(keyHex);
+};
+
+const loadWebMasterKey = async () => {
+  let seedHex = await AsyncStorage.getItem(WEB_SEED_KEY);
+  if (!seedHex) {
+    seedHex = randomHex(32);
+    await AsyncStorage.setItem(WEB_SEED_KEY, seedHex);
+  }
+  return hmacSha256(hexToBytes(seedHex), WEB_KEY_CONTEXT);
+};
+
+/**
+ * Get the storage keys ({ encKey, macKey, idKey }), creating the master key
+ * on first use. Loaded once per launch; a failed load is retried next call.
+ */
+export const getStorageKeys = () => {
+  if (!keysPromise) {
+    const loadMasterKey = Platform.OS === 'web' ? loadWebMasterKey : loadNativeMasterKey;
+    keysPromise = loadMasterKey()
+      .then(deriveKeys)
+      .catch((error) => {
+        keysPromise = null;
+        throw error;
+      });
+  }
+  return keysPromise;
+};
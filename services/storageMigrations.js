@@ -0,0 +1,297 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  storageService,
+  collections,
+  legacyCollections,
+  childrenStorage,
+  practiceStorage,
+  getStorageErrorMessage,
+} from './storageService';
+import { isEncrypted } from '../utils/crypto';
+
+/**
+ * Storage Migrations
+ * Upgrades data saved by older versions of the app to the current shape.
+ *
+ * SCHEMA_VERSION_KEY holds the version of the last migration that finished.
+ * Migrations run in order at startup, before the session is loaded, and the
+ * version is written only after a migration completes. Every migration must
+ * be idempotent and write new data before removing old data, so an app
+ * killed part-way simply repeats the unfinished migration on next launch.
+ */
+
+const SCHEMA_VERSION_KEY = 'schema_version';
+
+// Shown when a migration fails for a reason other than storage itself
+const MIGRATION_FAILED_MESSAGE = "Your saved data couldn't be updated for this version of the app. Please try again.";
+
+/**
+ * Write a key or throw, so a failed write stops the migration
+ */
+const writeItem = async (key, value, options) => {
+  if (!(await storageService.setItem(key, value, options))) {
+    throw new Error(`Could not write ${key}`);
+  }
+};
+
+/**
+ * Move a whole-collection blob into per-record keys, then drop the blob
+ * Re-running before the blob is gone rewrites the same records.
+ */
+const splitLegacyBlob = async (legacyKey, collection, toRecords) => {
+  const legacy = await storageService.getItem(legacyKey);
+  if (!legacy) {
+    return;
+  }
+
+  if (!(await collection.setMany(toRecords(legacy)))) {
+    throw new Error(`Could not split ${legacyKey}`);
+  }
+  await storageService.removeItem(legacyKey);
+};
+
+// Ordered by version; never edit or reorder a migration once released.
+// Keys are spelled out because migrations must keep reading the old layout.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Rename device fingerprint to device id',
+    async migrate() {
+      const legacyDeviceId = await storageService.getItem('device_fingerprint');
+      if (legacyDeviceId) {
+        if (!(await storageService.getItem('device_id'))) {
+          await writeItem('device_id', legacyDeviceId);
+        }
+        await storageService.removeItem('device_fingerprint');
+      }
+
+      const sessions = await storageService.getItem('sessions');
+      if (!sessions) {
+        return;
+      }
+
+      let changed = false;
+      for (const session of Object.values(sessions)) {
+        if ('deviceFingerprint' in session) {
+          session.deviceId = session.deviceId || session.deviceFingerprint;
+          delete session.deviceFingerprint;
+          changed = true;
+        }
+      }
+      if (changed) {
+        await writeItem('sessions', sessions);
+      }
+    },
+  },
+  {
+    version: 2,
+    name: 'Remove plaintext OTP codes',
+    async migrate() {
+      const otpData = await storageService.getItem('otp_data');
+      if (!otpData) {
+        return;
+      }
+
+      // Codes are hashed now; an old plaintext code just has to be requested again
+      let changed = false;
+      for (const [email, record] of Object.entries(otpData)) {
+        const hasPlaintext = 'currentOTP' in record ||
+          (record.attempts || []).some(attempt => 'otp' in attempt);
+        if (hasPlaintext) {
+          const { currentOTP, ...rest } = record;
+          otpData[email] = {
+            ...rest,
+            attempts: (record.attempts || []).map(({ otp, ...attempt }) => attempt),
+          };
+          changed = true;
+        }
+      }
+      if (changed) {
+        await writeItem('otp_data', otpData);
+      }
+    },
+  },
+  {
+    version: 3,
+    name: 'Store one key per record',
+    async migrate() {
+      // Maps keyed by email, token or child id keep their keys
+      await splitLegacyBlob('parents', collections.parents, parents => parents);
+      await splitLegacyBlob('sessions', collections.sessions, sessions => sessions);
+      await splitLegacyBlob('otp_data', collections.otpData, otpData => otpData);
+      await splitLegacyBlob('children', legacyCollections.childrenByEmail, children => children);
+      await splitLegacyBlob('practice', legacyCollections.practiceByChildId, practice => practice);
+
+      // The analytics array is bucketed by day
+      await splitLegacyBlob('analytics', collections.analytics, (events) => {
+        const buckets = {};
+        for (const event of events) {
+          const day = typeof event.timestamp === 'string' ? event.timestamp.slice(0, 10) : '0000-00-00';
+          (buckets[day] = buckets[day] || []).push(event);
+        }
+        return buckets;
+      });
+    },
+  },
+  {
+    version: 4,
+    name: 'Encrypt sensitive data at rest',
+    async migrate() {
+      // Device keys holding tokens, an email or a child id
+      const sensitiveKeys = ['current_session_token', 'current_refresh_token', 'last_signin_email', 'active_child_id'];
+      for (const key of sensitiveKeys) {
+        const raw = await AsyncStorage.getItem(key);
+        if (raw && !isEncrypted(raw)) {
+          await writeItem(key, JSON.parse(raw), { encrypt: true });
+        }
+      }
+
+      // Move each plaintext record to its hashed key, then re-encrypt the index.
+      // Reads decrypt either format, so a re-run picks up where it stopped.
+      const encrypted = [
+        collections.parents,
+        collections.sessions,
+        collections.otpData,
+        legacyCollections.childrenByEmail,
+        collections.analytics,
+      ];
+      for (const collection of encrypted) {
+        const ids = await collection.getIds();
+        for (const id of ids) {
+          const plainKey = `${collection.name}:${id}`;
+          const raw = await AsyncStorage.getItem(plainKey);
+          if (raw === null) {
+            continue;
+          }
+          if (!(await collection.set(id, JSON.parse(raw)))) {
+            throw new Error(`Could not encrypt ${collection.name} record`);
+          }
+          await storageService.removeItem(plainKey);
+        }
+        await writeItem(collection.indexKey, ids, { encrypt: true });
+      }
+    },
+  },
+  {
+    version: 5,
+    name: 'Store one key per child and per practice attempt',
+    async migrate() {
+      // Each legacy record is split, then removed; saving again is a no-op
+      // for children and attempts already moved by an interrupted run
+      const { childrenByEmail, practiceByChildId } = legacyCollections;
+
+      for (const email of await childrenByEmail.getIds()) {
+        for (const child of (await childrenByEmail.get(email)) || []) {
+          if (!(await childrenStorage.save(email, child))) {
+            throw new Error('Could not move child record');
+          }
+        }
+        await childrenByEmail.remove(email);
+      }
+      await storageService.removeItem(childrenByEmail.indexKey);
+
+      for (const childId of await practiceByChildId.getIds()) {
+        const attempts = (await practiceByChildId.get(childId)) || [];
+        for (const [index, attempt] of attempts.entries()) {
+          // Ids only have to be stable across re-runs
+          const withId = attempt.id ? attempt : { ...attempt, id: `attempt_${childId}_${index}` };
+          if (!(await practiceStorage.addAttempt(childId, withId))) {
+            throw new Error('Could not move practice attempt');
+          }
+        }
+        await practiceByChildId.remove(childId);
+      }
+      await storageService.removeItem(practiceByChildId.indexKey);
+    },
+  },
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the stored schema version (0 before any migration has run)
+ */
+export const getSchemaVersion = async () => {
+  const version = await storageService.getItem(SCHEMA_VERSION_KEY);
+  return Number.isInteger(version) ? version : 0;
+};
+
+let running = null;
+
+/**
+ * Run every migration newer than the stored schema version
+ * Concurrent calls share one run.
+ * Returns { success, error, userMessage, fromVersion, version, applied }
+ * where userMessage is set on failure and safe to display.
+ */
+export const runMigrations = async () => {
+  if (!running) {
+    running = applyMigrations().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+const applyMigrations = async () => {
+  const applied = [];
+  let fromVersion;
+  try {
+    fromVersion = await getSchemaVersion();
+  } catch (error) {
+    console.error('Could not read the storage schema version:', error);
+    return {
+      success: false,
+      error: `Could not read the schema version: ${error.message}`,
+      userMessage: getStorageErrorMessage(error, MIGRATION_FAILED_MESSAGE),
+      fromVersion: null,
+      version: null,
+      applied,
+    };
+  }
+
+  // Data from a newer app version: leave it alone rather than guess
+  if (fromVersion > LATEST_SCHEMA_VERSION) {
+    console.warn(`Storage schema v${fromVersion} is newer than this app (v${LATEST_SCHEMA_VERSION})`);
+    return {
+      success: true,
+      error: null,
+      fromVersion,
+      version: fromVersion,
+      applied,
+    };
+  }
+
+  let version = fromVersion;
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) {
+      continue;
+    }
+
+    try {
+      await migration.migrate();
+      await writeItem(SCHEMA_VERSION_KEY, migration.version);
+    } catch (error) {
+      console.error(`Storage migration ${migration.version} (${migration.name}) failed:`, error);
+      return {
+        success: false,
+        error: `Migration ${migration.version} failed: ${error.message}`,
+        userMessage: getStorageErrorMessage(error, MIGRATION_FAILED_MESSAGE),
+        fromVersion,
+        version,
+        applied,
+      };
+    }
+
+    version = migration.version;
+    applied.push(migration.version);
+  }
+
+  return {
+    success: true,
+    error: null,
+    fromVersion,
+    version,
+    applied,
+  };
+};
@@ -1,37 +1,271 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { randomId, encryptString, decryptString, isEncrypted, hmacSha256, bytesToHex } from '../utils/crypto';
+import { getStorageKeys } from './storageKeyService';
 
 // Storage keys
-const STORAGE_KEYS = {
+// Each collection keeps one key per record (`${collection}:${id}`) plus an
+// index of ids under `${collection}:index`. Children and practice attempts
+// are indexed per parent / per child instead, in the `_by_` collections.
+export const STORAGE_KEYS = {
   PARENTS: 'parents',
   SESSIONS: 'sessions',
   OTP_DATA: 'otp_data',
   CHILDREN: 'children',
+  CHILDREN_BY_PARENT: 'children_by_parent',
   ANALYTICS: 'analytics',
+  PRACTICE: 'practice',
+  PRACTICE_BY_CHILD: 'practice_by_child',
+};
+
+// Collections holding personal data are encrypted at rest, and their record
+// keys are keyed hashes so emails and tokens don't show up in key names.
+// Practice attempts hold only ids and scores and are written often, so not.
+const ENCRYPTED_COLLECTIONS = [
+  STORAGE_KEYS.PARENTS,
+  STORAGE_KEYS.SESSIONS,
+  STORAGE_KEYS.OTP_DATA,
+  STORAGE_KEYS.CHILDREN,
+  STORAGE_KEYS.CHILDREN_BY_PARENT,
+  STORAGE_KEYS.ANALYTICS,
+];
+
+// key -> tail of the queue of operations holding that key
+const locks = new Map();
+
+export const STORAGE_ERROR_CODES = {
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  CORRUPT_DATA: 'corrupt_data',
+  UNAVAILABLE: 'unavailable',
+  UNKNOWN: 'unknown',
+};
+
+// What the parent sees for each kind of failure
+const STORAGE_ERROR_MESSAGES = {
+  [STORAGE_ERROR_CODES.QUOTA_EXCEEDED]: 'Your device is out of storage space. Free up some space and try again.',
+  [STORAGE_ERROR_CODES.CORRUPT_DATA]: "Some saved data couldn't be read. It has been set aside so nothing is overwritten.",
+  [STORAGE_ERROR_CODES.UNAVAILABLE]: "Storage isn't available right now. Please restart the app and try again.",
+  [STORAGE_ERROR_CODES.UNKNOWN]: "Couldn't save your changes. Please try again.",
+};
+
+/**
+ * A storage failure the UI can explain
+ * `code` is one of STORAGE_ERROR_CODES and `userMessage` is safe to display.
+ */
+export class StorageError extends Error {
+  constructor(code, key, cause) {
+    super(`Storage ${code}${key ? ` (${key})` : ''}${cause?.message ? `: ${cause.message}` : ''}`);
+    this.name = 'StorageError';
+    this.code = code;
+    this.key = key || null;
+    this.cause = cause;
+    this.userMessage = STORAGE_ERROR_MESSAGES[code];
+  }
+}
+
+/**
+ * Wrap an error thrown by AsyncStorage (or the key store) in a StorageError
+ */
+const toStorageError = (error, key) => {
+  if (error instanceof StorageError) {
+    return error;
+  }
+
+  const text = `${error?.name || ''} ${error?.message || ''}`;
+  if (/quota|disk is full|SQLITE_FULL|no space|out of space/i.test(text)) {
+    return new StorageError(STORAGE_ERROR_CODES.QUOTA_EXCEEDED, key, error);
+  }
+  if (/SecurityError|insecure|AsyncStorage is null|NativeModule|not available|unavailable/i.test(text)) {
+    return new StorageError(STORAGE_ERROR_CODES.UNAVAILABLE, key, error);
+  }
+  return new StorageError(STORAGE_ERROR_CODES.UNKNOWN, key, error);
+};
+
+/**
+ * The message to show for an error, falling back for non-storage errors
+ */
+export const getStorageErrorMessage = (error, fallback) => {
+  return error instanceof StorageError ? error.userMessage : fallback;
+};
+
+/**
+ * Wrap a service function so storage failures come back as its failure
+ * result instead of throwing. Other errors still throw.
+ * @param {Function} fn
+ * @param {Function} [toFailure] - builds the result; defaults to { success: false, error, code }
+ */
+export const withStorageErrors = (fn, toFailure = null) => {
+  return async (...args) => {
+    try {
+      return await fn(...args);
+    } catch (error) {
+      if (!(error instanceof StorageError)) {
+        throw error;
+      }
+      console.error(error.message);
+      return toFailure
+        ? toFailure(error)
+        : { success: false, error: error.userMessage, code: error.code };
+    }
+  };
+};
+
+/**
+ * Quarantine
+ * A key that fails to parse or decrypt is listed under QUARANTINE_KEY and
+ * left exactly as it is: reads fail with CORRUPT_DATA instead of coming back
+ * empty, and writes are refused, so nothing is lost or silently replaced.
+ * Removing the key (e.g. deleting the account) lifts the quarantine.
+ */
+const QUARANTINE_KEY = 'storage_quarantine';
+let quarantinePromise = null;
+
+const loadQuarantine = () => {
+  if (!quarantinePromise) {
+    quarantinePromise = AsyncStorage.getItem(QUARANTINE_KEY)
+      .then(raw => (raw ? JSON.parse(raw) : {}))
+      .catch(() => ({}));
+  }
+  return quarantinePromise;
+};
+
+const quarantineKey = async (key, cause) => {
+  const quarantine = await loadQuarantine();
+  if (!quarantine[key]) {
+    quarantine[key] = {
+      detectedAt: new Date().toISOString(),
+      reason: cause?.message || 'Unreadable value',
+    };
+    console.error(`Quarantined corrupt storage key ${key}:`, cause);
+    try {
+      await AsyncStorage.setItem(QUARANTINE_KEY, JSON.stringify(quarantine));
+    } catch (error) {
+      // Still quarantined for this launch; it'll be caught again next read
+      console.error('Error saving quarantine list:', error);
+    }
+  }
+};
+
+const releaseKeys = async (keys) => {
+  const quarantine = await loadQuarantine();
+  const released = keys.filter(key => quarantine[key]);
+  if (released.length === 0) {
+    return;
+  }
+  released.forEach(key => delete quarantine[key]);
+  await AsyncStorage.setItem(QUARANTINE_KEY, JSON.stringify(quarantine));
+};
+
+const assertWritable = async (keys) => {
+  const quarantine = await loadQuarantine();
+  const blocked = keys.find(key => quarantine[key]);
+  if (blocked) {
+    throw new StorageError(STORAGE_ERROR_CODES.CORRUPT_DATA, blocked);
+  }
+};
+
+/**
+ * Get the encryption keys, reporting a key store failure as UNAVAILABLE
+ */
+const loadStorageKeys = async (key) => {
+  try {
+    return await getStorageKeys();
+  } catch (error) {
+    throw new StorageError(STORAGE_ERROR_CODES.UNAVAILABLE, key, error);
+  }
+};
+
+/**
+ * Parse a raw value, quarantining the key if it can't be read
+ */
+const readValue = async (key, raw) => {
+  const quarantine = await loadQuarantine();
+  if (quarantine[key]) {
+    throw new StorageError(STORAGE_ERROR_CODES.CORRUPT_DATA, key);
+  }
+
+  // Can't reach the key store? The data itself may well be fine
+  const keys = isEncrypted(raw) ? await loadStorageKeys(key) : null;
+
+  try {
+    return await decodeValue(raw, keys);
+  } catch (error) {
+    await quarantineKey(key, error);
+    throw new StorageError(STORAGE_ERROR_CODES.CORRUPT_DATA, key, error);
+  }
+};
+
+/**
+ * Get the keys currently quarantined, as { key: { detectedAt, reason } }
+ */
+export const getQuarantinedKeys = async () => {
+  return { ...(await loadQuarantine()) };
+};
+
+/**
+ * Serialize a value for storage, encrypting it when asked
+ */
+const encodeValue = async (value, encrypt, key) => {
+  const json = JSON.stringify(value);
+  return encrypt ? encryptString(await loadStorageKeys(key), json) : json;
+};
+
+/**
+ * Parse a stored value, decrypting it if it was encrypted
+ */
+const decodeValue = async (raw, keys) => {
+  if (!raw) {
+    return null;
+  }
+  if (isEncrypted(raw)) {
+    return JSON.parse(decryptString(keys, raw));
+  }
+  return JSON.parse(raw);
 };
 
 /**
  * Generic storage operations
+ * Reads decrypt transparently; writes encrypt when passed { encrypt: true }.
+ * Failures throw a StorageError rather than reading back as empty.
  */
 export const storageService = {
-  // Get item from storage
+  // Get item from storage (null when missing)
   async getItem(key) {
+    let raw;
     try {
-      const value = await AsyncStorage.getItem(key);
-      return value ? JSON.parse(value) : null;
+      raw = await AsyncStorage.getItem(key);
     } catch (error) {
-      console.error(`Error getting ${key}:`, error);
-      return null;
+      throw toStorageError(error, key);
     }
+    return await readValue(key, raw);
   },
 
   // Set item in storage
-  async setItem(key, value) {
+  async setItem(key, value, { encrypt = false } = {}) {
+    await assertWritable([key]);
     try {
-      await AsyncStorage.setItem(key, JSON.stringify(value));
+      await AsyncStorage.setItem(key, await encodeValue(value, encrypt, key));
       return true;
     } catch (error) {
-      console.error(`Error setting ${key}:`, error);
-      return false;
+      throw toStorageError(error, key);
+    }
+  },
+
+  // Whether a key holds anything, without reading the value (so quarantined
+  // keys count too)
+  async hasItem(key) {
+    try {
+      return (await AsyncStorage.getItem(key)) !== null;
+    } catch (error) {
+      throw toStorageError(error, key);
+    }
+  },
+
+  // Every key in storage
+  async getAllKeys() {
+    try {
+      return await AsyncStorage.getAllKeys();
+    } catch (error) {
+      throw toStorageError(error);
     }
   },
 
@@ -39,197 +273,637 @@ export const storageService = {
   async removeItem(key) {
     try {
       await AsyncStorage.removeItem(key);
+      await releaseKeys([key]);
+      return true;
+    } catch (error) {
+      throw toStorageError(error, key);
+    }
+  },
+
+  // Get several items in one call; returns { key: value } (null when missing)
+  async multiGet(keys) {
+    if (keys.length === 0) {
+      return {};
+    }
+
+    let pairs;
+    try {
+      pairs = await AsyncStorage.multiGet(keys);
+    } catch (error) {
+      throw toStorageError(error);
+    }
+
+    const values = {};
+    for (const [key, raw] of pairs) {
+      values[key] = await readValue(key, raw);
+    }
+    return values;
+  },
+
+  // Set several items in one call from { key: value }
+  async multiSet(entries, { encrypt = false } = {}) {
+    const keys = Object.keys(entries);
+    if (keys.length === 0) {
+      return true;
+    }
+    await assertWritable(keys);
+    try {
+      const pairs = [];
+      for (const [key, value] of Object.entries(entries)) {
+        pairs.push([key, await encodeValue(value, encrypt, key)]);
+      }
+      await AsyncStorage.multiSet(pairs);
+      return true;
+    } catch (error) {
+      throw toStorageError(error);
+    }
+  },
+
+  // Remove several items in one call
+  async multiRemove(keys) {
+    if (keys.length === 0) {
+      return true;
+    }
+    try {
+      await AsyncStorage.multiRemove(keys);
+      await releaseKeys(keys);
       return true;
     } catch (error) {
-      console.error(`Error removing ${key}:`, error);
-      return false;
+      throw toStorageError(error);
     }
   },
 
+  /**
+   * Run `fn` once every earlier operation holding `key` has finished
+   * Read-modify-write of a key must go through here, or concurrent writers
+   * overwrite each other's changes.
+   */
+  withLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => {
+      if (locks.get(key) === tail) {
+        locks.delete(key);
+      }
+    });
+    return run;
+  },
+
+  /**
+   * Locked read-modify-write of one key
+   * `updater` gets the current value (null when missing) and returns the new
+   * one, or undefined to leave the key as it is.
+   */
+  async updateItem(key, updater, options = {}) {
+    return await storageService.withLock(key, async () => {
+      const current = await storageService.getItem(key);
+      const next = await updater(current);
+      if (next === undefined) {
+        return true;
+      }
+      return await storageService.setItem(key, next, options);
+    });
+  },
+
   // Clear all storage
   async clear() {
     try {
       await AsyncStorage.clear();
+      quarantinePromise = null;
       return true;
     } catch (error) {
-      console.error('Error clearing storage:', error);
-      return false;
+      throw toStorageError(error);
     }
   },
 };
 
+/**
+ * A collection of records stored one key each, with an index of ids
+ * Records are written before they're added to the index and dropped from
+ * the index before they're removed, so the index never lists a missing
+ * record for long (reads skip any that are).
+ *
+ * Encrypted collections encrypt records and the index, and name each record
+ * key with a keyed hash of its id. Collections created with
+ * { indexed: false } keep no index of their own (see createGroupedCollection).
+ */
+const createCollection = (name, { encrypted = false, indexed = true } = {}) => {
+  const indexKey = `${name}:index`;
+  const writeOptions = { encrypt: encrypted };
+
+  // Storage key for a record id
+  const recordKey = async (id) => {
+    if (!encrypted) {
+      return `${name}:${id}`;
+    }
+    const { idKey } = await loadStorageKeys(indexKey);
+    return `${name}:${bytesToHex(hmacSha256(idKey, `${name}:${id}`)).slice(0, 32)}`;
+  };
+
+  // Lock per logical record (in memory only, so the plain id is fine)
+  const lockKey = (id) => `${name}:${id}`;
+
+  const collection = {
+    name,
+    indexKey,
+    encrypted,
+    recordKey,
+
+    // Ids of every record, in insertion order
+    async getIds() {
+      return (await storageService.getItem(indexKey)) || [];
+    },
+
+    async get(id) {
+      return await storageService.getItem(await recordKey(id));
+    },
+
+    // Whether a record is stored, even one that can't be read
+    async has(id) {
+      return await storageService.hasItem(await recordKey(id));
+    },
+
+    // Records for the given ids as { id: record }, skipping missing ones
+    async getMany(ids) {
+      const keys = [];
+      for (const id of ids) {
+        keys.push(await recordKey(id));
+      }
+      const values = await storageService.multiGet(keys);
+      const records = {};
+      ids.forEach((id, i) => {
+        if (values[keys[i]] !== null) {
+          records[id] = values[keys[i]];
+        }
+      });
+      return records;
+    },
+
+    // Every record as { id: record }
+    async getAll() {
+      return await collection.getMany(await collection.getIds());
+    },
+
+    async addToIndex(id) {
+      if (!indexed) {
+        return true;
+      }
+      return await storageService.updateItem(indexKey, (ids) => {
+        const current = ids || [];
+        return current.includes(id) ? undefined : [...current, id];
+      }, writeOptions);
+    },
+
+    async set(id, record) {
+      return await storageService.withLock(lockKey(id), async () => {
+        const saved = await storageService.setItem(await recordKey(id), record, writeOptions);
+        return saved && await collection.addToIndex(id);
+      });
+    },
+
+    async removeFromIndex(id) {
+      if (!indexed) {
+        return true;
+      }
+      return await storageService.updateItem(indexKey, (ids) => {
+        return ids && ids.includes(id) ? ids.filter(other => other !== id) : undefined;
+      }, writeOptions);
+    },
+
+    // Locked read-modify-write of one record (see storageService.updateItem);
+    // the updater can also return null to delete the record
+    async update(id, updater) {
+      return await storageService.withLock(lockKey(id), async () => {
+        const key = await recordKey(id);
+        const current = await storageService.getItem(key);
+        const next = await updater(current);
+        if (next === undefined) {
+          return true;
+        }
+        if (next === null) {
+          const unindexed = await collection.removeFromIndex(id);
+          return unindexed && await storageService.removeItem(key);
+        }
+        const saved = await storageService.setItem(key, next, writeOptions);
+        return saved && await collection.addToIndex(id);
+      });
+    },
+
+    async remove(id) {
+      return await storageService.withLock(lockKey(id), async () => {
+        const unindexed = await collection.removeFromIndex(id);
+        return unindexed && await storageService.removeItem(await recordKey(id));
+      });
+    },
+
+    // Remove several records in one call
+    async removeMany(ids) {
+      for (const id of ids) {
+        if (!(await collection.removeFromIndex(id))) {
+          return false;
+        }
+      }
+      const keys = [];
+      for (const id of ids) {
+        keys.push(await recordKey(id));
+      }
+      return await storageService.multiRemove(keys);
+    },
+
+    // Records in one multiSet plus the index, e.g. when migrating
+    async setMany(records) {
+      const entries = {};
+      for (const [id, record] of Object.entries(records)) {
+        entries[await recordKey(id)] = record;
+      }
+      if (!(await storageService.multiSet(entries, writeOptions))) {
+        return false;
+      }
+      if (!indexed) {
+        return true;
+      }
+      return await storageService.updateItem(indexKey, (ids) => {
+        const current = ids || [];
+        const added = Object.keys(records).filter(id => !current.includes(id));
+        return added.length > 0 ? [...current, ...added] : undefined;
+      }, writeOptions);
+    },
+  };
+
+  return collection;
+};
+
+/**
+ * Records stored one key each and grouped by owner (a parent's children, a
+ * child's attempts)
+ * Each owner has a record in `owners` listing its record ids in order, so
+ * adding a record writes only that record and its owner's index. Records are
+ * written before they're indexed, as in createCollection.
+ */
+const createGroupedCollection = (records, owners) => {
+  const grouped = {
+    // Ids of an owner's records, in insertion order
+    async getIds(ownerId) {
+      return (await owners.get(ownerId)) || [];
+    },
+
+    // An owner's records in index order, skipping missing ones
+    async getByOwner(ownerId) {
+      const ids = await grouped.getIds(ownerId);
+      const found = await records.getMany(ids);
+      return ids.filter(id => found[id]).map(id => found[id]);
+    },
+
+    // Add or replace a record and make sure its owner lists it
+    async set(ownerId, id, record) {
+      if (!(await records.set(id, record))) {
+        return false;
+      }
+      return await owners.update(ownerId, (ids) => {
+        const current = ids || [];
+        return current.includes(id) ? undefined : [...current, id];
+      });
+    },
+
+    // Locked read-modify-write of one record (see createCollection's update);
+    // the updater sees null for a record the owner doesn't list, and nothing
+    // is written for it then
+    async update(ownerId, id, updater) {
+      const owned = (await grouped.getIds(ownerId)).includes(id);
+      return await records.update(id, async (current) => {
+        const next = await updater(owned ? current : null);
+        return owned ? next : undefined;
+      });
+    },
+
+    async remove(ownerId, id) {
+      const unindexed = await owners.update(ownerId, (ids) => {
+        return ids && ids.includes(id) ? ids.filter(other => other !== id) : undefined;
+      });
+      return unindexed && await records.remove(id);
+    },
+
+    // Every record id any owner lists (throws if one of the lists can't be read)
+    async getOwnedIds() {
+      const lists = await owners.getAll();
+      return new Set(Object.values(lists).flat());
+    },
+
+    // Remove an owner's index, then every record it listed. Records are
+    // removed by key, so one that can't be read still goes. If the index
+    // itself can't be read, it's removed along with every record no other
+    // owner lists.
+    async removeOwner(ownerId) {
+      let ids = [];
+      try {
+        const unindexed = await owners.update(ownerId, (current) => {
+          ids = current || [];
+          return current ? null : undefined;
+        });
+        return unindexed && await records.removeMany(ids);
+      } catch (error) {
+        if (error?.code !== STORAGE_ERROR_CODES.CORRUPT_DATA) {
+          throw error;
+        }
+      }
+
+      if (!(await owners.remove(ownerId))) {
+        return false;
+      }
+      await grouped.removeUnowned();
+      return true;
+    },
+
+    // Remove records no owner lists. Skipped while another owner's list
+    // can't be read, since its records can't be told apart then.
+    // Returns how many were removed.
+    async removeUnowned() {
+      let owned;
+      try {
+        owned = await grouped.getOwnedIds();
+      } catch (error) {
+        if (error?.code !== STORAGE_ERROR_CODES.CORRUPT_DATA) {
+          throw error;
+        }
+        console.error(`Left unlisted ${records.name} records in place: ${error.message}`);
+        return 0;
+      }
+
+      const ownedKeys = new Set();
+      for (const id of owned) {
+        ownedKeys.add(await records.recordKey(id));
+      }
+      const unowned = (await storageService.getAllKeys()).filter(key =>
+        key.startsWith(`${records.name}:`) && key !== records.indexKey && !ownedKeys.has(key)
+      );
+      await storageService.multiRemove(unowned);
+      return unowned.length;
+    },
+  };
+
+  return grouped;
+};
+
+const createCollectionFor = (name, options = {}) => {
+  return createCollection(name, { ...options, encrypted: ENCRYPTED_COLLECTIONS.includes(name) });
+};
+
+export const collections = {
+  parents: createCollectionFor(STORAGE_KEYS.PARENTS),
+  sessions: createCollectionFor(STORAGE_KEYS.SESSIONS),
+  otpData: createCollectionFor(STORAGE_KEYS.OTP_DATA),
+  children: createCollectionFor(STORAGE_KEYS.CHILDREN, { indexed: false }),
+  childrenByParent: createCollectionFor(STORAGE_KEYS.CHILDREN_BY_PARENT),
+  analytics: createCollectionFor(STORAGE_KEYS.ANALYTICS),
+  practice: createCollectionFor(STORAGE_KEYS.PRACTICE, { indexed: false }),
+  practiceByChild: createCollectionFor(STORAGE_KEYS.PRACTICE_BY_CHILD),
+};
+
+/**
+ * Layouts from before children and attempts got one key each (schema v3-v4):
+ * one record per parent holding their children, keyed by email, and one per
+ * child holding their attempts. Only migrations should use these.
+ */
+export const legacyCollections = {
+  childrenByEmail: createCollection(STORAGE_KEYS.CHILDREN, { encrypted: true }),
+  practiceByChildId: createCollection(STORAGE_KEYS.PRACTICE),
+};
+
+const childRecords = createGroupedCollection(collections.children, collections.childrenByParent);
+const practiceRecords = createGroupedCollection(collections.practice, collections.practiceByChild);
+
 /**
  * Parent account storage
+ * One record per parent, keyed by lowercase email
  */
 export const parentStorage = {
   // Get all parents
   async getAll() {
-    const parents = await storageService.getItem(STORAGE_KEYS.PARENTS);
-    return parents || {};
+    return await collections.parents.getAll();
   },
 
   // Get parent by email
   async getByEmail(email) {
-    const parents = await parentStorage.getAll();
-    return parents[email.toLowerCase()] || null;
+    return await collections.parents.get(email.toLowerCase());
   },
 
   // Save parent
   async save(parent) {
-    const parents = await parentStorage.getAll();
-    parents[parent.email.toLowerCase()] = parent;
-    return await storageService.setItem(STORAGE_KEYS.PARENTS, parents);
+    return await collections.parents.set(parent.email.toLowerCase(), parent);
+  },
+
+  // Whether a parent is stored, even one whose record can't be read
+  async exists(email) {
+    return await collections.parents.has(email.toLowerCase());
+  },
+
+  // Locked read-modify-write of a parent (see storageService.updateItem)
+  async update(email, updater) {
+    return await collections.parents.update(email.toLowerCase(), updater);
   },
 
   // Delete parent
   async delete(email) {
-    const parents = await parentStorage.getAll();
-    delete parents[email.toLowerCase()];
-    return await storageService.setItem(STORAGE_KEYS.PARENTS, parents);
+    return await collections.parents.remove(email.toLowerCase());
   },
 };
 
 /**
  * Session storage
+ * One record per session, keyed by access token
  */
 export const sessionStorage = {
   // Get all sessions
   async getAll() {
-    const sessions = await storageService.getItem(STORAGE_KEYS.SESSIONS);
-    return sessions || {};
+    return await collections.sessions.getAll();
   },
 
   // Get session by token
   async getByToken(accessToken) {
-    const sessions = await sessionStorage.getAll();
-    return sessions[accessToken] || null;
+    return await collections.sessions.get(accessToken);
   },
 
   // Save session
   async save(session) {
-    const sessions = await sessionStorage.getAll();
-    sessions[session.accessToken] = session;
-    return await storageService.setItem(STORAGE_KEYS.SESSIONS, sessions);
+    return await collections.sessions.set(session.accessToken, session);
   },
 
   // Delete session
   async delete(accessToken) {
+    return await collections.sessions.remove(accessToken);
+  },
+
+  // Get session by device id
+  async getByDeviceId(deviceId) {
     const sessions = await sessionStorage.getAll();
-    delete sessions[accessToken];
-    return await storageService.setItem(STORAGE_KEYS.SESSIONS, sessions);
+    return Object.values(sessions).find(s => s.deviceId === deviceId) || null;
   },
 
-  // Get session by device fingerprint
-  async getByDeviceFingerprint(fingerprint) {
+  // Get all sessions for a parent
+  async getByParentEmail(parentEmail) {
     const sessions = await sessionStorage.getAll();
-    return Object.values(sessions).find(s => s.deviceFingerprint === fingerprint) || null;
+    return Object.values(sessions).filter(s => s.parentEmail === parentEmail.toLowerCase());
   },
 };
 
 /**
  * OTP storage
+ * One record per email
  */
 export const otpStorage = {
   // Get all OTP data
   async getAll() {
-    const otpData = await storageService.getItem(STORAGE_KEYS.OTP_DATA);
-    return otpData || {};
+    return await collections.otpData.getAll();
   },
 
   // Get OTP data for email
   async getByEmail(email) {
-    const otpData = await otpStorage.getAll();
-    return otpData[email.toLowerCase()] || null;
+    return await collections.otpData.get(email.toLowerCase());
   },
 
   // Save OTP data
   async save(email, data) {
-    const otpData = await otpStorage.getAll();
-    otpData[email.toLowerCase()] = data;
-    return await storageService.setItem(STORAGE_KEYS.OTP_DATA, otpData);
+    return await collections.otpData.set(email.toLowerCase(), data);
   },
 
   // Delete OTP data
   async delete(email) {
-    const otpData = await otpStorage.getAll();
-    delete otpData[email.toLowerCase()];
-    return await storageService.setItem(STORAGE_KEYS.OTP_DATA, otpData);
+    return await collections.otpData.remove(email.toLowerCase());
   },
 };
 
 /**
  * Children storage
+ * One record per child, listed in order under their parent's email
  */
 export const childrenStorage = {
   // Get all children for a parent
   async getByParentEmail(parentEmail) {
-    const allChildren = await storageService.getItem(STORAGE_KEYS.CHILDREN);
-    const parentChildren = allChildren?.[parentEmail.toLowerCase()] || [];
-    return parentChildren;
+    return await childRecords.getByOwner(parentEmail.toLowerCase());
+  },
+
+  // Ids of a parent's children, from their index alone
+  async getIdsByParentEmail(parentEmail) {
+    return await childRecords.getIds(parentEmail.toLowerCase());
+  },
+
+  // Ids of every child some parent lists
+  async getAllIds() {
+    return await childRecords.getOwnedIds();
   },
 
-  // Save child
+  // Save child (a child without an id is new and gets one)
   async save(parentEmail, child) {
-    const allChildren = await storageService.getItem(STORAGE_KEYS.CHILDREN) || {};
-    const parentEmailKey = parentEmail.toLowerCase();
-    
-    if (!allChildren[parentEmailKey]) {
-      allChildren[parentEmailKey] = [];
-    }
-    
-    // If child has ID, update existing; otherwise add new
-    const existingIndex = child.id 
-      ? allChildren[parentEmailKey].findIndex(c => c.id === child.id)
-      : -1;
-    
-    if (existingIndex >= 0) {
-      allChildren[parentEmailKey][existingIndex] = child;
-    } else {
-      // Generate ID for new child
-      child.id = `child_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      allChildren[parentEmailKey].push(child);
-    }
-    
-    return await storageService.setItem(STORAGE_KEYS.CHILDREN, allChildren);
+    if (!child.id) {
+      child.id = randomId('child');
+    }
+    return await childRecords.set(parentEmail.toLowerCase(), child.id, child);
+  },
+
+  // Locked read-modify-write of one of a parent's children
+  async update(parentEmail, childId, updater) {
+    return await childRecords.update(parentEmail.toLowerCase(), childId, updater);
   },
 
   // Delete child
   async delete(parentEmail, childId) {
-    const allChildren = await storageService.getItem(STORAGE_KEYS.CHILDREN) || {};
-    const parentEmailKey = parentEmail.toLowerCase();
-    
-    if (allChildren[parentEmailKey]) {
-      allChildren[parentEmailKey] = allChildren[parentEmailKey].filter(c => c.id !== childId);
-      return await storageService.setItem(STORAGE_KEYS.CHILDREN, allChildren);
-    }
-    
-    return true;
+    return await childRecords.remove(parentEmail.toLowerCase(), childId);
+  },
+
+  // Delete every child of a parent
+  async deleteByParentEmail(parentEmail) {
+    return await childRecords.removeOwner(parentEmail.toLowerCase());
   },
 };
 
 /**
  * Analytics storage
+ * Events are bucketed by UTC day, so adding one only rewrites that day
  */
+const analyticsDay = (timestamp) => timestamp.slice(0, 10);
+
 export const analyticsStorage = {
-  // Get all analytics events
+  // Get all analytics events, oldest first
   async getAll() {
-    const events = await storageService.getItem(STORAGE_KEYS.ANALYTICS);
-    return events || [];
+    const days = await collections.analytics.getIds();
+    const buckets = await collections.analytics.getMany([...days].sort());
+    return Object.values(buckets).flat();
   },
 
-  // Add analytics event
-  async addEvent(event) {
-    const events = await analyticsStorage.getAll();
-    events.push({
-      ...event,
-      timestamp: new Date().toISOString(),
-    });
-    return await storageService.setItem(STORAGE_KEYS.ANALYTICS, events);
+  // Add timestamped events, writing each day they fall on once.
+  // Events already stored (same id) are skipped, so a retried batch is safe.
+  async addEvents(events) {
+    const byDay = {};
+    for (const event of events) {
+      const day = analyticsDay(event.timestamp);
+      byDay[day] = [...(byDay[day] || []), event];
+    }
+
+    for (const [day, dayEvents] of Object.entries(byDay)) {
+      await collections.analytics.update(day, (existing) => {
+        const stored = new Set((existing || []).map(event => event.id));
+        const added = dayEvents.filter(event => !event.id || !stored.has(event.id));
+        return added.length > 0 ? [...(existing || []), ...added] : undefined;
+      });
+    }
+    return true;
   },
 
   // Clear analytics
   async clear() {
-    return await storageService.setItem(STORAGE_KEYS.ANALYTICS, []);
+    const days = await collections.analytics.getIds();
+    let cleared = true;
+    for (const day of days) {
+      cleared = (await collections.analytics.remove(day)) && cleared;
+    }
+    return cleared;
+  },
+
+  // Remove events matching a predicate; returns how many were removed
+  async removeWhere(predicate) {
+    const days = await collections.analytics.getIds();
+    let removed = 0;
+
+    for (const day of days) {
+      await collections.analytics.update(day, (events) => {
+        if (!events) {
+          return undefined;
+        }
+        const kept = events.filter(event => !predicate(event));
+        removed += events.length - kept.length;
+        return kept.length < events.length ? kept : undefined;
+      });
+    }
+
+    return removed;
   },
 };
 
+/**
+ * Practice history storage
+ * One record per attempt, listed oldest first under the child's id, so
+ * adding an attempt never rewrites the rest of the history
+ */
+export const practiceStorage = {
+  // Get all attempts for a child
+  async getByChildId(childId) {
+    return await practiceRecords.getByOwner(childId);
+  },
+
+  // Ids of every child with practice history
+  async getChildIds() {
+    return await collections.practiceByChild.getIds();
+  },
+
+  // Add an attempt (with an id) for a child
+  async addAttempt(childId, attempt) {
+    return await practiceRecords.set(childId, attempt.id, attempt);
+  },
+
+  // Delete all attempts for a child
+  async deleteByChildId(childId) {
+    return await practiceRecords.removeOwner(childId);
+  },
+};
@@ -0,0 +1,39 @@
+import AudioRecord from 'react-native-audio-record';
+
+/**
+ * WAV Recorder (Android)
+ * expo-av can only write compressed formats on Android, which the analysis
+ * service can't decode in pure JS. This records 16 kHz mono 16-bit PCM
+ * straight to a WAV file instead.
+ */
+
+export const WAV_RECORDING_CONFIG = {
+  sampleRate: 16000,
+  channels: 1,
+  bitsPerSample: 16,
+  audioSource: 6, // MediaRecorder.AudioSource.VOICE_RECOGNITION
+};
+
+/**
+ * Start recording a WAV file
+ * Returns a handle with the same stopAndUnloadAsync/getURI calls as an
+ * expo-av Recording, so the practice screen can treat them alike.
+ */
+export const startWavRecording = async () => {
+  AudioRecord.init({
+    ...WAV_RECORDING_CONFIG,
+    wavFile: `attempt-${Date.now()}.wav`,
+  });
+  AudioRecord.start();
+
+  let uri = null;
+  return {
+    async stopAndUnloadAsync() {
+      const path = await AudioRecord.stop();
+      uri = path.startsWith('file://') ? path : `file://${path}`;
+    },
+    getURI() {
+      return uri;
+    },
+  };
+};
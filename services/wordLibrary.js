@@ -0,0 +1,95 @@
+import { SPEECH_ASSETS } from '../assets/speech';
+import { loadWordReference } from './wordReferenceService';
+import { TEMPLATE_POSITIONS } from '../utils/templateValidation';
+import { normalizePhoneme, toIPA } from '../utils/phonemeInventory';
+
+/**
+ * Word Library
+ * Catalog of every practice word bundled under assets/speech.
+ * Each entry describes the word for the practice screen; the template and
+ * reference features themselves are loaded on demand with `loadWord`.
+ */
+
+export const WORD_POSITIONS = TEMPLATE_POSITIONS;
+
+/**
+ * Build a catalog entry from a word folder's template
+ */
+const toCatalogEntry = (id, template) => {
+  const targetSymbol = template.phonemes[template.targetIndex]?.p;
+  return {
+    id,
+    word: template.word,
+    syllableBreak: template.syllableBreak || template.word,
+    targetPhoneme: normalizePhoneme(targetSymbol),  // app label, e.g. "I"
+    targetIPA: toIPA(targetSymbol),                 // for display, e.g. "ɪ"
+    position: template.position || null,
+  };
+};
+
+const CATALOG = Object.keys(SPEECH_ASSETS)
+  .map(id => toCatalogEntry(id, SPEECH_ASSETS[id].template))
+  .sort((a, b) => a.word.localeCompare(b.word));
+
+/**
+ * Get all words in the library
+ */
+export const getWords = () => {
+  return CATALOG;
+};
+
+/**
+ * Get a catalog entry by word id (its folder name)
+ */
+export const getWord = (wordId) => {
+  return CATALOG.find(entry => entry.id === wordId) || null;
+};
+
+/**
+ * Get words that practise a target phoneme, optionally in one position
+ * Accepts any spelling the phoneme inventory knows ("I", "ɪ", "IH").
+ */
+export const getWordsForPhoneme = (targetPhoneme, position = null) => {
+  const label = normalizePhoneme(targetPhoneme);
+  return CATALOG.filter(entry =>
+    label !== null &&
+    entry.targetPhoneme === label &&
+    (!position || entry.position === position)
+  );
+};
+
+/**
+ * Get every target phoneme the library has words for
+ */
+export const getTargetPhonemes = () => {
+  return [...new Set(CATALOG.map(entry => entry.targetPhoneme).filter(Boolean))].sort();
+};
+
+/**
+ * Load a word's template and reference features for analysis
+ * Returns { success, word, ref, error }
+ */
+export const loadWord = (wordId) => {
+  const word = getWord(wordId);
+
+  if (!word) {
+    return {
+      success: false,
+      error: `Unknown word: ${wordId}`,
+    };
+  }
+
+  const result = loadWordReference(wordId);
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error,
+    };
+  }
+
+  return {
+    success: true,
+    word,
+    ref: result.ref,
+  };
+};
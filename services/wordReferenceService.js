@@ -0,0 +1,83 @@
+import { SPEECH_ASSETS } from '../assets/speech';
+import { MFCC_CONFIG } from '../utils/mfcc';
+import { validateTemplate, REFERENCE_SOURCES } from '../utils/templateValidation';
+
+/**
+ * Word Reference Service
+ * Loads a word's template together with its bundled reference features
+ * and checks that the two agree before they reach the analysis service.
+ */
+
+/**
+ * Validate a template against its reference features
+ * Returns { valid: boolean, error: string | null }
+ */
+export const validateWordReference = (template, reference) => {
+  const templateValidation = validateTemplate(template, { reference });
+  if (!templateValidation.valid) {
+    return {
+      valid: false,
+      error: templateValidation.errors[0],
+    };
+  }
+
+  if (!reference || !Array.isArray(reference.frames) || reference.frames.length === 0) {
+    return {
+      valid: false,
+      error: `No reference recording for ${template.word}`,
+    };
+  }
+
+  // A formant-synthesized placeholder isn't a voice; scoring a child against
+  // it would produce a pass/fail that means nothing
+  if (reference.source !== REFERENCE_SOURCES.RECORDING) {
+    return {
+      valid: false,
+      error: `${template.word} has no recorded reference yet, so it can't be scored`,
+    };
+  }
+
+  if (reference.hopMs !== MFCC_CONFIG.HOP_MS || reference.coefficients !== MFCC_CONFIG.COEFFICIENTS) {
+    return {
+      valid: false,
+      error: `Reference features for ${template.word} are out of date`,
+    };
+  }
+
+  return {
+    valid: true,
+    error: null,
+  };
+};
+
+/**
+ * Load a word by id (its folder name under assets/speech)
+ * Returns { success, ref, error } where `ref` is the template plus its
+ * `reference` features, ready to pass to analyzeWord
+ */
+export const loadWordReference = (wordId) => {
+  const assets = SPEECH_ASSETS[wordId];
+
+  if (!assets) {
+    return {
+      success: false,
+      error: `Unknown word: ${wordId}`,
+    };
+  }
+
+  const validation = validateWordReference(assets.template, assets.reference);
+  if (!validation.valid) {
+    return {
+      success: false,
+      error: validation.error,
+    };
+  }
+
+  return {
+    success: true,
+    ref: {
+      ...assets.template,
+      reference: assets.reference,
+    },
+  };
+};
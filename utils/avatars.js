@@ -0,0 +1,41 @@
+/**
+ * Child avatars
+ * Bundled set of emoji avatars. Children store the avatar id; profiles
+ * without one get a stable default picked from their child id.
+ */
+
+export const AVATARS = [
+  { id: 'fox', emoji: '🦊', color: '#fed7aa' },
+  { id: 'panda', emoji: '🐼', color: '#e2e8f0' },
+  { id: 'lion', emoji: '🦁', color: '#fde68a' },
+  { id: 'frog', emoji: '🐸', color: '#bbf7d0' },
+  { id: 'octopus', emoji: '🐙', color: '#fbcfe8' },
+  { id: 'owl', emoji: '🦉', color: '#e7e5e4' },
+  { id: 'whale', emoji: '🐳', color: '#bae6fd' },
+  { id: 'unicorn', emoji: '🦄', color: '#e9d5ff' },
+];
+
+/**
+ * Check whether an avatar id is in the bundled set
+ */
+export const isValidAvatar = (avatarId) => {
+  return AVATARS.some(avatar => avatar.id === avatarId);
+};
+
+/**
+ * Get the avatar to show for a child
+ */
+export const getAvatar = (child) => {
+  const chosen = AVATARS.find(avatar => avatar.id === child?.avatar);
+  if (chosen) {
+    return chosen;
+  }
+
+  // Stable default so a child keeps the same avatar between launches
+  const id = child?.id || '';
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) >>> 0;
+  }
+  return AVATARS[hash % AVATARS.length];
+};
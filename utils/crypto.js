@@ -0,0 +1,426 @@
+/**
+ * Crypto helpers
+ * Pure-JS SHA-256 so hashing works the same in Expo Go, native builds and
+ * on web without a native crypto module, plus random tokens and codes drawn
+ * from crypto.getRandomValues and authenticated encryption built on HMAC.
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * Encode a string as UTF-8 bytes
+ */
+export const utf8Encode = (text) => {
+  if (typeof TextEncoder !== 'undefined') {
+    return new TextEncoder().encode(text);
+  }
+
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Convert bytes to a lowercase hex string
+ */
+export const bytesToHex = (bytes) => {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, '0');
+  }
+  return hex;
+};
+
+/**
+ * SHA-256 digest
+ * @param {Uint8Array|string} input - strings are hashed as UTF-8
+ * @returns {Uint8Array} 32-byte digest
+ */
+export const sha256 = (input) => {
+  const message = typeof input === 'string' ? utf8Encode(input) : input;
+
+  // Pad: 0x80, zeros, then the 64-bit big-endian bit length
+  const paddedLength = Math.ceil((message.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(message);
+  padded[message.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  const bitLength = message.length * 8;
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + ch + K[i] + w[i]) >>> 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) >>> 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+
+    hash[0] = (hash[0] + a) >>> 0;
+    hash[1] = (hash[1] + b) >>> 0;
+    hash[2] = (hash[2] + c) >>> 0;
+    hash[3] = (hash[3] + d) >>> 0;
+    hash[4] = (hash[4] + e) >>> 0;
+    hash[5] = (hash[5] + f) >>> 0;
+    hash[6] = (hash[6] + g) >>> 0;
+    hash[7] = (hash[7] + h) >>> 0;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((word, i) => digestView.setUint32(i * 4, word));
+  return digest;
+};
+
+/**
+ * SHA-256 digest as hex
+ */
+export const sha256Hex = (input) => {
+  return bytesToHex(sha256(input));
+};
+
+/**
+ * Convert a hex string to bytes
+ */
+export const hexToBytes = (hex) => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+/**
+ * Decode UTF-8 bytes to a string
+ */
+export const utf8Decode = (bytes) => {
+  if (typeof TextDecoder !== 'undefined') {
+    return new TextDecoder().decode(bytes);
+  }
+
+  let text = '';
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i];
+    let code;
+    if (byte < 0x80) {
+      code = byte;
+      i += 1;
+    } else if (byte < 0xe0) {
+      code = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      i += 2;
+    } else if (byte < 0xf0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+      i += 3;
+    } else {
+      code = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3f) << 12) |
+        ((bytes[i + 2] & 0x3f) << 6) | (bytes[i + 3] & 0x3f);
+      i += 4;
+    }
+    text += String.fromCodePoint(code);
+  }
+  return text;
+};
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode bytes as base64
+ */
+export const bytesToBase64 = (bytes) => {
+  let base64 = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    base64 += BASE64_ALPHABET[(n >> 18) & 63] + BASE64_ALPHABET[(n >> 12) & 63];
+    base64 += i + 1 < bytes.length ? BASE64_ALPHABET[(n >> 6) & 63] : '=';
+    base64 += i + 2 < bytes.length ? BASE64_ALPHABET[n & 63] : '=';
+  }
+  return base64;
+};
+
+/**
+ * Decode base64 to bytes
+ */
+export const base64ToBytes = (base64) => {
+  const clean = base64.replace(/=+$/, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+  for (const char of clean) {
+    const value = BASE64_ALPHABET.indexOf(char);
+    if (value < 0) {
+      throw new Error('Invalid base64');
+    }
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes;
+};
+
+/**
+ * Concatenate byte arrays
+ */
+const concatBytes = (...arrays) => {
+  const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+};
+
+/**
+ * HMAC-SHA256
+ * @param {Uint8Array} key
+ * @param {Uint8Array|string} message - strings are hashed as UTF-8
+ * @returns {Uint8Array} 32-byte MAC
+ */
+export const hmacSha256 = (key, message) => {
+  const data = typeof message === 'string' ? utf8Encode(message) : message;
+  const blockKey = new Uint8Array(64);
+  blockKey.set(key.length > 64 ? sha256(key) : key);
+
+  const inner = new Uint8Array(64);
+  const outer = new Uint8Array(64);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = blockKey[i] ^ 0x36;
+    outer[i] = blockKey[i] ^ 0x5c;
+  }
+
+  return sha256(concatBytes(outer, sha256(concatBytes(inner, data))));
+};
+
+/**
+ * Fill a byte array from the platform CSPRNG
+ * Browsers and Node have crypto.getRandomValues; on Hermes it comes from the
+ * react-native-get-random-values polyfill App.js loads first. Without it
+ * there is no secure source, so throw rather than hand out guessable codes.
+ */
+const fillRandom = (bytes) => {
+  const cryptoObject = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+  if (!cryptoObject || typeof cryptoObject.getRandomValues !== 'function') {
+    throw new Error('crypto.getRandomValues is unavailable; load react-native-get-random-values before anything else');
+  }
+  return cryptoObject.getRandomValues(bytes);
+};
+
+/**
+ * Random bytes
+ * @param {number} byteLength
+ * @returns {Uint8Array}
+ */
+export const randomBytes = (byteLength) => {
+  return fillRandom(new Uint8Array(byteLength));
+};
+
+/**
+ * Random hex string of `byteLength` bytes
+ */
+export const randomHex = (byteLength = 16) => {
+  return bytesToHex(randomBytes(byteLength));
+};
+
+/**
+ * Random id with a readable prefix, e.g. randomId('child') -> child_3f9a...
+ * 16 bytes is plenty for record ids; use 32 for bearer tokens.
+ */
+export const randomId = (prefix, byteLength = 16) => {
+  return `${prefix}_${randomHex(byteLength)}`;
+};
+
+/**
+ * Uniform random integer in [0, max)
+ * Rejection sampling avoids the bias of a plain modulo.
+ */
+export const randomInt = (max) => {
+  if (!Number.isInteger(max) || max <= 0 || max > 0x100000000) {
+    throw new RangeError('max must be an integer between 1 and 2^32');
+  }
+
+  const limit = 0x100000000 - (0x100000000 % max);
+  const buffer = new Uint32Array(1);
+  do {
+    fillRandom(buffer);
+  } while (buffer[0] >= limit);
+  return buffer[0] % max;
+};
+
+/**
+ * Random numeric code of `length` digits (leading zeros allowed)
+ */
+export const randomDigits = (length) => {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += randomInt(10).toString();
+  }
+  return code;
+};
+
+/**
+ * Generate a random salt (hex)
+ * A salt only has to be unique, not secret.
+ */
+export const generateSalt = (byteLength = 16) => {
+  return randomHex(byteLength);
+};
+
+/**
+ * Hash a secret with a salt (hex)
+ */
+export const hashWithSalt = (secret, salt) => {
+  return sha256Hex(`${salt}:${secret}`);
+};
+
+/**
+ * Compare two strings in time independent of where they differ
+ */
+export const constantTimeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+
+  // Length is not secret here (hex digests are fixed length), but still
+  // walk the longer string so timing doesn't depend on the content
+  const length = Math.max(a.length, b.length);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < length; i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+};
+
+/**
+ * Split a 32-byte master key into separate encryption, MAC and naming keys
+ */
+export const deriveKeys = (masterKey) => {
+  return {
+    encKey: hmacSha256(masterKey, 'palura:enc'),
+    macKey: hmacSha256(masterKey, 'palura:mac'),
+    idKey: hmacSha256(masterKey, 'palura:id'),
+  };
+};
+
+const CIPHER_PREFIX = 'enc1:';
+const NONCE_LENGTH = 16;
+const TAG_LENGTH = 32;
+
+/**
+ * XOR data with an HMAC-SHA256 counter-mode keystream
+ */
+const applyKeystream = (encKey, nonce, data) => {
+  const output = new Uint8Array(data.length);
+  const counterBlock = new Uint8Array(NONCE_LENGTH + 4);
+  counterBlock.set(nonce);
+  const counterView = new DataView(counterBlock.buffer);
+
+  for (let offset = 0, counter = 0; offset < data.length; offset += 32, counter++) {
+    counterView.setUint32(NONCE_LENGTH, counter);
+    const block = hmacSha256(encKey, counterBlock);
+    const length = Math.min(32, data.length - offset);
+    for (let i = 0; i < length; i++) {
+      output[offset + i] = data[offset + i] ^ block[i];
+    }
+  }
+  return output;
+};
+
+/**
+ * Whether a stored string was produced by encryptString
+ */
+export const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(CIPHER_PREFIX);
+};
+
+/**
+ * Encrypt a string (encrypt-then-MAC, random nonce per call)
+ * @param {object} keys - from deriveKeys
+ * @returns {string} 'enc1:' + base64(nonce | ciphertext | tag)
+ */
+export const encryptString = (keys, plaintext) => {
+  const nonce = randomBytes(NONCE_LENGTH);
+  const ciphertext = applyKeystream(keys.encKey, nonce, utf8Encode(plaintext));
+  const tag = hmacSha256(keys.macKey, concatBytes(nonce, ciphertext));
+  return CIPHER_PREFIX + bytesToBase64(concatBytes(nonce, ciphertext, tag));
+};
+
+/**
+ * Decrypt a string from encryptString
+ * Throws if the data was tampered with or the key is wrong.
+ */
+export const decryptString = (keys, payload) => {
+  if (!isEncrypted(payload)) {
+    throw new Error('Not an encrypted value');
+  }
+
+  const bytes = base64ToBytes(payload.slice(CIPHER_PREFIX.length));
+  if (bytes.length < NONCE_LENGTH + TAG_LENGTH) {
+    throw new Error('Encrypted value is truncated');
+  }
+
+  const nonce = bytes.subarray(0, NONCE_LENGTH);
+  const ciphertext = bytes.subarray(NONCE_LENGTH, bytes.length - TAG_LENGTH);
+  const tag = bytes.subarray(bytes.length - TAG_LENGTH);
+  const expected = hmacSha256(keys.macKey, concatBytes(nonce, ciphertext));
+  if (!constantTimeEqual(bytesToHex(tag), bytesToHex(expected))) {
+    throw new Error('Encrypted value failed authentication');
+  }
+
+  return utf8Decode(applyKeystream(keys.encKey, nonce, ciphertext));
+};
@@ -0,0 +1,97 @@
+/**
+ * Dynamic time warping
+ * Aligns two feature sequences that may differ in speaking rate.
+ */
+
+/**
+ * Euclidean distance between two feature vectors
+ */
+export const euclideanDistance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * Align `query` frames to `reference` frames
+ * @param {number[][]} query - Feature frames of the attempt
+ * @param {number[][]} reference - Feature frames of the reference
+ * @param {object} [options]
+ * @param {number} [options.band] - Sakoe-Chiba band as a fraction of the longer sequence (0-1)
+ * @param {Function} [options.distance] - Frame distance function
+ * @returns {{ cost: number, normalizedCost: number, path: Array<{ query: number, reference: number, distance: number }> }}
+ */
+export const dtw = (query, reference, { band = 1, distance = euclideanDistance } = {}) => {
+  const n = query.length;
+  const m = reference.length;
+
+  if (n === 0 || m === 0) {
+    return { cost: Infinity, normalizedCost: Infinity, path: [] };
+  }
+
+  // The band must at least cover the diagonal slope between the two lengths
+  const window = Math.max(Math.ceil(band * Math.max(n, m)), Math.abs(n - m));
+  const local = new Float64Array(n * m).fill(Infinity);
+  const total = new Float64Array(n * m).fill(Infinity);
+
+  for (let i = 0; i < n; i++) {
+    const center = Math.round((i * (m - 1)) / Math.max(1, n - 1));
+    const from = Math.max(0, center - window);
+    const to = Math.min(m - 1, center + window);
+
+    for (let j = from; j <= to; j++) {
+      const d = distance(query[i], reference[j]);
+      local[i * m + j] = d;
+
+      if (i === 0 && j === 0) {
+        total[0] = d;
+        continue;
+      }
+
+      let best = Infinity;
+      if (i > 0) best = Math.min(best, total[(i - 1) * m + j]);
+      if (j > 0) best = Math.min(best, total[i * m + j - 1]);
+      if (i > 0 && j > 0) best = Math.min(best, total[(i - 1) * m + j - 1]);
+      total[i * m + j] = best + d;
+    }
+  }
+
+  // Backtrack from the end to recover the warping path
+  const path = [];
+  let i = n - 1;
+  let j = m - 1;
+  path.push({ query: i, reference: j, distance: local[i * m + j] });
+
+  while (i > 0 || j > 0) {
+    if (i === 0) {
+      j--;
+    } else if (j === 0) {
+      i--;
+    } else {
+      const diagonal = total[(i - 1) * m + j - 1];
+      const up = total[(i - 1) * m + j];
+      const left = total[i * m + j - 1];
+      if (diagonal <= up && diagonal <= left) {
+        i--;
+        j--;
+      } else if (up <= left) {
+        i--;
+      } else {
+        j--;
+      }
+    }
+    path.push({ query: i, reference: j, distance: local[i * m + j] });
+  }
+
+  path.reverse();
+  const cost = total[n * m - 1];
+
+  return {
+    cost,
+    normalizedCost: cost / path.length,
+    path,
+  };
+};
@@ -0,0 +1,252 @@
+/**
+ * MFCC feature extraction
+ * Pure-JS mel-frequency cepstral coefficients for speech comparison.
+ *
+ * Pipeline: pre-emphasis -> 25 ms Hamming frames every 10 ms -> FFT power
+ * spectrum -> mel filterbank -> log -> DCT-II, followed by per-utterance
+ * mean/variance normalization so that microphone gain and speaker
+ * loudness don't dominate the distance between two recordings.
+ */
+
+export const MFCC_CONFIG = {
+  SAMPLE_RATE: 16000,
+  FRAME_MS: 25,
+  HOP_MS: 10,
+  FFT_SIZE: 512,
+  MEL_FILTERS: 26,
+  COEFFICIENTS: 13,
+  PRE_EMPHASIS: 0.97,
+  LOW_FREQ: 20,
+  HIGH_FREQ: 8000,
+};
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+/**
+ * In-place iterative radix-2 FFT
+ */
+const fft = (re, im) => {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+};
+
+/**
+ * Triangular mel filterbank over the FFT bins
+ */
+const createMelFilterbank = (sampleRate, fftSize, filterCount, lowFreq, highFreq) => {
+  const binCount = fftSize / 2 + 1;
+  const lowMel = hzToMel(lowFreq);
+  const highMel = hzToMel(Math.min(highFreq, sampleRate / 2));
+  const points = [];
+
+  for (let i = 0; i < filterCount + 2; i++) {
+    const hz = melToHz(lowMel + ((highMel - lowMel) * i) / (filterCount + 1));
+    points.push(Math.floor(((fftSize + 1) * hz) / sampleRate));
+  }
+
+  const filters = [];
+  for (let m = 1; m <= filterCount; m++) {
+    const filter = new Float64Array(binCount);
+    for (let k = points[m - 1]; k < points[m]; k++) {
+      filter[k] = (k - points[m - 1]) / Math.max(1, points[m] - points[m - 1]);
+    }
+    for (let k = points[m]; k <= points[m + 1] && k < binCount; k++) {
+      filter[k] = (points[m + 1] - k) / Math.max(1, points[m + 1] - points[m]);
+    }
+    filters.push(filter);
+  }
+
+  return filters;
+};
+
+/**
+ * Normalize each coefficient to zero mean and unit variance across frames
+ */
+const normalizeFrames = (frames) => {
+  if (frames.length === 0) {
+    return frames;
+  }
+
+  const dims = frames[0].length;
+  for (let d = 0; d < dims; d++) {
+    let mean = 0;
+    for (const frame of frames) {
+      mean += frame[d];
+    }
+    mean /= frames.length;
+
+    let variance = 0;
+    for (const frame of frames) {
+      variance += (frame[d] - mean) ** 2;
+    }
+    const std = Math.sqrt(variance / frames.length) || 1;
+
+    for (const frame of frames) {
+      frame[d] = (frame[d] - mean) / std;
+    }
+  }
+
+  return frames;
+};
+
+/**
+ * Compute MFCC frames for mono PCM audio
+ * @param {Float32Array} samples - Mono PCM in [-1, 1]
+ * @param {number} sampleRate - Sample rate of `samples`
+ * @param {object} [options] - Overrides for MFCC_CONFIG keys
+ * @returns {{ frames: number[][], hopMs: number }}
+ */
+export const computeMFCC = (samples, sampleRate, options = {}) => {
+  const config = { ...MFCC_CONFIG, ...options };
+  const frameLength = Math.round((sampleRate * config.FRAME_MS) / 1000);
+  const hopLength = Math.round((sampleRate * config.HOP_MS) / 1000);
+  const fftSize = Math.max(config.FFT_SIZE, 1 << Math.ceil(Math.log2(frameLength)));
+
+  if (samples.length < frameLength) {
+    return { frames: [], hopMs: config.HOP_MS };
+  }
+
+  const emphasized = new Float32Array(samples.length);
+  emphasized[0] = samples[0];
+  for (let i = 1; i < samples.length; i++) {
+    emphasized[i] = samples[i] - config.PRE_EMPHASIS * samples[i - 1];
+  }
+
+  const window = new Float64Array(frameLength);
+  for (let i = 0; i < frameLength; i++) {
+    window[i] = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (frameLength - 1));
+  }
+
+  const filters = createMelFilterbank(sampleRate, fftSize, config.MEL_FILTERS, config.LOW_FREQ, config.HIGH_FREQ);
+  const frameCount = 1 + Math.floor((samples.length - frameLength) / hopLength);
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+  const logEnergies = new Float64Array(config.MEL_FILTERS);
+  const frames = [];
+
+  for (let f = 0; f < frameCount; f++) {
+    const start = f * hopLength;
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < frameLength; i++) {
+      re[i] = emphasized[start + i] * window[i];
+    }
+
+    fft(re, im);
+
+    for (let m = 0; m < filters.length; m++) {
+      const filter = filters[m];
+      let energy = 0;
+      for (let k = 0; k < filter.length; k++) {
+        if (filter[k] > 0) {
+          energy += filter[k] * ((re[k] * re[k] + im[k] * im[k]) / fftSize);
+        }
+      }
+      logEnergies[m] = Math.log(Math.max(energy, 1e-10));
+    }
+
+    const coefficients = new Array(config.COEFFICIENTS);
+    for (let c = 0; c < config.COEFFICIENTS; c++) {
+      let sum = 0;
+      for (let m = 0; m < config.MEL_FILTERS; m++) {
+        sum += logEnergies[m] * Math.cos((Math.PI * c * (m + 0.5)) / config.MEL_FILTERS);
+      }
+      coefficients[c] = sum;
+    }
+    frames.push(coefficients);
+  }
+
+  return {
+    frames: normalizeFrames(frames),
+    hopMs: config.HOP_MS,
+  };
+};
+
+/**
+ * Trim leading and trailing silence using short-term energy
+ * A recording whose loudest window is below `floorDb` (dBFS) is all silence
+ * and comes back empty.
+ * @returns {{ samples: Float32Array, offsetMs: number }}
+ */
+export const trimSilence = (samples, sampleRate, { windowMs = 10, thresholdDb = -35, floorDb = -60 } = {}) => {
+  const windowLength = Math.max(1, Math.round((sampleRate * windowMs) / 1000));
+  const windowCount = Math.floor(samples.length / windowLength);
+
+  if (windowCount === 0) {
+    return { samples, offsetMs: 0 };
+  }
+
+  const energies = new Float64Array(windowCount);
+  let peak = 0;
+  for (let w = 0; w < windowCount; w++) {
+    let sum = 0;
+    for (let i = w * windowLength; i < (w + 1) * windowLength; i++) {
+      sum += samples[i] * samples[i];
+    }
+    energies[w] = sum / windowLength;
+    peak = Math.max(peak, energies[w]);
+  }
+
+  if (peak < Math.pow(10, floorDb / 10)) {
+    return { samples: samples.subarray(0, 0), offsetMs: 0 };
+  }
+
+  // Threshold is relative to the loudest window, so it adapts to mic gain
+  const threshold = peak * Math.pow(10, thresholdDb / 10);
+  let first = 0;
+  while (first < windowCount && energies[first] < threshold) {
+    first++;
+  }
+  let last = windowCount - 1;
+  while (last > first && energies[last] < threshold) {
+    last--;
+  }
+
+  return {
+    samples: samples.subarray(first * windowLength, (last + 1) * windowLength),
+    offsetMs: first * windowMs,
+  };
+};
+
+/**
+ * Trim silence and compute MFCC frames, keeping the trim offset so frame
+ * indices can be mapped back to the original recording's timeline
+ * @returns {{ frames: number[][], hopMs: number, offsetMs: number }}
+ */
+export const extractFeatures = (samples, sampleRate) => {
+  const trimmed = trimSilence(samples, sampleRate);
+  const { frames, hopMs } = computeMFCC(trimmed.samples, sampleRate);
+  return { frames, hopMs, offsetMs: trimmed.offsetMs };
+};
@@ -0,0 +1,273 @@
+/**
+ * Phoneme inventory
+ * Canonical US English phoneme set used across templates, analysis and
+ * feedback. The app labels phonemes with SAMPA symbols (e.g. "I" for the
+ * vowel in "sit", "tS" for the "ch" in "chair"); each entry also carries
+ * its IPA and ARPAbet equivalents plus articulatory features so feedback
+ * can say how close a substitution was.
+ *
+ * Compare phonemes with `isSamePhoneme` rather than `===` so legacy and
+ * alternative spellings ("i:", "iː", "IY1") resolve to the same sound.
+ */
+
+const vowel = (label, ipa, arpabet, height, backness, rounded, example) => ({
+  label, ipa, arpabet, type: 'vowel', voiced: true, height, backness, rounded, example,
+});
+
+const diphthong = (label, ipa, arpabet, example) => ({
+  label, ipa, arpabet, type: 'diphthong', voiced: true, example,
+});
+
+const consonant = (label, ipa, arpabet, voiced, place, manner, example) => ({
+  label, ipa, arpabet, type: 'consonant', voiced, place, manner, example,
+});
+
+export const PHONEMES = [
+  vowel('i', 'i', 'IY', 'close', 'front', false, 'see'),
+  vowel('I', 'ɪ', 'IH', 'near-close', 'front', false, 'sit'),
+  vowel('E', 'ɛ', 'EH', 'open-mid', 'front', false, 'bed'),
+  vowel('{', 'æ', 'AE', 'near-open', 'front', false, 'cat'),
+  vowel('A', 'ɑ', 'AA', 'open', 'back', false, 'father'),
+  vowel('O', 'ɔ', 'AO', 'open-mid', 'back', true, 'saw'),
+  vowel('U', 'ʊ', 'UH', 'near-close', 'back', true, 'book'),
+  vowel('u', 'u', 'UW', 'close', 'back', true, 'blue'),
+  vowel('V', 'ʌ', 'AH', 'open-mid', 'back', false, 'cup'),
+  vowel('@', 'ə', 'AX', 'mid', 'central', false, 'about'),
+  vowel('3`', 'ɝ', 'ER', 'mid', 'central', true, 'bird'),
+
+  diphthong('aI', 'aɪ', 'AY', 'kite'),
+  diphthong('aU', 'aʊ', 'AW', 'house'),
+  diphthong('OI', 'ɔɪ', 'OY', 'boy'),
+  diphthong('eI', 'eɪ', 'EY', 'cake'),
+  diphthong('oU', 'oʊ', 'OW', 'boat'),
+
+  consonant('p', 'p', 'P', false, 'bilabial', 'stop', 'pig'),
+  consonant('b', 'b', 'B', true, 'bilabial', 'stop', 'ball'),
+  consonant('t', 't', 'T', false, 'alveolar', 'stop', 'top'),
+  consonant('d', 'd', 'D', true, 'alveolar', 'stop', 'dog'),
+  consonant('k', 'k', 'K', false, 'velar', 'stop', 'cat'),
+  consonant('g', 'ɡ', 'G', true, 'velar', 'stop', 'go'),
+  consonant('f', 'f', 'F', false, 'labiodental', 'fricative', 'fish'),
+  consonant('v', 'v', 'V', true, 'labiodental', 'fricative', 'van'),
+  consonant('T', 'θ', 'TH', false, 'dental', 'fricative', 'thumb'),
+  consonant('D', 'ð', 'DH', true, 'dental', 'fricative', 'this'),
+  consonant('s', 's', 'S', false, 'alveolar', 'fricative', 'sun'),
+  consonant('z', 'z', 'Z', true, 'alveolar', 'fricative', 'zoo'),
+  consonant('S', 'ʃ', 'SH', false, 'postalveolar', 'fricative', 'shoe'),
+  consonant('Z', 'ʒ', 'ZH', true, 'postalveolar', 'fricative', 'measure'),
+  consonant('h', 'h', 'HH', false, 'glottal', 'fricative', 'hat'),
+  consonant('tS', 'tʃ', 'CH', false, 'postalveolar', 'affricate', 'chair'),
+  consonant('dZ', 'dʒ', 'JH', true, 'postalveolar', 'affricate', 'jump'),
+  consonant('m', 'm', 'M', true, 'bilabial', 'nasal', 'moon'),
+  consonant('n', 'n', 'N', true, 'alveolar', 'nasal', 'nose'),
+  consonant('N', 'ŋ', 'NG', true, 'velar', 'nasal', 'sing'),
+  consonant('l', 'l', 'L', true, 'alveolar', 'lateral', 'leaf'),
+  consonant('r', 'ɹ', 'R', true, 'postalveolar', 'approximant', 'red'),
+  consonant('w', 'w', 'W', true, 'labial-velar', 'approximant', 'wet'),
+  consonant('j', 'j', 'Y', true, 'palatal', 'approximant', 'yes'),
+];
+
+// Alternative spellings seen in older templates and other SAMPA variants
+const LABEL_ALIASES = {
+  'i:': 'i',
+  'u:': 'u',
+  'A:': 'A',
+  'O:': 'O',
+  '3:': '3`',
+  '@`': '3`',
+  'r\\': 'r',
+};
+
+// Alternative IPA spellings (length marks, ASCII g, trill r for English r)
+const IPA_ALIASES = {
+  'iː': 'i',
+  'uː': 'u',
+  'ɑː': 'A',
+  'ɔː': 'O',
+  'ɜː': '3`',
+  'ɚ': '3`',
+  'g': 'g',
+  'r': 'r',
+  'ʧ': 'tS',
+  'ʤ': 'dZ',
+};
+
+const VOWEL_HEIGHTS = ['close', 'near-close', 'close-mid', 'mid', 'open-mid', 'near-open', 'open'];
+const VOWEL_BACKNESS = ['front', 'central', 'back'];
+
+const BY_LABEL = new Map(PHONEMES.map(phoneme => [phoneme.label, phoneme]));
+const BY_IPA = new Map(PHONEMES.map(phoneme => [phoneme.ipa, phoneme]));
+const BY_ARPABET = new Map(PHONEMES.map(phoneme => [phoneme.arpabet, phoneme]));
+
+export const PHONEME_SYMBOLS = PHONEMES.map(phoneme => phoneme.label);
+
+export const PHONEME_SYSTEMS = {
+  LABEL: 'label',
+  IPA: 'ipa',
+  ARPABET: 'arpabet',
+};
+
+const lookupLabel = (symbol) => BY_LABEL.get(symbol) || BY_LABEL.get(LABEL_ALIASES[symbol]) || null;
+
+const lookupIPA = (symbol) => {
+  const stripped = symbol.replace(/[ˈˌ/[\]]/g, '');
+  return BY_IPA.get(stripped) || BY_LABEL.get(IPA_ALIASES[stripped]) || null;
+};
+
+// ARPAbet vowels carry stress digits (AH0, IY1); AH0 is the schwa
+const lookupARPAbet = (symbol) => {
+  const upper = symbol.toUpperCase();
+  if (upper === 'AH0') {
+    return BY_LABEL.get('@');
+  }
+  return BY_ARPABET.get(upper.replace(/[012]$/, '')) || null;
+};
+
+/**
+ * Find the inventory entry for a symbol
+ * Without a system, app labels win, then IPA, then ARPAbet. Pass the
+ * system explicitly for ARPAbet input: "T" is θ as a label but t in ARPAbet.
+ * @param {string} symbol
+ * @param {'label'|'ipa'|'arpabet'} [system]
+ * @returns {object|null}
+ */
+export const getPhoneme = (symbol, system = null) => {
+  if (typeof symbol !== 'string' || !symbol.trim()) {
+    return null;
+  }
+
+  const trimmed = symbol.trim();
+  switch (system) {
+    case PHONEME_SYSTEMS.LABEL:
+      return lookupLabel(trimmed);
+    case PHONEME_SYSTEMS.IPA:
+      return lookupIPA(trimmed);
+    case PHONEME_SYSTEMS.ARPABET:
+      return lookupARPAbet(trimmed);
+    default:
+      return lookupLabel(trimmed) || lookupIPA(trimmed) || lookupARPAbet(trimmed);
+  }
+};
+
+/**
+ * Check whether a symbol is a canonical app label
+ * Aliases like "i:" are not accepted in templates; use the canonical label.
+ */
+export const isKnownPhoneme = (symbol) => {
+  return BY_LABEL.has(symbol);
+};
+
+/**
+ * Convert any spelling to the canonical app label (null if unknown)
+ */
+export const normalizePhoneme = (symbol, system = null) => {
+  return getPhoneme(symbol, system)?.label ?? null;
+};
+
+/**
+ * Convert any spelling to IPA (null if unknown)
+ */
+export const toIPA = (symbol, system = null) => {
+  return getPhoneme(symbol, system)?.ipa ?? null;
+};
+
+/**
+ * Convert any spelling to ARPAbet, without stress (null if unknown)
+ */
+export const toARPAbet = (symbol, system = null) => {
+  return getPhoneme(symbol, system)?.arpabet ?? null;
+};
+
+/**
+ * Check whether two symbols name the same phoneme
+ * Unknown symbols never match, not even themselves.
+ */
+export const isSamePhoneme = (a, b) => {
+  const first = getPhoneme(a);
+  const second = getPhoneme(b);
+  return !!first && first === second;
+};
+
+/**
+ * Describe how close a produced phoneme was to the target
+ * @returns {{ same: boolean, similarity: number, differences: string[], description: string }}
+ *   similarity is 0-1; differences lists the features that changed
+ */
+export const describeSubstitution = (target, produced) => {
+  const expected = getPhoneme(target);
+  const actual = getPhoneme(produced);
+
+  if (!expected || !actual) {
+    return {
+      same: false,
+      similarity: 0,
+      differences: [],
+      description: 'Unknown sound',
+    };
+  }
+
+  if (expected === actual) {
+    return {
+      same: true,
+      similarity: 1,
+      differences: [],
+      description: 'Correct sound',
+    };
+  }
+
+  const isConsonant = phoneme => phoneme.type === 'consonant';
+  if (isConsonant(expected) !== isConsonant(actual)) {
+    return {
+      same: false,
+      similarity: 0,
+      differences: ['type'],
+      description: isConsonant(expected) ? 'A vowel instead of a consonant' : 'A consonant instead of a vowel',
+    };
+  }
+
+  let differences;
+  let similarity;
+
+  if (isConsonant(expected)) {
+    differences = ['voicing', 'place', 'manner'].filter(feature =>
+      (feature === 'voicing' ? expected.voiced !== actual.voiced : expected[feature] !== actual[feature])
+    );
+    similarity = 1 - differences.length / 3;
+  } else if (expected.type === 'vowel' && actual.type === 'vowel') {
+    // Vowel distance is graded: one step of height counts less than a jump
+    const heightSteps = Math.abs(VOWEL_HEIGHTS.indexOf(expected.height) - VOWEL_HEIGHTS.indexOf(actual.height));
+    const backnessSteps = Math.abs(VOWEL_BACKNESS.indexOf(expected.backness) - VOWEL_BACKNESS.indexOf(actual.backness));
+    differences = [];
+    if (heightSteps > 0) differences.push('height');
+    if (backnessSteps > 0) differences.push('backness');
+    if (expected.rounded !== actual.rounded) differences.push('rounding');
+    const distance = heightSteps / (VOWEL_HEIGHTS.length - 1) +
+      backnessSteps / (VOWEL_BACKNESS.length - 1) +
+      (expected.rounded !== actual.rounded ? 1 : 0);
+    similarity = 1 - distance / 3;
+  } else {
+    // Diphthong vs. monophthong (or two different diphthongs)
+    return {
+      same: false,
+      similarity: 0.5,
+      differences: ['glide'],
+      description: actual.type === 'diphthong' && expected.type === 'vowel'
+        ? 'Close: a gliding vowel instead of a steady one'
+        : expected.type === 'diphthong' && actual.type === 'vowel'
+          ? 'Close: a steady vowel instead of a gliding one'
+          : 'Close: a different gliding vowel',
+    };
+  }
+
+  similarity = Math.round(similarity * 100) / 100;
+  const closeness = similarity >= 0.66 ? 'Very close' : similarity >= 0.33 ? 'Close' : 'Different sound';
+
+  return {
+    same: false,
+    similarity,
+    differences,
+    description: differences.length === 1
+      ? `${closeness}: only the ${differences[0]} differs`
+      : `${closeness}: ${differences.join(', ')} differ`,
+  };
+};
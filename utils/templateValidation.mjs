@@ -0,0 +1,121 @@
+// Explicit extension: this module is also loaded by Node scripts
+import { isKnownPhoneme, normalizePhoneme } from './phonemeInventory.mjs';
+
+/**
+ * Speech template validation
+ * Checks the template.json format:
+ *   { word, sr, syllableBreak?, position?, phonemes: [{ p, start, end }], targetIndex }
+ * Timings are in milliseconds from the start of the reference recording.
+ */
+
+export const TEMPLATE_POSITIONS = ['initial', 'medial', 'final'];
+
+// Where a reference.json came from (see scripts/build-reference.mjs)
+export const REFERENCE_SOURCES = {
+  RECORDING: 'recording',
+  SYNTHETIC: 'synthetic',
+};
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Position implied by where the target sits in the phoneme list
+ */
+const positionForIndex = (index, count) => {
+  if (index === 0) return 'initial';
+  if (index === count - 1) return 'final';
+  return 'medial';
+};
+
+/**
+ * Validate a speech template
+ * @param {object} template - Parsed template.json
+ * @param {object} [options]
+ * @param {object} [options.reference] - Parsed reference.json; enables duration checks
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export const validateTemplate = (template, { reference = null } = {}) => {
+  const errors = [];
+
+  if (!template || typeof template !== 'object') {
+    return {
+      valid: false,
+      errors: ['Template must be an object'],
+    };
+  }
+
+  if (typeof template.word !== 'string' || !template.word.trim()) {
+    errors.push('"word" must be a non-empty string');
+  }
+
+  if (!Number.isInteger(template.sr) || template.sr <= 0) {
+    errors.push('"sr" must be a positive integer sample rate');
+  }
+
+  if (template.syllableBreak !== undefined && (typeof template.syllableBreak !== 'string' || !template.syllableBreak.trim())) {
+    errors.push('"syllableBreak" must be a non-empty string');
+  }
+
+  if (template.position !== undefined && !TEMPLATE_POSITIONS.includes(template.position)) {
+    errors.push(`"position" must be one of ${TEMPLATE_POSITIONS.join(', ')}`);
+  }
+
+  const phonemes = template.phonemes;
+  if (!Array.isArray(phonemes) || phonemes.length === 0) {
+    errors.push('"phonemes" must be a non-empty array');
+  } else {
+    phonemes.forEach((phoneme, index) => {
+      const label = `phonemes[${index}]`;
+
+      if (!phoneme || typeof phoneme.p !== 'string') {
+        errors.push(`${label} is missing its "p" symbol`);
+        return;
+      }
+      if (!isKnownPhoneme(phoneme.p)) {
+        const canonical = normalizePhoneme(phoneme.p);
+        errors.push(canonical
+          ? `${label} "${phoneme.p}" should use the canonical label "${canonical}"`
+          : `${label} "${phoneme.p}" is not in the phoneme inventory`);
+      }
+      if (!isNonNegativeNumber(phoneme.start) || !isNonNegativeNumber(phoneme.end)) {
+        errors.push(`${label} "${phoneme.p}" needs numeric "start" and "end" >= 0`);
+        return;
+      }
+      if (phoneme.end <= phoneme.start) {
+        errors.push(`${label} "${phoneme.p}" ends (${phoneme.end}) before it starts (${phoneme.start})`);
+      }
+
+      const previous = phonemes[index - 1];
+      if (previous && isNonNegativeNumber(previous.start) && isNonNegativeNumber(previous.end)) {
+        if (phoneme.start < previous.start) {
+          errors.push(`${label} "${phoneme.p}" starts before the previous phoneme`);
+        } else if (phoneme.start < previous.end) {
+          errors.push(`${label} "${phoneme.p}" overlaps "${previous.p}" (${phoneme.start} < ${previous.end})`);
+        }
+      }
+
+      if (reference && isNonNegativeNumber(reference.durationMs) && phoneme.end > reference.durationMs) {
+        errors.push(`${label} "${phoneme.p}" ends after the ${reference.durationMs} ms reference`);
+      }
+    });
+  }
+
+  const phonemeCount = Array.isArray(phonemes) ? phonemes.length : 0;
+  if (!Number.isInteger(template.targetIndex) || template.targetIndex < 0 || template.targetIndex >= phonemeCount) {
+    errors.push(`"targetIndex" ${template.targetIndex} is out of range (0-${Math.max(0, phonemeCount - 1)})`);
+  } else if (template.position && TEMPLATE_POSITIONS.includes(template.position)) {
+    const implied = positionForIndex(template.targetIndex, phonemeCount);
+    if (implied !== template.position) {
+      errors.push(`"position" is ${template.position} but the target phoneme is ${implied}`);
+    }
+  }
+
+  if (reference && reference.sr !== undefined && reference.sr !== template.sr) {
+    errors.push(`Reference sample rate ${reference.sr} does not match template rate ${template.sr}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
@@ -0,0 +1,209 @@
+/**
+ * WAV utilities
+ * Pure-JS RIFF/WAVE decoding and encoding so audio can be processed
+ * the same way on device, on web and in Node.
+ */
+
+const WAVE_FORMAT = {
+  PCM: 1,
+  IEEE_FLOAT: 3,
+  EXTENSIBLE: 0xfffe,
+};
+
+/**
+ * Normalize ArrayBuffer / typed array / Node Buffer input to a DataView
+ */
+const toDataView = (input) => {
+  if (input instanceof ArrayBuffer) {
+    return new DataView(input);
+  }
+  if (ArrayBuffer.isView(input)) {
+    return new DataView(input.buffer, input.byteOffset, input.byteLength);
+  }
+  throw new Error('Expected an ArrayBuffer or typed array');
+};
+
+const readTag = (view, offset) =>
+  String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+
+/**
+ * Check whether the bytes start with a RIFF/WAVE header
+ */
+export const isWav = (input) => {
+  try {
+    const view = toDataView(input);
+    return view.byteLength >= 12 && readTag(view, 0) === 'RIFF' && readTag(view, 8) === 'WAVE';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read one sample as a float in [-1, 1]
+ */
+const readSample = (view, offset, bitsPerSample, isFloat) => {
+  if (isFloat) {
+    return bitsPerSample === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+  }
+
+  switch (bitsPerSample) {
+    case 8:
+      return (view.getUint8(offset) - 128) / 128;
+    case 16:
+      return view.getInt16(offset, true) / 32768;
+    case 24: {
+      let value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+      if (value & 0x800000) {
+        value -= 0x1000000;
+      }
+      return value / 8388608;
+    }
+    case 32:
+      return view.getInt32(offset, true) / 2147483648;
+    default:
+      throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+  }
+};
+
+/**
+ * Decode a WAV file into mono Float32 PCM
+ * Multi-channel audio is mixed down by averaging channels.
+ * @returns {{ sampleRate: number, channelCount: number, samples: Float32Array }}
+ */
+export const decodeWav = (input) => {
+  const view = toDataView(input);
+
+  if (!isWav(view)) {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+  let offset = 12;
+
+  // Walk the chunk list; chunks are word-aligned
+  while (offset + 8 <= view.byteLength) {
+    const id = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let audioFormat = view.getUint16(body, true);
+      if (audioFormat === WAVE_FORMAT.EXTENSIBLE && size >= 26) {
+        // The real format code is the first two bytes of the sub-format GUID
+        audioFormat = view.getUint16(body + 24, true);
+      }
+      format = {
+        audioFormat,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === 'data') {
+      dataOffset = body;
+      // Recorders that stream to disk sometimes leave the size unset
+      dataLength = Math.min(size, view.byteLength - body);
+      break;
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (!format) {
+    throw new Error('WAV file has no fmt chunk');
+  }
+  if (dataOffset < 0) {
+    throw new Error('WAV file has no data chunk');
+  }
+  if (format.audioFormat !== WAVE_FORMAT.PCM && format.audioFormat !== WAVE_FORMAT.IEEE_FLOAT) {
+    throw new Error(`Unsupported WAV encoding: ${format.audioFormat}`);
+  }
+
+  const isFloat = format.audioFormat === WAVE_FORMAT.IEEE_FLOAT;
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameCount = Math.floor(dataLength / format.blockAlign);
+  const samples = new Float32Array(frameCount);
+
+  for (let i = 0; i < frameCount; i++) {
+    const frameOffset = dataOffset + i * format.blockAlign;
+    let sum = 0;
+    for (let ch = 0; ch < format.channelCount; ch++) {
+      sum += readSample(view, frameOffset + ch * bytesPerSample, format.bitsPerSample, isFloat);
+    }
+    samples[i] = sum / format.channelCount;
+  }
+
+  return {
+    sampleRate: format.sampleRate,
+    channelCount: format.channelCount,
+    samples,
+  };
+};
+
+/**
+ * Encode mono Float32 PCM as a 16-bit WAV file
+ * @returns {Uint8Array}
+ */
+export const encodeWav = (samples, sampleRate) => {
+  const dataLength = samples.length * 2;
+  const bytes = new Uint8Array(44 + dataLength);
+  const view = new DataView(bytes.buffer);
+
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) {
+      view.setUint8(offset + i, tag.charCodeAt(i));
+    }
+  };
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, WAVE_FORMAT.PCM, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeTag(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const clamped = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, clamped < 0 ? clamped * 32768 : clamped * 32767, true);
+  }
+
+  return bytes;
+};
+
+/**
+ * Resample mono PCM with linear interpolation
+ * Good enough for speech features; not intended for playback.
+ */
+export const resample = (samples, fromRate, toRate) => {
+  if (fromRate === toRate) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const length = Math.floor(samples.length / ratio);
+  const output = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const next = index + 1 < samples.length ? samples[index + 1] : samples[index];
+    output[i] = samples[index] + (next - samples[index]) * fraction;
+  }
+
+  return output;
+};
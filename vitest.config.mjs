@@ -0,0 +1,21 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+const mock = name => fileURLToPath(new URL(`./__tests__/mocks/${name}.js`, import.meta.url));
+
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['__tests__/**/*.test.js'],
+  },
+  // Native modules are swapped for in-memory stand-ins so services run in Node
+  resolve: {
+    alias: {
+      'react-native': mock('react-native'),
+      '@react-native-async-storage/async-storage': mock('async-storage'),
+      'expo-secure-store': mock('expo-secure-store'),
+      'expo-file-system/legacy': mock('expo-file-system'),
+      'expo-constants': mock('expo-constants'),
+    },
+  },
+});